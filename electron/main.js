@@ -3,6 +3,9 @@ const path = require('path');
 const url = require('url');
 const fs = require('fs');
 const Store = require('electron-store');
+const { ServerProcess } = require('./server-process');
+// Only reads log files here; the server process does the writing
+const { logger } = require('../src/utils/logger');
 
 // Initialize the store for app configuration
 const store = new Store();
@@ -11,8 +14,8 @@ const store = new Store();
 let mainWindow;
 let tray = null;
 
-// Server instance reference
-let server = null;
+// The MCP server runs in its own process
+const serverProcess = new ServerProcess();
 
 function createWindow() {
   // Create the browser window
@@ -191,159 +194,192 @@ function createTray() {
   }
 }
 
-// Start the MCP server
-function startServer() {
-  if (server) {
-    console.log('Server is already running');
-    return;
+// Forward server status to the window
+function sendServerStatus(status) {
+  if (mainWindow) {
+    mainWindow.webContents.send('server-status', status);
   }
+}
 
-  const MCPServer = require('../src/server');
-  const config = store.get('serverConfig', {
-    port: 3030,
-    host: 'localhost'
-  });
-
-  server = new MCPServer(config);
-  
-  // Set up server event handlers
-  server.on('started', (data) => {
-    console.log(`Server started on ${data.host}:${data.port}`);
-    if (mainWindow) {
-      mainWindow.webContents.send('server-status', {
+// Report the running server's address and certificate
+function sendRunningStatus() {
+  serverProcess.call('getStatus')
+    .then((status) => {
+      sendServerStatus({
         status: 'running',
         config: {
-          host: data.host,
-          port: data.port
+          host: status.host,
+          port: status.port
         },
-        startTime: data.timestamp
+        tls: status.tls,
+        startTime: status.startTime
       });
-    }
+    })
+    .catch(err => console.error('Failed to get server status:', err));
+}
+
+// Set up server event handlers
+serverProcess.on('started', (data) => {
+  console.log(`Server started on ${data.host}:${data.port}`);
+  sendRunningStatus();
+});
+
+serverProcess.on('certificateReloaded', () => {
+  sendRunningStatus();
+});
+
+serverProcess.on('stopped', (data) => {
+  console.log('Server stopped');
+  sendServerStatus({
+    status: 'stopped',
+    uptime: data.uptime
   });
-  
-  server.on('stopped', (data) => {
-    console.log('Server stopped');
-    if (mainWindow) {
-      mainWindow.webContents.send('server-status', {
-        status: 'stopped',
-        uptime: data.uptime
-      });
-    }
+});
+
+serverProcess.on('error', (data) => {
+  console.error('Server error:', data.error);
+  sendServerStatus({
+    status: 'error',
+    error: data.error.message || 'Unknown server error'
   });
+});
+
+serverProcess.on('crashed', (report) => {
+  const reason = report.error ? report.error.message : `exit code ${report.code}`;
   
-  server.on('error', (data) => {
-    console.error('Server error:', data.error);
-    if (mainWindow) {
-      mainWindow.webContents.send('server-status', {
-        status: 'error',
-        error: data.error.message || 'Unknown server error'
-      });
-    }
-  });
+  console.error(`Server process crashed (${reason})` +
+    (report.restartIn === null ? ', giving up' : `, restarting in ${report.restartIn}ms`));
   
-  server.on('connection', (data) => {
-    console.log(`New client connected: ${data.id} from ${data.ipAddress}`);
-    
-    if (mainWindow) {
-      mainWindow.webContents.send('connection-update', {
-        type: 'new',
-        connection: {
-          id: data.id,
-          ipAddress: data.ipAddress,
-          userAgent: data.userAgent,
-          connected: data.timestamp,
-          lastActivity: data.timestamp
-        }
-      });
-    }
+  sendServerStatus({
+    status: report.restartIn === null ? 'error' : 'crashed',
+    error: `Server crashed: ${reason}`,
+    crash: report
   });
+});
+
+serverProcess.on('connection', (data) => {
+  console.log(`New client connected: ${data.id} from ${data.ipAddress}`);
   
-  server.on('disconnection', (data) => {
-    console.log(`Client disconnected: ${data.id}`);
-    
-    if (mainWindow) {
+  if (mainWindow) {
+    mainWindow.webContents.send('connection-update', {
+      type: 'new',
+      connection: {
+        id: data.id,
+        ipAddress: data.ipAddress,
+        userAgent: data.userAgent,
+        connected: data.timestamp,
+        lastActivity: data.timestamp
+      }
+    });
+  }
+});
+
+// Dropped clients stay listed as suspended until they resume or expire
+for (const event of ['suspended', 'resumed']) {
+  serverProcess.on(event, (data) => {
+    if (mainWindow && data.connection) {
       mainWindow.webContents.send('connection-update', {
-        type: 'closed',
-        connectionId: data.id
+        type: 'update',
+        connection: data.connection
       });
     }
   });
+}
 
-  server.start()
-    .catch(err => {
-      console.error('Failed to start server:', err);
-      if (mainWindow) {
-        mainWindow.webContents.send('server-status', {
-          status: 'error',
-          error: err.message || 'Failed to start server'
-        });
-      }
+serverProcess.on('disconnection', (data) => {
+  console.log(`Client disconnected: ${data.id} (${data.reason})`);
+  
+  if (mainWindow) {
+    mainWindow.webContents.send('connection-update', {
+      type: 'closed',
+      connectionId: data.id,
+      reason: data.reason
     });
+  }
+});
+
+// Start the MCP server
+function startServer() {
+  const config = store.get('serverConfig', {
+    port: 3030,
+    host: 'localhost'
+  });
+
+  if (!serverProcess.start(config)) {
+    console.log('Server is already running');
+  }
 }
 
 // Stop the MCP server
 function stopServer() {
-  if (!server) {
-    console.log('Server is not running');
-    return;
-  }
-
-  server.stop()
+  return serverProcess.stop()
     .catch(err => {
       console.error('Failed to stop server:', err);
-      if (mainWindow) {
-        mainWindow.webContents.send('server-status', {
-          status: 'error',
-          error: err.message || 'Failed to stop server'
-        });
-      }
+      sendServerStatus({
+        status: 'error',
+        error: err.message || 'Failed to stop server'
+      });
     });
 }
 
 // Restart the MCP server
 function restartServer() {
-  if (!server) {
+  stopServer().then(() => {
     startServer();
-    return;
+  });
+}
+
+// Call the server process from an IPC handler, falling back to a default
+// when it isn't running or the call fails
+async function callServer(fallback, method, ...args) {
+  if (!serverProcess.isRunning()) {
+    return fallback;
   }
   
-  server.restart()
-    .then(() => {
-      console.log('Server restarted');
-    })
-    .catch(err => {
-      console.error('Failed to restart server:', err);
-      if (mainWindow) {
-        mainWindow.webContents.send('server-status', {
-          status: 'error',
-          error: err.message || 'Failed to restart server'
-        });
-      }
-    });
+  try {
+    return await serverProcess.call(method, ...args);
+  } catch (error) {
+    console.error(`Error calling ${method}:`, error);
+    return fallback;
+  }
 }
 
-// Restart the MCP server
-function restartServer() {
-  stopServer();
-  setTimeout(() => {
-    startServer();
-  }, 1000);
+// Run a server action from an IPC handler as { success, error }
+async function runServerAction(method, ...args) {
+  if (!serverProcess.isRunning()) {
+    return { success: false, error: 'Server not running' };
+  }
+  
+  try {
+    return { success: true, result: await serverProcess.call(method, ...args) };
+  } catch (error) {
+    console.error(`Error calling ${method}:`, error);
+    return { 
+      success: false, 
+      error: error.message || `Failed to call ${method}`
+    };
+  }
 }
 
 // Handle IPC messages from the renderer process
-ipcMain.handle('get-server-status', () => {
+ipcMain.handle('get-server-status', async () => {
+  const reports = serverProcess.getCrashReports();
+  const status = await callServer(null, 'getStatus');
+  
   return {
-    status: server ? 'running' : 'stopped',
+    status: serverProcess.status,
     config: store.get('serverConfig', {
       port: 3030,
       host: 'localhost'
-    })
+    }),
+    tls: status ? status.tls : null,
+    crash: serverProcess.isRunning() ? null : reports[reports.length - 1] || null
   };
 });
 
 ipcMain.on('get-server-status-legacy', (event) => {
   event.reply('server-status', {
-    status: server ? 'running' : 'stopped',
+    status: serverProcess.status,
     config: store.get('serverConfig', {
       port: 3030,
       host: 'localhost'
@@ -351,6 +387,10 @@ ipcMain.on('get-server-status-legacy', (event) => {
   });
 });
 
+ipcMain.handle('get-crash-reports', () => {
+  return serverProcess.getCrashReports();
+});
+
 ipcMain.on('start-server', () => {
   startServer();
 });
@@ -359,132 +399,79 @@ ipcMain.on('stop-server', () => {
   stopServer();
 });
 
-ipcMain.on('save-config', (event, config) => {
+ipcMain.handle('save-config', (event, config) => {
   store.set('serverConfig', config);
-  event.reply('config-saved', true);
+  event.sender.send('config-saved', true);
+  return { success: true };
 });
 
 ipcMain.on('restart-server', () => {
   restartServer();
 });
 
+// Server configuration (~/.claude-ui-mcp/config.json)
+ipcMain.handle('get-server-config', (event, key) => {
+  return callServer(null, 'getConfig', key);
+});
+
+ipcMain.handle('set-server-config', async (event, key, value) => {
+  const result = await runServerAction('setConfig', key, value);
+  return result.success && !result.result ? { success: false, error: 'Failed to save configuration' } : result;
+});
+
 // Connection handlers
 ipcMain.handle('get-connections', () => {
-  if (!server) {
-    return [];
-  }
-  
-  try {
-    return server.getConnections();
-  } catch (error) {
-    console.error('Error getting connections:', error);
-    return [];
-  }
+  return callServer([], 'getConnections');
 });
 
 ipcMain.handle('get-connection', (event, connectionId) => {
-  if (!server) {
-    return null;
-  }
-  
-  try {
-    const connections = server.getConnections();
-    return connections.find(conn => conn.id === connectionId) || null;
-  } catch (error) {
-    console.error('Error getting connection:', error);
-    return null;
-  }
+  return callServer(null, 'getConnection', connectionId);
 });
 
-ipcMain.handle('disconnect-client', (event, connectionId) => {
-  if (!server) {
-    return { success: false, error: 'Server not running' };
-  }
-  
-  try {
-    // This is a simplified approach; in the real implementation,
-    // the server would have a method to disconnect a specific client
-    // For now we'll assume success
-    return { success: true };
-  } catch (error) {
-    console.error('Error disconnecting client:', error);
-    return { 
-      success: false, 
-      error: error.message || 'Failed to disconnect client'
-    };
-  }
+ipcMain.handle('disconnect-client', async (event, connectionId) => {
+  const result = await runServerAction('disconnectClient', connectionId);
+  return result.success && !result.result ? { success: false, error: 'Connection not found' } : result;
+});
+
+// Ban management
+ipcMain.handle('get-bans', () => {
+  return callServer([], 'getBans');
+});
+
+ipcMain.handle('ban-address', async (event, ipAddress, duration, reason) => {
+  const result = await runServerAction('banAddress', ipAddress, duration, reason);
+  return result.success ? { success: true, ...result.result } : result;
+});
+
+ipcMain.handle('unban-address', async (event, ipAddress) => {
+  const result = await runServerAction('unbanAddress', ipAddress);
+  return result.success ? { success: result.result } : result;
 });
 
 // Plugin management
 ipcMain.handle('get-plugins', () => {
-  if (!server) {
-    return [];
-  }
-  
-  try {
-    // In a real implementation we would call server's plugin manager
-    // For now, just return a mock response
-    return [
-      {
-        name: "example-plugin",
-        version: "0.1.0",
-        description: "An example plugin for Claude UI MCP Server",
-        author: "Claude AI",
-        enabled: true
-      }
-    ];
-  } catch (error) {
-    console.error('Error getting plugins:', error);
-    return [];
-  }
+  return callServer([], 'getPlugins');
 });
 
-ipcMain.handle('enable-plugin', (event, pluginName) => {
-  if (!server) {
-    return { success: false, error: 'Server not running' };
-  }
-  
-  try {
-    // Mock implementation - in real code we would call server's plugin manager
-    return { success: true };
-  } catch (error) {
-    console.error(`Error enabling plugin ${pluginName}:`, error);
-    return { 
-      success: false, 
-      error: error.message || 'Failed to enable plugin'
-    };
-  }
+ipcMain.handle('enable-plugin', async (event, pluginName) => {
+  const result = await runServerAction('enablePlugin', pluginName);
+  return result.success && !result.result ? { success: false, error: `Plugin not loaded: ${pluginName}` } : result;
 });
 
-ipcMain.handle('disable-plugin', (event, pluginName) => {
-  if (!server) {
-    return { success: false, error: 'Server not running' };
-  }
-  
-  try {
-    // Mock implementation - in real code we would call server's plugin manager
-    return { success: true };
-  } catch (error) {
-    console.error(`Error disabling plugin ${pluginName}:`, error);
-    return { 
-      success: false, 
-      error: error.message || 'Failed to disable plugin'
-    };
-  }
+ipcMain.handle('disable-plugin', async (event, pluginName) => {
+  const result = await runServerAction('disablePlugin', pluginName);
+  return result.success && !result.result ? { success: false, error: `Plugin not loaded: ${pluginName}` } : result;
 });
 
 // Logs handler
-ipcMain.handle('get-logs', (event, options = {}) => {
+ipcMain.handle('get-logs', async (event, options = {}) => {
   try {
-    // Mock implementation - in real code we would read actual log files
-    return {
-      success: true,
-      logs: [
-        { timestamp: new Date().toISOString(), level: 'info', message: 'Server started' },
-        { timestamp: new Date().toISOString(), level: 'info', message: 'Plugin loaded: example-plugin' },
-        { timestamp: new Date().toISOString(), level: 'debug', message: 'Connection established' }
-      ]
-    };
+    // A stopped or crashed server's logs are read from its log file here
+    const logs = serverProcess.isRunning()
+      ? await serverProcess.call('getLogs', options)
+      : await logger.readLogs(options);
+    
+    return { success: true, logs };
   } catch (error) {
     console.error('Error getting logs:', error);
     return { 
@@ -518,7 +505,5 @@ app.on('window-all-closed', function () {
 
 // Handle cleanup when app is quitting
 app.on('before-quit', () => {
-  if (server) {
-    stopServer();
-  }
+  stopServer();
 });
@@ -15,6 +15,15 @@ contextBridge.exposeInMainWorld('electron', {
   stopServer: () => ipcRenderer.send('stop-server'),
   restartServer: () => ipcRenderer.send('restart-server'),
   
+  getCrashReports: async () => {
+    try {
+      return await ipcRenderer.invoke('get-crash-reports');
+    } catch (error) {
+      console.error('Error getting crash reports:', error);
+      return [];
+    }
+  },
+  
   // Configuration
   saveConfig: async (config) => {
     try {
@@ -25,6 +34,24 @@ contextBridge.exposeInMainWorld('electron', {
     }
   },
   
+  getServerConfig: async (key) => {
+    try {
+      return await ipcRenderer.invoke('get-server-config', key);
+    } catch (error) {
+      console.error('Error getting server config:', error);
+      return null;
+    }
+  },
+  
+  setServerConfig: async (key, value) => {
+    try {
+      return await ipcRenderer.invoke('set-server-config', key, value);
+    } catch (error) {
+      console.error('Error setting server config:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
   // Connections API
   getConnections: async () => {
     try {
@@ -53,6 +80,34 @@ contextBridge.exposeInMainWorld('electron', {
     }
   },
   
+  // Ban API
+  getBans: async () => {
+    try {
+      return await ipcRenderer.invoke('get-bans');
+    } catch (error) {
+      console.error('Error getting bans:', error);
+      return [];
+    }
+  },
+  
+  banAddress: async (ipAddress, duration, reason) => {
+    try {
+      return await ipcRenderer.invoke('ban-address', ipAddress, duration, reason);
+    } catch (error) {
+      console.error('Error banning address:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  unbanAddress: async (ipAddress) => {
+    try {
+      return await ipcRenderer.invoke('unban-address', ipAddress);
+    } catch (error) {
+      console.error('Error unbanning address:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
   // Plugin API
   getPlugins: async () => {
     try {
@@ -0,0 +1,150 @@
+/**
+ * Server host process
+ *
+ * Runs the MCP server outside the Electron main process, so a crashing
+ * plugin or blocking I/O can't freeze the window. Started by ServerProcess
+ * (electron/server-process.js) as an Electron utility process or a Node
+ * child process, with the server options as JSON in argv.
+ *
+ * Messages from the parent:
+ *   { kind: 'call', id, method, args }
+ * Messages to the parent:
+ *   { kind: 'result', id, result } or { kind: 'result', id, error }
+ *   { kind: 'event', event, data }  - forwarded server events
+ *   { kind: 'crash', error }        - sent just before exiting on a crash
+ */
+
+const MCPServer = require('../src/server');
+const { logger } = require('../src/utils/logger');
+
+// Server events forwarded to the parent
+const FORWARDED_EVENTS = [
+  'started',
+  'stopped',
+  'error',
+  'connection',
+  'disconnection',
+  'suspended',
+  'resumed',
+  'certificateReloaded'
+];
+
+const optionsIndex = process.argv.indexOf('--options');
+const options = optionsIndex >= 0 ? JSON.parse(process.argv[optionsIndex + 1]) : {};
+
+const server = new MCPServer(options);
+
+/**
+ * Post a message to the parent over whichever channel we were started with
+ */
+function post(message) {
+  if (process.parentPort) {
+    process.parentPort.postMessage(message);
+  } else if (process.send) {
+    process.send(message);
+  }
+}
+
+/**
+ * Make a value safe to post: errors become plain objects
+ */
+function serializeError(error) {
+  return {
+    message: error && error.message ? error.message : String(error),
+    code: error && error.code,
+    stack: error && error.stack
+  };
+}
+
+// The methods the parent may call, and nothing else
+const METHODS = {
+  getStatus: () => server.getStatus(),
+  getConnections: () => server.getConnections(),
+  getConnection: (id) => server.connectionManager.getConnection(id),
+  disconnectClient: (id) => server.disconnectClient(id),
+  getPlugins: () => server.getPlugins(),
+  enablePlugin: (name) => server.enablePlugin(name),
+  disablePlugin: (name) => server.disablePlugin(name),
+  getBans: () => server.getBans(),
+  banAddress: (ipAddress, duration, reason) => server.banAddress(ipAddress, duration, reason),
+  unbanAddress: (ipAddress) => server.unbanAddress(ipAddress),
+  getLogs: (logOptions) => logger.readLogs(logOptions),
+  getConfig: (key) => server.getConfig(key),
+  setConfig: (key, value) => {
+    server.setConfig(key, value);
+    return true;
+  },
+  restart: () => server.restart(),
+  shutdown: async () => {
+    if (server.isRunning) {
+      await server.stop();
+    }
+
+    // Let the reply go out before exiting
+    setImmediate(() => process.exit(0));
+    return true;
+  }
+};
+
+/**
+ * Run a call from the parent and post its result
+ */
+async function handleCall(message) {
+  const method = METHODS[message.method];
+
+  if (!method) {
+    post({ kind: 'result', id: message.id, error: { message: `Unknown method: ${message.method}` } });
+    return;
+  }
+
+  try {
+    const result = await method(...(message.args || []));
+    post({ kind: 'result', id: message.id, result: result === undefined ? null : result });
+  } catch (error) {
+    post({ kind: 'result', id: message.id, error: serializeError(error) });
+  }
+}
+
+function handleParentMessage(message) {
+  if (message && message.kind === 'call') {
+    handleCall(message);
+  }
+}
+
+if (process.parentPort) {
+  process.parentPort.on('message', (event) => handleParentMessage(event.data));
+} else {
+  process.on('message', handleParentMessage);
+
+  // Exit with the parent rather than lingering as an orphan
+  process.on('disconnect', () => process.exit(0));
+}
+
+for (const event of FORWARDED_EVENTS) {
+  server.on(event, (data = {}) => {
+    if (event === 'error') {
+      data = { ...data, error: serializeError(data.error) };
+    } else if (event === 'suspended' || event === 'resumed') {
+      // The parent can't look the connection up itself
+      data = { ...data, connection: server.connectionManager.getConnection(data.id || data.connectionId) };
+    }
+
+    post({ kind: 'event', event, data });
+  });
+}
+
+/**
+ * Report a crash to the parent, then exit so it can restart us
+ */
+function crash(error) {
+  logger.error('Server process crashed', error);
+  post({ kind: 'crash', error: serializeError(error) });
+
+  // Give the report a moment to reach the parent
+  setTimeout(() => process.exit(1), 100);
+}
+
+process.on('uncaughtException', crash);
+process.on('unhandledRejection', crash);
+
+server.start().catch(crash);
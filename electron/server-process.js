@@ -0,0 +1,288 @@
+/**
+ * Server process supervisor
+ *
+ * Hosts the MCP server in a separate process (electron/server-host.js) and
+ * gives the Electron main process an async bridge to it: call(method, ...args)
+ * runs one of the host's methods, and server events are re-emitted here.
+ * A process that exits unexpectedly is recorded as a crash report and
+ * restarted with exponential backoff.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const HOST_PATH = path.join(__dirname, 'server-host.js');
+const MAX_STDERR_LINES = 50;
+const MAX_CRASH_REPORTS = 10;
+
+/**
+ * Start the host as an Electron utility process when available, otherwise
+ * as a Node child process, and smooth over the differences between the two
+ */
+function forkHost(args) {
+  let utilityProcess = null;
+
+  try {
+    ({ utilityProcess } = require('electron'));
+  } catch (error) {
+    // Not running under Electron
+  }
+
+  if (utilityProcess) {
+    const child = utilityProcess.fork(HOST_PATH, args, { stdio: 'pipe', serviceName: 'MCP Server' });
+
+    return {
+      stderr: child.stderr,
+      send: (message) => child.postMessage(message),
+      onMessage: (listener) => child.on('message', listener),
+      onExit: (listener) => child.on('exit', (code) => listener(code, null)),
+      kill: () => child.kill()
+    };
+  }
+
+  const child = require('child_process').fork(HOST_PATH, args, { stdio: ['ignore', 'ignore', 'pipe', 'ipc'] });
+
+  return {
+    stderr: child.stderr,
+    send: (message) => child.connected && child.send(message),
+    onMessage: (listener) => child.on('message', listener),
+    onExit: (listener) => child.on('exit', listener),
+    kill: () => child.kill()
+  };
+}
+
+class ServerProcess extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.fork = options.fork || forkHost;
+    this.callTimeout = options.callTimeout || 10000;
+    this.initialRestartDelay = options.initialRestartDelay || 1000;
+    this.maxRestartDelay = options.maxRestartDelay || 30000;
+    this.maxRestarts = options.maxRestarts || 5;
+    // A process that stays up this long resets the backoff
+    this.stableAfter = options.stableAfter || 60000;
+
+    this.child = null;
+    this.serverOptions = {};
+    this.status = 'stopped';
+    this.startTime = null;
+    this.stopping = false;
+    this.restarts = 0;
+    this.restartTimer = null;
+    this.pendingCalls = new Map();
+    this.stderr = [];
+    this.lastError = null;
+    this.crashReports = [];
+  }
+
+  /**
+   * Start the server process with the given MCPServer options
+   */
+  start(serverOptions = this.serverOptions) {
+    if (this.child) {
+      return false;
+    }
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.serverOptions = serverOptions;
+    this.restarts = 0;
+    this.spawn();
+
+    return true;
+  }
+
+  /**
+   * Fork the host process
+   */
+  spawn() {
+    this.stopping = false;
+    this.status = 'starting';
+    this.startTime = Date.now();
+    this.stderr = [];
+    this.lastError = null;
+
+    const child = this.fork(['--options', JSON.stringify(this.serverOptions)]);
+    this.child = child;
+
+    if (child.stderr) {
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', (chunk) => {
+        this.stderr.push(...chunk.split('\n').filter(Boolean));
+        this.stderr = this.stderr.slice(-MAX_STDERR_LINES);
+      });
+    }
+
+    child.onMessage((message) => this.handleMessage(message));
+    child.onExit((code, signal) => this.handleExit(child, code, signal));
+  }
+
+  /**
+   * Stop the server and its process. Cancels a pending restart.
+   */
+  async stop() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.restarts = 0;
+
+    if (!this.child) {
+      this.status = 'stopped';
+      return;
+    }
+
+    this.stopping = true;
+    const child = this.child;
+    const exited = new Promise(resolve => this.once('exit', resolve));
+
+    try {
+      await this.call('shutdown');
+    } catch (error) {
+      // An unresponsive host is killed instead
+      child.kill();
+    }
+
+    await exited;
+  }
+
+  /**
+   * Restart the server in a fresh process
+   */
+  async restart() {
+    await this.stop();
+    this.start();
+  }
+
+  /**
+   * Whether the server process is up
+   */
+  isRunning() {
+    return Boolean(this.child) && this.status === 'running';
+  }
+
+  /**
+   * Call a method of the host (see METHODS in server-host.js)
+   */
+  call(method, ...args) {
+    if (!this.child) {
+      return Promise.reject(new Error('Server not running'));
+    }
+
+    const id = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCalls.delete(id);
+        reject(new Error(`Server call ${method} timed out`));
+      }, this.callTimeout);
+
+      this.pendingCalls.set(id, { resolve, reject, timer });
+      this.child.send({ kind: 'call', id, method, args });
+    });
+  }
+
+  /**
+   * Handle a message from the host
+   */
+  handleMessage(message) {
+    if (!message) {
+      return;
+    }
+
+    if (message.kind === 'result') {
+      const pending = this.pendingCalls.get(message.id);
+
+      if (!pending) {
+        return;
+      }
+
+      clearTimeout(pending.timer);
+      this.pendingCalls.delete(message.id);
+
+      if (message.error) {
+        pending.reject(Object.assign(new Error(message.error.message), message.error));
+      } else {
+        pending.resolve(message.result);
+      }
+    } else if (message.kind === 'event') {
+      if (message.event === 'started') {
+        this.status = 'running';
+      }
+
+      this.emit(message.event, message.data);
+    } else if (message.kind === 'crash') {
+      this.lastError = message.error;
+    }
+  }
+
+  /**
+   * Handle the host exiting, restarting it unless it was asked to stop
+   */
+  handleExit(child, code, signal) {
+    if (child !== this.child) {
+      return;
+    }
+
+    this.child = null;
+
+    for (const [id, pending] of this.pendingCalls.entries()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Server process exited'));
+      this.pendingCalls.delete(id);
+    }
+
+    if (this.stopping) {
+      this.stopping = false;
+      this.status = 'stopped';
+      this.emit('exit', { code, signal });
+      return;
+    }
+
+    // Crashes after a long stable run start the backoff over
+    if (Date.now() - this.startTime >= this.stableAfter) {
+      this.restarts = 0;
+    }
+
+    const willRestart = this.restarts < this.maxRestarts;
+    const restartIn = willRestart
+      ? Math.min(this.initialRestartDelay * 2 ** this.restarts, this.maxRestartDelay)
+      : null;
+
+    const report = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      uptime: Date.now() - this.startTime,
+      code,
+      signal,
+      error: this.lastError,
+      stderr: this.stderr.slice(),
+      restarts: this.restarts,
+      restartIn
+    };
+
+    this.crashReports.push(report);
+    this.crashReports = this.crashReports.slice(-MAX_CRASH_REPORTS);
+    this.status = willRestart ? 'crashed' : 'error';
+
+    this.emit('crashed', report);
+    this.emit('exit', { code, signal });
+
+    if (willRestart) {
+      this.restarts++;
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        this.spawn();
+      }, restartIn);
+    }
+  }
+
+  /**
+   * Get recent crash reports, newest last
+   */
+  getCrashReports() {
+    return this.crashReports.slice();
+  }
+}
+
+module.exports = { ServerProcess };
@@ -7,7 +7,12 @@
 let context = {
   logger: null,
   config: null,
-  pluginManager: null
+  pluginManager: null,
+  toolRegistry: null,
+  registerTool: null,
+  registerResource: null,
+  registerPrompt: null,
+  registerSchema: null
 };
 
 /**
@@ -18,6 +23,42 @@ function initialize(ctx) {
   // Store the plugin context
   context = ctx;
   
+  // Describe the payload of the messages we handle
+  context.registerSchema('example.echo', {
+    type: 'object',
+    properties: {
+      message: { type: 'string' }
+    }
+  });
+  
+  // Register a tool that Claude can call
+  context.registerTool({
+    name: 'example_echo',
+    description: 'Echoes the given text back to the caller',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Text to echo' }
+      },
+      required: ['text']
+    },
+    handler: async (input) => {
+      return `Echo: ${input.text}`;
+    }
+  });
+  
+  // Register a prompt for Model Context Protocol clients
+  context.registerPrompt({
+    name: 'example_greeting',
+    description: 'Asks Claude to greet someone by name',
+    arguments: [
+      { name: 'name', description: 'Who to greet', required: true }
+    ],
+    get: async (args) => {
+      return `Please write a short, friendly greeting for ${args.name}.`;
+    }
+  });
+  
   // Log that we've been initialized
   context.logger.info('Example plugin initialized');
   
@@ -37,8 +78,8 @@ function handleMessage(message, serverContext) {
     // Log that we're handling the message
     context.logger.info(`Example plugin handling message from ${connectionId}`);
     
-    // Send a response back to the client
-    server.connectionManager.sendMessage(connectionId, 'example.echo.response', {
+    // Send a response back to the client, correlated with the request
+    server.connectionManager.sendReply(connectionId, message, 'example.echo.response', {
       echo: message.data,
       handled_by: 'example-plugin',
       timestamp: Date.now()
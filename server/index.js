@@ -1,29 +1,543 @@
+#!/usr/bin/env node
 /**
  * Claude UI MCP Server
- * Main entry point for the server
+ * Command line interface for running the server without Electron and
+ * administering a running server over its local admin channel
+ *
+ * Usage: claude-ui-mcp [serve] [options]            Run the server (the default)
+ *        claude-ui-mcp status                       Show a running server's status
+ *        claude-ui-mcp connections list | kick <id>
+ *        claude-ui-mcp plugins list | enable <name> | disable <name> | install <path>
+ *        claude-ui-mcp config get [key] | set <key> <value>
+ *        claude-ui-mcp logs tail [-n <lines>] [--level <level>] [--follow]
+ *        claude-ui-mcp --create-api-key <name> [--role <role>...] | --delete-api-key <id>
  */
 
-// Import required modules
-// const express = require('express');
-// const http = require('http');
+const path = require('path');
+
+const USAGE = `Usage: claude-ui-mcp [serve] [options]
+       claude-ui-mcp status
+       claude-ui-mcp connections list | kick <id>
+       claude-ui-mcp plugins list | enable <name> | disable <name> | install <path>
+       claude-ui-mcp config get [key] | set <key> <value>
+       claude-ui-mcp logs tail [-n <lines>] [--level <level>] [--follow]
+       claude-ui-mcp --create-api-key <name> [--role <role>...] | --delete-api-key <id>
+
+Serve options:
+  --host <host>          Address to listen on
+  --port <port>          Port to listen on
+  --stdio                Speak MCP on stdin/stdout instead of WebSocket
+  --tls                  Serve wss:// (with --cert <path> --key <path>, or a generated certificate)
+  --no-plugins           Don't load plugins
+  --plugins-dir <path>   Directory to load plugins from
+
+Common options:
+  --config <path>        Config file (default ~/.claude-ui-mcp/config.json)
+  --log-level <level>    error, warn, info or debug
+  --socket <path>        Admin socket of the server to administer
+  --json                 Print raw JSON`;
+
+// Admin commands and the subcommands they accept
+const ADMIN_COMMANDS = {
+  status: [],
+  connections: ['list', 'kick'],
+  plugins: ['list', 'enable', 'disable', 'install'],
+  config: ['get', 'set'],
+  logs: ['tail']
+};
+
+/**
+ * Parse a port number, which must be an integer from 0 to 65535
+ */
+function parsePort(value) {
+  const port = /^\d+$/.test(value || '') ? Number(value) : NaN;
+
+  if (!(port >= 0 && port <= 65535)) {
+    throw new Error(`Invalid port: ${value === undefined ? '(missing)' : value}`);
+  }
+
+  return port;
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = {
+    command: 'serve',
+    args: [],
+    transport: 'websocket',
+    enablePlugins: true
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--stdio':
+        options.transport = 'stdio';
+        break;
+
+      case '--host':
+        options.host = argv[++i];
+        break;
+
+      case '--port':
+        options.port = parsePort(argv[++i]);
+        break;
+
+      case '--tls':
+        options.tls = { ...options.tls, enabled: true };
+        break;
+
+      case '--cert':
+        options.tls = { ...options.tls, certPath: argv[++i] };
+        break;
+
+      case '--key':
+        options.tls = { ...options.tls, keyPath: argv[++i] };
+        break;
+
+      case '--no-plugins':
+        options.enablePlugins = false;
+        break;
+
+      case '--plugins-dir':
+        options.pluginsDir = argv[++i];
+        break;
+
+      case '--config':
+        options.config = argv[++i];
+        break;
+
+      case '--log-level':
+        options.logLevel = argv[++i];
+        break;
+
+      case '--socket':
+        options.socket = argv[++i];
+        break;
+
+      case '--json':
+        options.json = true;
+        break;
+
+      case '-n':
+      case '--lines':
+        options.lines = parseInt(argv[++i], 10);
+        break;
+
+      case '--level':
+        options.level = argv[++i];
+        break;
+
+      case '-f':
+      case '--follow':
+        options.follow = true;
+        break;
+
+      case '--create-api-key':
+        options.createApiKey = argv[++i];
+        break;
+
+      case '--role':
+        options.roles = (options.roles || []).concat(argv[++i]);
+        break;
+
+      case '--delete-api-key':
+        options.deleteApiKey = argv[++i];
+        break;
+
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown argument: ${arg}`);
+        }
+
+        positional.push(arg);
+    }
+  }
+
+  if (positional.length > 0) {
+    [options.command, ...options.args] = positional;
+  }
+
+  if (options.command !== 'serve' && !ADMIN_COMMANDS[options.command]) {
+    throw new Error(`Unknown command: ${options.command}`);
+  }
+
+  return options;
+}
+
+/**
+ * Point the config and plugin singletons at the requested locations. Must
+ * run before anything from src/ is required.
+ */
+function applyEnvironment(options) {
+  if (options.config) {
+    process.env.CLAUDE_UI_MCP_CONFIG = path.resolve(options.config);
+  }
+
+  if (options.pluginsDir) {
+    process.env.CLAUDE_UI_MCP_PLUGINS_DIR = path.resolve(options.pluginsDir);
+  }
+
+  if (options.logLevel) {
+    const { logger } = require('../src/utils/logger');
+
+    if (!(options.logLevel in logger.levels)) {
+      throw new Error(`Unknown log level: ${options.logLevel}`);
+    }
+
+    logger.level = options.logLevel;
+  }
+}
 
 /**
  * Initialize server
  */
-function initServer() {
-  console.log('Starting Claude UI MCP Server...');
-  
-  // TODO: Implement server initialization
-  
-  console.log('Server initialized successfully');
+async function initServer(options = {}) {
+  // In stdio mode stdout carries the protocol, so route all console
+  // output (including plugins') to stderr before anything is loaded
+  if (options.transport === 'stdio') {
+    console.log = console.error;
+    console.info = console.error;
+    console.debug = console.error;
+  }
+
+  const MCPServer = require('../src/server');
+  const { logger } = require('../src/utils/logger');
+
+  console.error('Starting Claude UI MCP Server...');
+
+  const server = new MCPServer({
+    host: options.host,
+    port: options.port,
+    tls: options.tls,
+    enablePlugins: options.enablePlugins
+  });
+
+  server.on('error', (data) => {
+    logger.error('Server error', data.error);
+  });
+
+  // Exit once the server stops, e.g. when the stdio host closes our stdin
+  server.on('stopped', () => {
+    server.connectionManager.shutdown();
+    process.exit(0);
+  });
+
+  if (options.transport === 'stdio') {
+    await server.startStdio();
+  } else {
+    await server.start();
+  }
+
+  // Shut down cleanly on termination signals
+  const shutdown = () => {
+    server.stop().catch((error) => {
+      console.error('Failed to stop server:', error);
+      process.exit(1);
+    });
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  console.error('Server initialized successfully');
+
+  return server;
+}
+
+/**
+ * Create or delete an API key for the local auth provider
+ */
+async function manageApiKeys(options) {
+  const { logger } = require('../src/utils/logger');
+
+  // stdout carries the new key only
+  logger.useStderr = true;
+
+  const { authManager } = require('../src/utils/auth-manager');
+  const provider = authManager.getProvider('local');
+
+  if (options.createApiKey) {
+    const key = await provider.createApiKey(options.createApiKey, { roles: options.roles });
+
+    // The plaintext key is only available now; config keeps its hash
+    console.log(key.apiKey);
+    console.error(`Created API key ${key.id} (${key.name}, roles: ${key.roles.join(', ')}). Store it now; it cannot be shown again.`);
+    return;
+  }
+
+  if (!provider.deleteApiKey(options.deleteApiKey)) {
+    throw new Error(`Unknown API key: ${options.deleteApiKey}`);
+  }
+
+  console.error(`Deleted API key ${options.deleteApiKey}`);
+}
+
+/**
+ * Parse a config value given on the command line: JSON if it parses,
+ * otherwise the plain string
+ */
+function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Format a duration in seconds as e.g. "1h 2m 3s"
+ */
+function formatDuration(seconds) {
+  const parts = [];
+
+  if (seconds >= 3600) {
+    parts.push(`${Math.floor(seconds / 3600)}h`);
+  }
+
+  if (seconds >= 60) {
+    parts.push(`${Math.floor((seconds % 3600) / 60)}m`);
+  }
+
+  parts.push(`${seconds % 60}s`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Print rows as aligned columns
+ */
+function printTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const format = row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(format(headers));
+  rows.forEach(row => console.log(format(row)));
+}
+
+/**
+ * Print a log entry the way it appears in the log file
+ */
+function printLogEntry(entry) {
+  console.log(`${entry.timestamp} [${entry.level}] ${entry.message}`);
+}
+
+/**
+ * Print the result of an admin command for humans
+ */
+function printResult(options, result) {
+  const [subcommand] = options.args;
+
+  switch (`${options.command} ${subcommand || ''}`.trim()) {
+    case 'status':
+      console.log(`Running:     ${result.running ? 'yes' : 'no'}`);
+      console.log(`Transport:   ${result.transport}`);
+      if (result.url) {
+        console.log(`URL:         ${result.url}`);
+      }
+      console.log(`Uptime:      ${formatDuration(result.uptime)}`);
+      console.log(`Connections: ${result.connections.totalConnections}/${result.connections.maxConnections}` +
+        ` (${result.connections.authenticated} authenticated, ${result.connections.suspended} suspended)`);
+      break;
+
+    case 'connections list':
+      printTable(['ID', 'ADDRESS', 'PROTOCOL', 'IDENTITY', 'CONNECTED', 'STATE'], result.map(connection => [
+        connection.id,
+        connection.ipAddress,
+        connection.protocol,
+        connection.identity ? connection.identity.name || connection.identity.id : '-',
+        new Date(connection.connected).toISOString(),
+        connection.suspended ? 'suspended' : 'active'
+      ]));
+      break;
+
+    case 'plugins list':
+      printTable(['NAME', 'VERSION', 'ENABLED', 'DESCRIPTION'], result.map(plugin => [
+        plugin.name,
+        plugin.version,
+        plugin.enabled ? 'yes' : 'no',
+        plugin.description
+      ]));
+      break;
+
+    case 'config get':
+    case 'config set':
+      console.log(typeof result === 'object' && result !== null && 'key' in result
+        ? JSON.stringify(result.value, null, 2)
+        : JSON.stringify(result, null, 2));
+      break;
+
+    case 'logs tail':
+      result.forEach(printLogEntry);
+      break;
+
+    case 'connections kick':
+      console.log(`Disconnected ${result.id}`);
+      break;
+
+    case 'plugins enable':
+    case 'plugins disable':
+      console.log(`${result.enabled ? 'Enabled' : 'Disabled'} plugin ${result.name}`);
+      break;
+
+    case 'plugins install':
+      console.log(`Installed plugin ${result.name} v${result.version}`);
+      break;
+
+    default:
+      console.log(JSON.stringify(result, null, 2));
+  }
+}
+
+/**
+ * Map a command and its arguments to an admin method and parameters
+ */
+function getAdminRequest(options) {
+  const [subcommand, ...rest] = options.args;
+  const expected = ADMIN_COMMANDS[options.command];
+
+  if (expected.length > 0 && !expected.includes(subcommand)) {
+    throw new Error(`Usage: claude-ui-mcp ${options.command} ${expected.join(' | ')}`);
+  }
+
+  const requireArg = (name) => {
+    if (!rest[0]) {
+      throw new Error(`Usage: claude-ui-mcp ${options.command} ${subcommand} <${name}>`);
+    }
+
+    return rest[0];
+  };
+
+  switch (`${options.command} ${subcommand || ''}`.trim()) {
+    case 'status':
+      return ['status', {}];
+    case 'connections list':
+      return ['connections.list', {}];
+    case 'connections kick':
+      return ['connections.kick', { id: requireArg('id') }];
+    case 'plugins list':
+      return ['plugins.list', {}];
+    case 'plugins enable':
+    case 'plugins disable':
+      return [`plugins.${subcommand}`, { name: requireArg('name') }];
+    case 'plugins install':
+      return ['plugins.install', { path: path.resolve(requireArg('path')) }];
+    case 'config get':
+      return ['config.get', { key: rest[0] }];
+    case 'config set':
+      if (rest.length < 2) {
+        throw new Error('Usage: claude-ui-mcp config set <key> <value>');
+      }
+      return ['config.set', { key: rest[0], value: parseValue(rest.slice(1).join(' ')) }];
+    case 'logs tail':
+      return ['logs.tail', { lines: options.lines, level: options.level, follow: Boolean(options.follow) }];
+    default:
+      throw new Error(`Unknown command: ${options.command} ${subcommand}`);
+  }
+}
+
+/**
+ * Run an admin command against a running server
+ */
+async function runAdminCommand(options) {
+  const { logger } = require('../src/utils/logger');
+
+  // Keep our own output to the command's result
+  if (!options.logLevel) {
+    logger.level = 'warn';
+  }
+  logger.useStderr = true;
+
+  const { AdminClient } = require('../src/utils/admin-channel');
+  const [method, params] = getAdminRequest(options);
+  const client = new AdminClient({ socketPath: options.socket });
+
+  await client.connect();
+
+  try {
+    const result = await client.call(method, params);
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printResult(options, result);
+    }
+  } catch (error) {
+    client.close();
+    throw error;
+  }
+
+  if (!params.follow) {
+    client.close();
+    return;
+  }
+
+  // Stream new entries until interrupted or the server goes away
+  client.on('notification', (message) => {
+    if (message.method === 'logs.entry') {
+      if (options.json) {
+        console.log(JSON.stringify(message.params));
+      } else {
+        printLogEntry(message.params);
+      }
+    }
+  });
+
+  process.on('SIGINT', () => {
+    client.close();
+    process.exit(0);
+  });
+
+  await new Promise(resolve => client.on('close', resolve));
 }
 
 /**
  * Main function
  */
-function main() {
+async function main(argv = process.argv.slice(2)) {
+  let options;
+
   try {
-    initServer();
+    options = parseArgs(argv);
+
+    if (options.help) {
+      console.error(USAGE);
+      return;
+    }
+
+    applyEnvironment(options);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (options.command !== 'serve') {
+    try {
+      await runAdminCommand(options);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  try {
+    if (options.createApiKey || options.deleteApiKey) {
+      await manageApiKeys(options);
+      return;
+    }
+
+    await initServer(options);
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -35,4 +549,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { initServer, main };
+module.exports = { initServer, main, parseArgs };
@@ -9,6 +9,8 @@ export const Header = ({ serverStatus }) => {
         return 'Server Stopped';
       case 'error':
         return 'Server Error';
+      case 'crashed':
+        return 'Server Crashed, Restarting...';
       default:
         return 'Loading Status...';
     }
@@ -21,6 +23,7 @@ export const Header = ({ serverStatus }) => {
       case 'stopped':
         return 'status-stopped';
       case 'error':
+      case 'crashed':
         return 'status-error';
       default:
         return '';
@@ -5,14 +5,42 @@
 
 const WebSocket = require('ws');
 const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const EventEmitter = require('events');
 const { logger } = require('./utils/logger');
-const { configManager } = require('./utils/config');
-const { ConnectionManager } = require('./utils/connection-manager');
-const { MessageProtocol, MESSAGE_TYPES } = require('./utils/protocol');
+const { configManager, REDACTED } = require('./utils/config');
+const { ConnectionManager, DISCONNECT_REASONS } = require('./utils/connection-manager');
+const { MessageProtocol, MESSAGE_TYPES, ERROR_CODES } = require('./utils/protocol');
 const { messageHandler } = require('./utils/message-handler');
 const { proxyHandler } = require('./utils/proxy-handler');
+const { anthropicApi } = require('./utils/anthropic');
+const { conversationManager } = require('./utils/conversation-manager');
+const { toolRegistry } = require('./utils/tool-registry');
+const { resourceRegistry } = require('./utils/resource-registry');
+const { promptRegistry } = require('./utils/prompt-registry');
+const { MCPHandler } = require('./utils/mcp-handler');
+const { StdioTransport } = require('./utils/stdio-transport');
+const { schemaRegistry } = require('./utils/schema-registry');
+const { MESSAGE_SCHEMAS } = require('./utils/message-schemas');
 const { pluginManager } = require('./utils/plugin-manager');
+const { accessPolicy } = require('./utils/access-policy');
+const { accessControl, normalizeAddress } = require('./utils/access-control');
+const { tlsManager } = require('./utils/tls-manager');
+const { authManager } = require('./utils/auth-manager');
+const { ChannelManager } = require('./utils/channel-manager');
+const { AdminChannel } = require('./utils/admin-channel');
+const { AdminApi, API_VERSION } = require('./utils/admin-api');
+const { validateConfig, validateConfigValue } = require('./utils/config-schema');
+const { JSONRPC_ERRORS, isJsonRpcMessage, isResponse, createError } = require('./utils/jsonrpc');
+
+/**
+ * Create a JSON-RPC error answering a whole message; a batch gets a single
+ * error with a null id
+ */
+function createRpcErrorResponse(payload, code, message, data) {
+  return createError(Array.isArray(payload) ? null : payload.id, code, message, data);
+}
 
 class MCPServer extends EventEmitter {
   constructor(options = {}) {
@@ -26,13 +54,43 @@ class MCPServer extends EventEmitter {
     this.isRunning = false;
     this.startTime = null;
     this.enablePlugins = options.enablePlugins !== false;
+    this.tls = {
+      ...configManager.get('server.tls', {}),
+      ...(options.tls || {})
+    };
+    this.transport = 'websocket';
+    this.stdioTransport = null;
+    this.activeStreams = new Map();
+    this.messageMetrics = new Map();
+    this.inFlightRequests = new Map();
+    this.adminChannel = null;
+    this.adminApi = new AdminApi({ server: this });
     
     // Initialize components
     this.connectionManager = new ConnectionManager();
     this.protocol = new MessageProtocol();
+    this.toolRegistry = toolRegistry;
+    this.channelManager = new ChannelManager({
+      send: (connectionId, type, data) => this.connectionManager.sendMessage(connectionId, type, data),
+      getRoles: (connectionId) => this.connectionManager.getRoles(connectionId)
+    });
+    this.mcpHandler = new MCPHandler({
+      serverInfo: {
+        name: 'claude-ui-mcp-server',
+        version: '0.1.0'
+      },
+      // MCP methods go through the same access policy and timeouts as
+      // custom messages
+      authorize: (session, method) => accessPolicy.isAllowed(
+        this.connectionManager.getRoles(session.id),
+        method
+      ),
+      getTimeout: (method) => this.getHandlerTimeout(method)
+    });
     
-    // Register built-in message handlers
-    this.registerBuiltInHandlers();
+    // Built-in middleware, handlers and listeners on the shared message
+    // handler, registered while the server runs
+    this.builtIns = null;
     
     // Set up event handlers for connection manager
     this.connectionManager.on('connection', (data) => {
@@ -40,20 +98,38 @@ class MCPServer extends EventEmitter {
     });
     
     this.connectionManager.on('disconnection', (data) => {
+      // Drop streams whose connection has gone away
+      for (const stream of this.getActiveStreams(data.id)) {
+        this.activeStreams.delete(this.getStreamKey(data.id, stream.id));
+      }
+      
+      // Nobody is left to receive the results of its requests
+      for (const request of this.getInFlightRequests(data.id)) {
+        this.cancelRequest(data.id, request.id, 'Connection closed');
+      }
+      
+      // Conversations owned by the connection itself can't be reached again
+      conversationManager.deleteConversationsForOwner(`connection:${data.id}`);
+      this.mcpHandler.removeSession(data.id);
+      this.channelManager.removeConnection(data.id);
+      
       this.emit('disconnection', data);
     });
     
-    this.connectionManager.on('message', (data) => {
-      this.handleMessage(data.connectionId, data.message);
+    this.connectionManager.on('suspended', (data) => {
+      this.emit('suspended', data);
+    });
+    
+    this.connectionManager.on('resumed', (data) => {
+      this.emit('resumed', data);
     });
     
-    // Set up event handlers for message handler
-    messageHandler.on('unhandled', (data) => {
-      logger.debug(`Unhandled message type: ${data.message.type}`);
+    this.connectionManager.on('message', (data) => {
+      this.handleMessage(data.connectionId, data.message);
     });
     
-    messageHandler.on('error', (data) => {
-      logger.error(`Error processing message: ${data.error.message}`);
+    this.connectionManager.on('rpc', (data) => {
+      this.handleRpcMessage(data.connectionId, data.message);
     });
     
     // Bind methods to ensure proper 'this' context
@@ -61,6 +137,8 @@ class MCPServer extends EventEmitter {
     this.stop = this.stop.bind(this);
     this.handleConnection = this.handleConnection.bind(this);
     this.handleMessage = this.handleMessage.bind(this);
+    this.verifyClient = this.verifyClient.bind(this);
+    this.handleTlsReload = this.handleTlsReload.bind(this);
   }
   
   /**
@@ -72,16 +150,18 @@ class MCPServer extends EventEmitter {
       return Promise.resolve();
     }
     
+    this.transport = 'websocket';
+    this.registerBuiltIns();
+    
     return new Promise(async (resolve, reject) => {
       try {
         // Load plugins if enabled
         if (this.enablePlugins) {
-          logger.info('Loading plugins...');
           await pluginManager.loadPlugins();
         }
         
-        // Create HTTP server
-        this.httpServer = http.createServer((req, res) => {
+        // Handle plain HTTP requests
+        const handleRequest = (req, res) => {
           // Basic HTTP endpoint for health checks
           if (req.url === '/health') {
             res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -98,18 +178,42 @@ class MCPServer extends EventEmitter {
             res.end(JSON.stringify({
               name: 'Claude UI MCP Server',
               version: '0.1.0',
-              apiVersion: '1.0'
+              apiVersion: '1.0',
+              adminApi: `/api/${API_VERSION}`
             }));
             return;
           }
           
+          // REST admin API
+          if (this.adminApi.handleRequest(req, res)) {
+            return;
+          }
+          
           // Return 404 for all other HTTP requests
           res.writeHead(404);
           res.end('Not found');
-        });
+        };
+        
+        // Create HTTPS server for wss:// when TLS is enabled, HTTP otherwise
+        if (this.tls.enabled) {
+          const credentials = tlsManager.loadCredentials({ ...this.tls, host: this.host });
+          
+          this.httpServer = https.createServer({
+            cert: credentials.cert,
+            key: credentials.key
+          }, handleRequest);
+          
+          tlsManager.on('reloaded', this.handleTlsReload);
+          tlsManager.watch();
+        } else {
+          this.httpServer = http.createServer(handleRequest);
+        }
         
         // Create WebSocket server
-        this.wsServer = new WebSocket.Server({ server: this.httpServer });
+        this.wsServer = new WebSocket.Server({
+          server: this.httpServer,
+          verifyClient: this.verifyClient
+        });
         
         // Set up WebSocket connection handler
         this.wsServer.on('connection', this.handleConnection);
@@ -125,15 +229,19 @@ class MCPServer extends EventEmitter {
           this.isRunning = true;
           this.startTime = Date.now();
           
-          logger.info(`MCP Server started on ${this.host}:${this.port}`);
+          logger.info(`MCP Server started on ${this.getUrl()}`);
           console.log(`Server started on ${this.host}:${this.port}`);
           
           this.emit('started', {
             port: this.port,
             host: this.host,
+            secure: Boolean(this.tls.enabled),
             timestamp: this.startTime
           });
           
+          this.startAdminChannel();
+          authManager.watch();
+          
           resolve();
         });
         
@@ -143,16 +251,75 @@ class MCPServer extends EventEmitter {
           this.emit('error', { server: true, error });
           
           if (!this.isRunning) {
+            this.unregisterBuiltIns();
             reject(error);
           }
         });
       } catch (error) {
         logger.error('Failed to start server', error);
+        this.unregisterBuiltIns();
         reject(error);
       }
     });
   }
   
+  /**
+   * Start the MCP server on stdin/stdout, for hosts that launch
+   * servers as child processes
+   */
+  async startStdio(options = {}) {
+    if (this.isRunning) {
+      logger.warn('Server is already running');
+      return;
+    }
+    
+    // Anything written to stdout would corrupt the JSON-RPC stream
+    logger.useStderr = true;
+    
+    this.registerBuiltIns();
+    
+    if (this.enablePlugins) {
+      await pluginManager.loadPlugins();
+    }
+    
+    this.transport = 'stdio';
+    this.stdioTransport = new StdioTransport({
+      input: options.input,
+      output: options.output
+    });
+    
+    const connectionId = this.connectionManager.addConnection(this.stdioTransport, {
+      ipAddress: 'stdio',
+      userAgent: 'stdio',
+      protocol: 'jsonrpc',
+      transport: 'stdio'
+    });
+    
+    if (!connectionId) {
+      throw new Error('Failed to register stdio connection');
+    }
+    
+    // The server's lifetime is tied to the host's end of the pipe
+    this.stdioTransport.on('close', () => {
+      if (this.isRunning) {
+        this.stop().catch(error => logger.error('Error stopping stdio server', error));
+      }
+    });
+    
+    this.isRunning = true;
+    this.startTime = Date.now();
+    
+    logger.info('MCP Server started on stdio');
+    
+    this.emit('started', {
+      transport: 'stdio',
+      timestamp: this.startTime
+    });
+    
+    this.startAdminChannel();
+    authManager.watch();
+  }
+  
   /**
    * Stop the MCP server
    */
@@ -172,6 +339,35 @@ class MCPServer extends EventEmitter {
         
         // Close all connections
         this.connectionManager.closeAllConnections();
+        await this.stopAdminChannel();
+        
+        // Stop watching certificate files and API keys
+        tlsManager.removeListener('reloaded', this.handleTlsReload);
+        tlsManager.unwatch();
+        authManager.unwatch();
+        
+        const finishStop = () => {
+          this.unregisterBuiltIns();
+          this.isRunning = false;
+          this.wsServer = null;
+          this.httpServer = null;
+          this.stdioTransport = null;
+          
+          logger.info('MCP Server stopped');
+          
+          this.emit('stopped', {
+            timestamp: Date.now(),
+            uptime: Math.floor((Date.now() - this.startTime) / 1000)
+          });
+          
+          resolve();
+        };
+        
+        // The stdio transport has no listening sockets to close
+        if (this.transport === 'stdio') {
+          finishStop();
+          return;
+        }
         
         // Close the WebSocket server
         this.wsServer.close(() => {
@@ -183,19 +379,8 @@ class MCPServer extends EventEmitter {
               return;
             }
             
-            this.isRunning = false;
-            this.wsServer = null;
-            this.httpServer = null;
-            
-            logger.info('MCP Server stopped');
             console.log('Server stopped');
-            
-            this.emit('stopped', {
-              timestamp: Date.now(),
-              uptime: Math.floor((Date.now() - this.startTime) / 1000)
-            });
-            
-            resolve();
+            finishStop();
           });
         });
       } catch (error) {
@@ -205,17 +390,99 @@ class MCPServer extends EventEmitter {
     });
   }
   
+  /**
+   * Open the local admin socket for the claude-ui-mcp CLI. The server keeps
+   * running without it if the socket can't be opened.
+   */
+  startAdminChannel() {
+    if (!configManager.get('admin.enabled', true) || this.adminChannel) {
+      return;
+    }
+    
+    this.adminChannel = new AdminChannel({ server: this });
+    this.adminChannel.start().catch((error) => {
+      logger.warn(`Admin channel unavailable: ${error.message}`);
+      this.adminChannel = null;
+    });
+  }
+  
+  /**
+   * Close the admin socket
+   */
+  async stopAdminChannel() {
+    if (this.adminChannel) {
+      await this.adminChannel.stop();
+      this.adminChannel = null;
+    }
+  }
+  
+  /**
+   * Apply a renewed certificate to new TLS connections
+   */
+  handleTlsReload(credentials) {
+    if (this.httpServer && typeof this.httpServer.setSecureContext === 'function') {
+      this.httpServer.setSecureContext({
+        cert: credentials.cert,
+        key: credentials.key
+      });
+      
+      this.emit('certificateReloaded', credentials.info);
+    }
+  }
+  
+  /**
+   * Get the WebSocket URL clients connect to
+   */
+  getUrl() {
+    return `${this.tls.enabled ? 'wss' : 'ws'}://${this.host}:${this.port}`;
+  }
+  
+  /**
+   * Reject WebSocket upgrades from disallowed origins and addresses before
+   * a connection is created
+   */
+  verifyClient(info, callback) {
+    const ipAddress = info.req.socket.remoteAddress;
+    let result;
+    
+    try {
+      result = accessControl.verify({ ipAddress, origin: info.origin });
+    } catch (error) {
+      // A bad access setting must not take the server down with it
+      logger.error(`Error checking connection from ${ipAddress}`, error);
+      result = { allowed: false, code: 500, reason: 'Internal server error' };
+    }
+    
+    if (!result.allowed) {
+      logger.warn(`Rejected connection from ${ipAddress}${info.origin ? ` (origin ${info.origin})` : ''}: ${result.reason}`);
+      
+      this.emit('connectionRejected', {
+        ipAddress,
+        origin: info.origin,
+        reason: result.reason,
+        timestamp: Date.now()
+      });
+    }
+    
+    callback(result.allowed, result.code, result.reason);
+  }
+  
   /**
    * Handle a new WebSocket connection
    */
   handleConnection(ws, req) {
+    // Model Context Protocol clients select JSON-RPC up front with the
+    // "mcp" subprotocol or the /mcp path; others may switch by sending it
+    const isMcpClient = ws.protocol === 'mcp' || (req.url || '').split('?')[0] === '/mcp';
+    
     const connectionId = this.connectionManager.addConnection(ws, {
       req,
       ipAddress: req.socket.remoteAddress,
-      userAgent: req.headers['user-agent']
+      userAgent: req.headers['user-agent'],
+      protocol: isMcpClient ? 'jsonrpc' : 'message'
     });
     
-    if (connectionId) {
+    if (connectionId && !isMcpClient) {
       // Send welcome message
       this.connectionManager.sendMessage(connectionId, MESSAGE_TYPES.SYSTEM_INFO, {
         name: 'Claude UI MCP Server',
@@ -234,27 +501,19 @@ class MCPServer extends EventEmitter {
     const context = {
       connectionId,
       server: this,
+      roles: this.connectionManager.getRoles(connectionId),
+      request: this.createRequester(connectionId),
       timestamp: Date.now()
     };
     
     try {
-      // First check if any plugin wants to handle this message
-      const pluginResults = await pluginManager.callPluginMethod('handleMessage', message, context);
-      
-      // Check if any plugin handled the message
-      const handled = pluginResults.some(result => result.result === true);
-      
-      if (handled) {
-        logger.debug(`Message of type ${message.type} handled by plugin`);
-        return;
-      }
-      
-      // Process with the message handler
+      // Run the middleware chain (access policy, plugins, ...) and the handler
       const response = await messageHandler.processMessage(message, context);
       
-      if (response) {
+      // A connection that closed mid-request has no one to reply to
+      if (response && this.connectionManager.connections.has(connectionId)) {
         // Send response back to client
-        this.connectionManager.sendMessage(connectionId, response.type, response.data);
+        this.connectionManager.sendReply(connectionId, message, response.type, response.data);
       }
       
       // Emit message event for external handlers
@@ -270,112 +529,660 @@ class MCPServer extends EventEmitter {
       // Send error message to client
       this.connectionManager.sendError(connectionId, 500, 'Error processing message', {
         error: error.message
+      }, message);
+    }
+  }
+  
+  /**
+   * Handle a JSON-RPC (Model Context Protocol) message from a client
+   */
+  async handleRpcMessage(connectionId, message) {
+    let session = this.mcpHandler.getSession(connectionId);
+    
+    if (!session) {
+      const connection = this.connectionManager.getConnection(connectionId);
+      
+      session = this.mcpHandler.createSession(connectionId, {
+        transport: connection ? connection.transport : 'websocket',
+        send: (payload) => this.connectionManager.sendRaw(connectionId, payload),
+        context: {
+          connectionId,
+          server: this,
+          request: this.createRequester(connectionId)
+        }
+      });
+    }
+    
+    const context = {
+      connectionId,
+      server: this,
+      protocol: 'jsonrpc',
+      session,
+      roles: this.connectionManager.getRoles(connectionId),
+      timestamp: Date.now()
+    };
+    
+    try {
+      let response = await messageHandler.processMessage({ type: 'jsonrpc', data: message }, context);
+      
+      // A middleware that failed answers in the custom message format
+      if (response && !isJsonRpcMessage(response)) {
+        response = createRpcErrorResponse(message, JSONRPC_ERRORS.INTERNAL_ERROR, 'Internal error');
+      }
+      
+      if (response) {
+        this.connectionManager.sendRaw(connectionId, response);
+      }
+      
+      this.emit('message', {
+        connectionId,
+        message,
+        timestamp: Date.now(),
+        response
       });
+    } catch (error) {
+      logger.error(`Error handling JSON-RPC message from ${connectionId}`, error);
     }
   }
   
   /**
    * Register a message handler
    */
-  registerMessageHandler(type, handler) {
-    messageHandler.registerHandler(type, handler);
+  registerMessageHandler(type, handler, options = {}) {
+    messageHandler.registerHandler(type, handler, options);
   }
   
   /**
-   * Register built-in message handlers
+   * Subscribe to a message type or namespace alongside its handler; any
+   * number of subscribers may share a type. Returns an unsubscribe function.
    */
-  registerBuiltInHandlers() {
-    // Server info handler
-    this.registerMessageHandler('server.info', async (message, context) => {
-      return {
-        type: 'server.info.response',
-        data: {
-          name: 'Claude UI MCP Server',
-          version: '0.1.0',
-          uptime: this.isRunning ? Math.floor((Date.now() - this.startTime) / 1000) : 0,
-          connections: this.connectionManager.getStatus(),
-          config: {
-            host: this.host,
-            port: this.port
-          },
-          plugins: pluginManager.getPlugins(),
-          timestamp: Date.now()
-        }
-      };
-    });
+  subscribe(type, subscriber, options = {}) {
+    return messageHandler.subscribe(type, subscriber, options);
+  }
+  
+  /**
+   * Register the built-in middleware, handlers and listeners on the shared
+   * message handler. A server registers them while it runs, so a stopped
+   * server leaves nothing behind for the next one.
+   */
+  registerBuiltIns() {
+    if (this.builtIns) {
+      return;
+    }
     
-    // Custom echo handler with server timestamp
-    this.registerMessageHandler('server.echo', async (message, context) => {
-      return {
-        type: 'server.echo.response',
-        data: {
-          echo: message.data,
-          server_timestamp: Date.now(),
-          message_timestamp: message.timestamp
-        }
-      };
-    });
+    this.builtIns = {
+      middleware: [],
+      handlers: new Map(),
+      onUnhandled: (data) => {
+        logger.debug(`Unhandled message type: ${data.message.type}`);
+      }
+    };
     
-    // Proxy request handler
-    this.registerMessageHandler('proxy.request', async (message, context) => {
-      try {
-        const { route, endpoint, method, data, headers } = message.data;
+    this.registerBuiltInMiddleware();
+    this.registerBuiltInHandlers();
+    messageHandler.on('unhandled', this.builtIns.onUnhandled);
+  }
+  
+  /**
+   * Remove what registerBuiltIns() added, except middleware and handlers
+   * that have since been replaced
+   */
+  unregisterBuiltIns() {
+    if (!this.builtIns) {
+      return;
+    }
+    
+    this.builtIns.middleware.forEach(remove => remove());
+    
+    for (const [type, handler] of this.builtIns.handlers.entries()) {
+      messageHandler.unregisterHandler(type, handler);
+    }
+    
+    messageHandler.removeListener('unhandled', this.builtIns.onUnhandled);
+    this.builtIns = null;
+  }
+  
+  /**
+   * Add a built-in middleware, remembering it for unregisterBuiltIns()
+   */
+  useBuiltIn(fn, options) {
+    this.builtIns.middleware.push(messageHandler.use(fn, options));
+  }
+  
+  /**
+   * Register a built-in handler, remembering it for unregisterBuiltIns()
+   */
+  registerBuiltInHandler(type, handler, options = {}) {
+    this.builtIns.handlers.set(type, handler);
+    messageHandler.registerHandler(type, handler, options);
+  }
+  
+  /**
+   * Register the built-in middleware. Plugins and embedders can add their
+   * own with messageHandler.use(), and replace or remove these by name.
+   * Custom messages and JSON-RPC messages (wrapped as { type: 'jsonrpc',
+   * data }, with context.protocol 'jsonrpc') share the first part of the
+   * chain: rate-limit, authentication, validation, then system (answered
+   * by the connection manager) and mcp (answered by the MCP handler).
+   */
+  registerBuiltInMiddleware() {
+    // Charge each message (each request of a JSON-RPC batch) against the
+    // connection's rate limits before any work is done for it
+    this.useBuiltIn(async (message, context, next) => {
+      const connection = this.connectionManager.connections.get(context.connectionId);
+      const rpc = context.protocol === 'jsonrpc';
+      
+      if (!connection) {
+        return next();
+      }
+      
+      // Responses to our own requests don't count against the client's limits
+      const types = rpc
+        ? [].concat(message.data)
+          .filter(item => item && typeof item === 'object' && !isResponse(item))
+          .map(item => item.method)
+        : [message.type];
+      
+      for (const type of types) {
+        const limited = this.connectionManager.checkRateLimit(connection, type);
         
-        if (!route || !endpoint) {
-          return {
-            type: 'proxy.error',
-            data: {
-              error: 'Missing required parameters: route, endpoint',
-              timestamp: Date.now()
-            }
-          };
+        if (!limited) {
+          continue;
         }
         
-        const response = await proxyHandler.forwardRequest(
-          route,
-          endpoint,
-          method || 'GET',
-          data,
-          headers
-        );
+        if (rpc) {
+          return createRpcErrorResponse(message.data, JSONRPC_ERRORS.RATE_LIMITED, 'Rate limit exceeded', limited);
+        }
         
         return {
-          type: 'proxy.response',
-          data: {
-            route,
-            endpoint,
-            response,
-            timestamp: Date.now()
-          }
-        };
-      } catch (error) {
-        return {
-          type: 'proxy.error',
+          type: MESSAGE_TYPES.SYSTEM_RATE_LIMITED,
           data: {
-            error: error.message || 'Error processing proxy request',
-            details: error,
-            timestamp: Date.now()
+            code: ERROR_CODES.RATE_LIMITED,
+            message: 'Rate limit exceeded',
+            ...limited
           }
         };
       }
-    });
+      
+      return next();
+    }, { name: 'rate-limit' });
     
-    // Plugin management handlers
-    this.registerMessageHandler('plugins.list', async (message, context) => {
+    // Once security.authRequired is on, only system.auth and system.resume
+    // get through for a connection that hasn't authenticated
+    this.useBuiltIn(async (message, context, next) => {
+      const connection = this.connectionManager.connections.get(context.connectionId);
+      const rpc = context.protocol === 'jsonrpc';
+      
+      if (!connection || !this.connectionManager.authRequired || this.connectionManager.checkAuthentication(connection)) {
+        return next();
+      }
+      
+      if (!rpc && (message.type === MESSAGE_TYPES.SYSTEM_AUTH || message.type === MESSAGE_TYPES.SYSTEM_RESUME)) {
+        return next();
+      }
+      
+      logger.warn(`Unauthenticated ${rpc ? 'JSON-RPC' : message.type} message from ${context.connectionId}`);
+      connection.stats.errors++;
+      
+      if (rpc) {
+        return createRpcErrorResponse(message.data, JSONRPC_ERRORS.UNAUTHORIZED, 'Authentication required');
+      }
+      
       return {
-        type: 'plugins.list.response',
+        type: MESSAGE_TYPES.SYSTEM_ERROR,
         data: {
-          plugins: pluginManager.getPlugins(),
-          timestamp: Date.now()
+          code: ERROR_CODES.UNAUTHORIZED,
+          message: 'Authentication required',
+          details: {}
         }
       };
-    });
+    }, { name: 'authentication' });
     
-    this.registerMessageHandler('plugins.enable', async (message, context) => {
-      const { name } = message.data;
+    // Check the payload against the schema registered for its type
+    this.useBuiltIn(async (message, context, next) => {
+      if (context.protocol === 'jsonrpc') {
+        return next();
+      }
       
-      if (!name) {
-        return {
+      const validation = this.protocol.validateMessageData(message);
+      
+      if (validation.valid) {
+        return next();
+      }
+      
+      const connection = this.connectionManager.connections.get(context.connectionId);
+      
+      logger.warn(`Invalid ${message.type} message from ${context.connectionId}: ${validation.error}`);
+      
+      if (connection) {
+        connection.stats.errors++;
+      }
+      
+      return {
+        type: MESSAGE_TYPES.SYSTEM_ERROR,
+        data: {
+          code: ERROR_CODES.INVALID_FORMAT,
+          message: validation.error,
+          details: {
+            pointer: validation.pointer,
+            errors: validation.errors
+          }
+        }
+      };
+    }, { name: 'validation' });
+    
+    // System messages (ping, auth, register, resume) are answered by the
+    // connection manager and go no further
+    this.useBuiltIn(async (message, context, next) => {
+      if (context.protocol === 'jsonrpc' || !message.type.startsWith('system.')) {
+        return next();
+      }
+      
+      if (this.connectionManager.connections.has(context.connectionId)) {
+        this.connectionManager.handleSystemMessage(context.connectionId, message);
+      }
+      
+      return null;
+    }, { name: 'system' });
+    
+    // JSON-RPC messages go to the MCP handler, which applies the access
+    // policy and timeouts per method itself
+    this.useBuiltIn(async (message, context, next) => {
+      if (context.protocol !== 'jsonrpc') {
+        return next();
+      }
+      
+      return this.mcpHandler.handleMessage(context.session, message.data);
+    }, { name: 'mcp' });
+    
+    // Give every handler an AbortSignal (context.signal) that fires when the
+    // message's timeout passes or the client cancels it with request.cancel,
+    // answering with a TIMEOUT or CANCELLED error instead of waiting
+    this.useBuiltIn(async (message, context, next) => {
+      // A reused id would make request.cancel ambiguous
+      if (message.id && this.inFlightRequests.has(`${context.connectionId}:${message.id}`)) {
+        logger.warn(`Rejected ${message.type} from ${context.connectionId}: request ${message.id} is still in flight`);
+        
+        return {
+          type: MESSAGE_TYPES.SYSTEM_ERROR,
+          data: {
+            code: ERROR_CODES.INVALID_FORMAT,
+            message: `Duplicate request id: ${message.id} is still in flight`,
+            details: { requestId: message.id }
+          }
+        };
+      }
+      
+      const timeout = this.getHandlerTimeout(message.type);
+      const controller = new AbortController();
+      const request = {
+        id: message.id || crypto.randomUUID(),
+        connectionId: context.connectionId,
+        type: message.type,
+        startTime: Date.now(),
+        timeout,
+        controller
+      };
+      const key = `${request.connectionId}:${request.id}`;
+      
+      context.signal = controller.signal;
+      this.inFlightRequests.set(key, request);
+      
+      const timer = timeout > 0 ? setTimeout(() => {
+        controller.abort(this.createRequestError(ERROR_CODES.TIMEOUT, `${message.type} timed out after ${timeout}ms`));
+      }, timeout) : null;
+      
+      const aborted = new Promise((resolve) => {
+        controller.signal.addEventListener('abort', () => {
+          const reason = controller.signal.reason;
+          
+          logger.warn(`Aborted ${message.type} from ${context.connectionId}: ${reason.message}`);
+          
+          resolve({
+            type: MESSAGE_TYPES.SYSTEM_ERROR,
+            data: {
+              code: reason.code,
+              message: reason.message,
+              details: { requestId: request.id }
+            }
+          });
+        }, { once: true });
+      });
+      
+      try {
+        return await Promise.race([next(), aborted]);
+      } finally {
+        clearTimeout(timer);
+        
+        if (this.inFlightRequests.get(key) === request) {
+          this.inFlightRequests.delete(key);
+        }
+      }
+    }, { name: 'in-flight' });
+    
+    // Count messages and time their handling per type
+    this.useBuiltIn(async (message, context, next) => {
+      const startTime = Date.now();
+      let failed = false;
+      
+      try {
+        return await next();
+      } catch (error) {
+        failed = true;
+        throw error;
+      } finally {
+        const duration = Date.now() - startTime;
+        const metrics = this.messageMetrics.get(message.type) || { count: 0, errors: 0, totalDuration: 0, maxDuration: 0 };
+        
+        metrics.count++;
+        metrics.errors += failed ? 1 : 0;
+        metrics.totalDuration += duration;
+        metrics.maxDuration = Math.max(metrics.maxDuration, duration);
+        this.messageMetrics.set(message.type, metrics);
+        
+        logger.debug(`Handled ${message.type} from ${context.connectionId} in ${duration}ms`);
+      }
+    }, { name: 'metrics' });
+    
+    // Enforce the access policy before any plugin or handler sees the message
+    this.useBuiltIn(async (message, context, next) => {
+      if (accessPolicy.isAllowed(context.roles, message.type)) {
+        return next();
+      }
+      
+      const requiredRole = accessPolicy.getRequiredRole(message.type);
+      
+      logger.warn(`Forbidden ${message.type} from ${context.connectionId} (requires ${requiredRole})`);
+      
+      return {
+        type: MESSAGE_TYPES.SYSTEM_ERROR,
+        data: {
+          code: ERROR_CODES.FORBIDDEN,
+          message: `Forbidden: ${message.type} requires the ${requiredRole} role`,
+          details: {
+            requiredRole,
+            roles: context.roles
+          }
+        }
+      };
+    }, { name: 'access-policy' });
+    
+    // Let plugins' handleMessage hooks claim a message; a claimed message
+    // gets no response from the server
+    this.useBuiltIn(async (message, context, next) => {
+      const pluginResults = await pluginManager.callPluginMethod('handleMessage', message, context);
+      
+      if (pluginResults.some(result => result.result === true)) {
+        logger.debug(`Message of type ${message.type} handled by plugin`);
+        return null;
+      }
+      
+      return next();
+    }, { name: 'plugins' });
+  }
+  
+  /**
+   * Get the handler timeout for a message type or MCP method from
+   * server.handlerTimeouts (by type, then namespace), falling back to
+   * server.handlerTimeout
+   */
+  getHandlerTimeout(type) {
+    const timeouts = configManager.get('server.handlerTimeouts', {});
+    const namespace = type.split(/[./]/)[0];
+    
+    if (timeouts[type] !== undefined) {
+      return timeouts[type];
+    }
+    
+    if (timeouts[namespace] !== undefined) {
+      return timeouts[namespace];
+    }
+    
+    return configManager.get('server.handlerTimeout', 60000);
+  }
+  
+  /**
+   * Get requests whose handlers are still running, including MCP requests,
+   * optionally for a single connection
+   */
+  getInFlightRequests(connectionId = null) {
+    return Array.from(this.inFlightRequests.values())
+      .filter(request => !connectionId || request.connectionId === connectionId)
+      .map(request => ({
+        id: request.id,
+        connectionId: request.connectionId,
+        type: request.type,
+        startTime: request.startTime,
+        elapsed: Date.now() - request.startTime,
+        timeout: request.timeout
+      }))
+      .concat(this.mcpHandler.getInFlightRequests(connectionId));
+  }
+  
+  /**
+   * Abort a connection's in-flight request by its message id
+   */
+  cancelRequest(connectionId, id, reason = 'Request cancelled') {
+    const request = this.inFlightRequests.get(`${connectionId}:${id}`);
+    
+    if (!request || request.controller.signal.aborted) {
+      return false;
+    }
+    
+    request.controller.abort(this.createRequestError(ERROR_CODES.CANCELLED, `${reason}: ${request.type}`));
+    
+    return true;
+  }
+  
+  /**
+   * Get per-type message counts and handling times
+   */
+  getMessageMetrics() {
+    return Array.from(this.messageMetrics.entries()).map(([type, metrics]) => ({
+      type,
+      count: metrics.count,
+      errors: metrics.errors,
+      averageDuration: Math.round(metrics.totalDuration / metrics.count),
+      maxDuration: metrics.maxDuration
+    }));
+  }
+  
+  /**
+   * Register built-in message handlers
+   */
+  registerBuiltInHandlers() {
+    // Server info handler
+    this.registerBuiltInHandler('server.info', async (message, context) => {
+      return {
+        type: 'server.info.response',
+        data: {
+          name: 'Claude UI MCP Server',
+          version: '0.1.0',
+          uptime: this.isRunning ? Math.floor((Date.now() - this.startTime) / 1000) : 0,
+          connections: this.connectionManager.getStatus(),
+          config: {
+            host: this.host,
+            port: this.port
+          },
+          plugins: pluginManager.getPlugins(),
+          timestamp: Date.now()
+        }
+      };
+    });
+    
+    // Custom echo handler with server timestamp
+    this.registerBuiltInHandler('server.echo', async (message, context) => {
+      return {
+        type: 'server.echo.response',
+        data: {
+          echo: message.data,
+          server_timestamp: Date.now(),
+          message_timestamp: message.timestamp
+        }
+      };
+    });
+    
+    // Proxy request handler
+    this.registerBuiltInHandler('proxy.request', async (message, context) => {
+      try {
+        const { route, endpoint, method, data, headers } = message.data;
+        
+        if (!route || !endpoint) {
+          return {
+            type: 'proxy.error',
+            data: {
+              error: 'Missing required parameters: route, endpoint',
+              timestamp: Date.now()
+            }
+          };
+        }
+        
+        const response = await proxyHandler.forwardRequest(
+          route,
+          endpoint,
+          method || 'GET',
+          data,
+          headers,
+          { signal: context.signal }
+        );
+        
+        return {
+          type: 'proxy.response',
+          data: {
+            route,
+            endpoint,
+            response,
+            timestamp: Date.now()
+          }
+        };
+      } catch (error) {
+        return {
+          type: 'proxy.error',
+          data: {
+            error: error.message || 'Error processing proxy request',
+            details: error,
+            timestamp: Date.now()
+          }
+        };
+      }
+    }, { schema: MESSAGE_SCHEMAS['proxy.request'] });
+    
+    // Claude query handler
+    this.registerBuiltInHandler(MESSAGE_TYPES.CLAUDE_QUERY, async (message, context) => {
+      try {
+        const response = await this.queryClaude(context.connectionId, message.data, message, context.signal);
+
+        return {
+          type: MESSAGE_TYPES.CLAUDE_RESPONSE,
+          data: response
+        };
+      } catch (error) {
+        return {
+          type: MESSAGE_TYPES.CLAUDE_ERROR,
+          data: this.formatClaudeError(error, 'Error querying Claude')
+        };
+      }
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CLAUDE_QUERY] });
+
+    // Claude streaming handler
+    this.registerBuiltInHandler(MESSAGE_TYPES.CLAUDE_STREAM, async (message, context) => {
+      let request;
+
+      try {
+        request = this.prepareClaudeRequest(context.connectionId, message.data);
+
+        const { streamId } = message.data || {};
+
+        if (streamId && this.activeStreams.has(this.getStreamKey(context.connectionId, streamId))) {
+          const error = this.createRequestError(ERROR_CODES.INVALID_FORMAT, `Stream already active: ${streamId}`);
+          error.statusCode = 409;
+          throw error;
+        }
+      } catch (error) {
+        return {
+          type: MESSAGE_TYPES.CLAUDE_ERROR,
+          data: this.formatClaudeError(error, 'Error streaming Claude response')
+        };
+      }
+
+      // Stream frames are sent directly to the connection as they arrive
+      await this.streamClaudeResponse(context.connectionId, {
+        ...message.data,
+        ...request,
+        signal: context.signal
+      }, message);
+      return null;
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CLAUDE_STREAM] });
+
+    // Schema listing handler, for client code generation
+    this.registerBuiltInHandler(MESSAGE_TYPES.PROTOCOL_SCHEMA, async (message, context) => {
+      const { type } = message.data || {};
+      const schemas = schemaRegistry.getSchemas();
+      
+      return {
+        type: 'protocol.schema.response',
+        data: {
+          schemas: type ? { [type]: schemas[type] || null } : schemas,
+          timestamp: Date.now()
+        }
+      };
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.PROTOCOL_SCHEMA] });
+    
+    // System messages are handled by the connection manager but validated here
+    for (const type of [
+      MESSAGE_TYPES.SYSTEM_AUTH,
+      MESSAGE_TYPES.SYSTEM_AUTH_REVOKE,
+      MESSAGE_TYPES.SYSTEM_REGISTER,
+      MESSAGE_TYPES.SYSTEM_RESUME
+    ]) {
+      schemaRegistry.registerSchema(type, MESSAGE_SCHEMAS[type]);
+    }
+    
+    // Tool listing handler
+    this.registerBuiltInHandler('tools.list', async (message, context) => {
+      return {
+        type: 'tools.list.response',
+        data: {
+          tools: toolRegistry.getTools(),
+          timestamp: Date.now()
+        }
+      };
+    });
+
+    // Conversation handlers
+    this.registerConversationHandlers();
+    
+    // Pub/sub channel handlers
+    this.registerChannelHandlers();
+    
+    // In-flight request handlers
+    this.registerRequestHandlers();
+    
+    // Server status resource for Model Context Protocol clients
+    this.registerResource({
+      uri: 'claude-ui-mcp://server/status',
+      name: 'Server status',
+      description: 'Current status of the Claude UI MCP Server',
+      mimeType: 'application/json',
+      read: async () => this.getStatus()
+    });
+
+    // Plugin management handlers
+    this.registerBuiltInHandler('plugins.list', async (message, context) => {
+      return {
+        type: 'plugins.list.response',
+        data: {
+          plugins: pluginManager.getPlugins(),
+          timestamp: Date.now()
+        }
+      };
+    });
+    
+    this.registerBuiltInHandler('plugins.enable', async (message, context) => {
+      const { name } = message.data;
+      
+      if (!name) {
+        return {
           type: 'plugins.error',
           data: {
             error: 'Missing plugin name',
@@ -394,9 +1201,9 @@ class MCPServer extends EventEmitter {
           timestamp: Date.now()
         }
       };
-    });
+    }, { schema: MESSAGE_SCHEMAS['plugins.enable'] });
     
-    this.registerMessageHandler('plugins.disable', async (message, context) => {
+    this.registerBuiltInHandler('plugins.disable', async (message, context) => {
       const { name } = message.data;
       
       if (!name) {
@@ -419,27 +1226,754 @@ class MCPServer extends EventEmitter {
           timestamp: Date.now()
         }
       };
+    }, { schema: MESSAGE_SCHEMAS['plugins.disable'] });
+    
+    // Ban management handlers
+    this.registerBuiltInHandler('bans.list', async (message, context) => {
+      return {
+        type: 'bans.list.response',
+        data: {
+          bans: this.getBans(),
+          timestamp: Date.now()
+        }
+      };
     });
+    
+    this.registerBuiltInHandler('bans.add', async (message, context) => {
+      const { ipAddress, duration, reason } = message.data;
+      const result = this.banAddress(ipAddress, duration, reason);
+      
+      return {
+        type: 'bans.add.response',
+        data: {
+          ...result,
+          timestamp: Date.now()
+        }
+      };
+    }, { schema: MESSAGE_SCHEMAS['bans.add'] });
+    
+    this.registerBuiltInHandler('bans.remove', async (message, context) => {
+      const { ipAddress } = message.data;
+      
+      return {
+        type: 'bans.remove.response',
+        data: {
+          ipAddress,
+          success: this.unbanAddress(ipAddress),
+          timestamp: Date.now()
+        }
+      };
+    }, { schema: MESSAGE_SCHEMAS['bans.remove'] });
   }
   
   /**
-   * Register a proxy route
-   */
-  registerProxyRoute(name, config) {
-    proxyHandler.registerRoute(name, config);
-  }
-  
-  /**
-   * Get server status
+   * Register conversation message handlers
    */
-  getStatus() {
-    return {
-      running: this.isRunning,
-      uptime: this.isRunning ? Math.floor((Date.now() - this.startTime) / 1000) : 0,
-      startTime: this.startTime,
+  registerConversationHandlers() {
+    this.registerBuiltInHandler(MESSAGE_TYPES.CONVERSATION_CREATE, async (message, context) => {
+      const { title, system, model, messages } = message.data || {};
+
+      try {
+        const conversation = conversationManager.createConversation(
+          this.getConversationOwner(context.connectionId),
+          { title, system, model, messages }
+        );
+
+        return {
+          type: 'conversation.create.response',
+          data: {
+            conversation,
+            timestamp: Date.now()
+          }
+        };
+      } catch (error) {
+        return this.createConversationError(error);
+      }
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CONVERSATION_CREATE] });
+
+    this.registerBuiltInHandler(MESSAGE_TYPES.CONVERSATION_APPEND, async (message, context) => {
+      const { id, messages, query } = message.data || {};
+
+      try {
+        const conversation = this.getOwnedConversation(context.connectionId, id);
+
+        if (!Array.isArray(messages) || messages.length === 0) {
+          throw this.createRequestError(ERROR_CODES.INVALID_FORMAT, 'Missing required parameter: messages');
+        }
+
+        const appended = conversationManager.appendMessages(conversation.id, messages);
+        const data = {
+          id: conversation.id,
+          appended,
+          messageCount: conversation.messages.length,
+          timestamp: Date.now()
+        };
+
+        // Optionally ask Claude to reply to the updated history
+        if (query) {
+          try {
+            data.response = await this.queryClaude(context.connectionId, {
+              ...message.data,
+              conversationId: conversation.id,
+              messages: []
+            }, message, context.signal);
+          } catch (error) {
+            data.error = this.formatClaudeError(error, 'Error querying Claude');
+          }
+        }
+
+        return {
+          type: 'conversation.append.response',
+          data
+        };
+      } catch (error) {
+        return this.createConversationError(error);
+      }
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CONVERSATION_APPEND] });
+
+    this.registerBuiltInHandler(MESSAGE_TYPES.CONVERSATION_GET, async (message, context) => {
+      const { id } = message.data || {};
+
+      try {
+        // Without an id, list the caller's conversations
+        if (!id) {
+          return {
+            type: 'conversation.get.response',
+            data: {
+              conversations: conversationManager.listConversations(
+                this.getConversationOwner(context.connectionId)
+              ),
+              timestamp: Date.now()
+            }
+          };
+        }
+
+        return {
+          type: 'conversation.get.response',
+          data: {
+            conversation: this.getOwnedConversation(context.connectionId, id),
+            timestamp: Date.now()
+          }
+        };
+      } catch (error) {
+        return this.createConversationError(error);
+      }
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CONVERSATION_GET] });
+
+    this.registerBuiltInHandler(MESSAGE_TYPES.CONVERSATION_FORK, async (message, context) => {
+      const { id, messageCount, title } = message.data || {};
+
+      try {
+        const source = this.getOwnedConversation(context.connectionId, id);
+        const conversation = conversationManager.forkConversation(
+          source.id,
+          this.getConversationOwner(context.connectionId),
+          { messageCount, title }
+        );
+
+        return {
+          type: 'conversation.fork.response',
+          data: {
+            conversation,
+            timestamp: Date.now()
+          }
+        };
+      } catch (error) {
+        return this.createConversationError(error);
+      }
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CONVERSATION_FORK] });
+
+    this.registerBuiltInHandler(MESSAGE_TYPES.CONVERSATION_DELETE, async (message, context) => {
+      const { id } = message.data || {};
+
+      try {
+        const conversation = this.getOwnedConversation(context.connectionId, id);
+
+        return {
+          type: 'conversation.delete.response',
+          data: {
+            id: conversation.id,
+            success: conversationManager.deleteConversation(conversation.id),
+            timestamp: Date.now()
+          }
+        };
+      } catch (error) {
+        return this.createConversationError(error);
+      }
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CONVERSATION_DELETE] });
+  }
+
+  /**
+   * Register handlers that list and cancel a client's in-flight requests
+   */
+  registerRequestHandlers() {
+    this.registerBuiltInHandler(MESSAGE_TYPES.REQUEST_CANCEL, async (message, context) => {
+      const { id } = message.data;
+
+      return {
+        type: 'request.cancel.response',
+        data: {
+          id,
+          cancelled: this.cancelRequest(context.connectionId, id),
+          timestamp: Date.now()
+        }
+      };
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.REQUEST_CANCEL] });
+
+    this.registerBuiltInHandler(MESSAGE_TYPES.REQUEST_LIST, async (message, context) => {
+      return {
+        type: 'request.list.response',
+        data: {
+          // Leave out this request itself
+          requests: this.getInFlightRequests(context.connectionId)
+            .filter(request => request.id !== message.id),
+          timestamp: Date.now()
+        }
+      };
+    });
+  }
+
+  /**
+   * Register pub/sub channel message handlers
+   */
+  registerChannelHandlers() {
+    this.registerBuiltInHandler(MESSAGE_TYPES.CHANNEL_SUBSCRIBE, async (message, context) => {
+      const { topic } = message.data;
+
+      try {
+        const retained = this.channelManager.subscribe(context.connectionId, topic);
+
+        // Replay retained messages once the client has its confirmation
+        setImmediate(() => {
+          for (const retainedMessage of retained) {
+            this.connectionManager.sendMessage(context.connectionId, MESSAGE_TYPES.CHANNEL_MESSAGE, retainedMessage);
+          }
+        });
+
+        return {
+          type: 'channel.subscribe.response',
+          data: {
+            topic,
+            subscribed: true,
+            retained: retained.length,
+            timestamp: Date.now()
+          }
+        };
+      } catch (error) {
+        return this.createChannelError(error, topic);
+      }
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CHANNEL_SUBSCRIBE] });
+
+    this.registerBuiltInHandler(MESSAGE_TYPES.CHANNEL_UNSUBSCRIBE, async (message, context) => {
+      const { topic } = message.data;
+
+      return {
+        type: 'channel.unsubscribe.response',
+        data: {
+          topic,
+          unsubscribed: this.channelManager.unsubscribe(context.connectionId, topic),
+          timestamp: Date.now()
+        }
+      };
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CHANNEL_UNSUBSCRIBE] });
+
+    this.registerBuiltInHandler(MESSAGE_TYPES.CHANNEL_PUBLISH, async (message, context) => {
+      const { topic, payload, retain, echo } = message.data;
+      const connection = this.connectionManager.getConnection(context.connectionId);
+
+      try {
+        const result = this.channelManager.publish({
+          connectionId: context.connectionId,
+          identity: connection ? connection.identity : null
+        }, topic, payload, { retain, echo });
+
+        return {
+          type: 'channel.publish.response',
+          data: {
+            topic,
+            messageId: result.message.messageId,
+            delivered: result.delivered,
+            retained: Boolean(retain),
+            timestamp: Date.now()
+          }
+        };
+      } catch (error) {
+        return this.createChannelError(error, topic);
+      }
+    }, { schema: MESSAGE_SCHEMAS[MESSAGE_TYPES.CHANNEL_PUBLISH] });
+
+    this.registerBuiltInHandler(MESSAGE_TYPES.CHANNEL_LIST, async (message, context) => {
+      return {
+        type: 'channel.list.response',
+        data: {
+          channels: this.channelManager.getChannels(context.connectionId),
+          subscriptions: this.channelManager.getSubscriptions(context.connectionId),
+          timestamp: Date.now()
+        }
+      };
+    });
+  }
+
+  /**
+   * Build a channel.error response
+   */
+  createChannelError(error, topic) {
+    return {
+      type: MESSAGE_TYPES.CHANNEL_ERROR,
+      data: {
+        code: error.code || ERROR_CODES.SERVER_ERROR,
+        error: error.message || 'Error processing channel request',
+        topic,
+        timestamp: Date.now()
+      }
+    };
+  }
+
+  /**
+   * Get the conversation owner for a connection: its authenticated
+   * identity, or when authentication is off the client id it gave in
+   * system.register, otherwise the connection itself. A self-asserted
+   * client id can't be trusted once authentication is required.
+   */
+  getConversationOwner(connectionId) {
+    const connection = this.connectionManager.getConnection(connectionId);
+
+    if (connection && connection.identity) {
+      return `identity:${connection.identity.id}`;
+    }
+
+    const clientId = !this.connectionManager.authRequired &&
+      connection && connection.clientInfo && connection.clientInfo.clientId;
+
+    return clientId ? `client:${clientId}` : `connection:${connectionId}`;
+  }
+
+  /**
+   * Get a conversation, ensuring it belongs to the connection's owner
+   */
+  getOwnedConversation(connectionId, id) {
+    if (!id) {
+      throw this.createRequestError(ERROR_CODES.INVALID_FORMAT, 'Missing required parameter: id');
+    }
+
+    const conversation = conversationManager.getConversation(id);
+
+    if (!conversation) {
+      throw this.createRequestError(ERROR_CODES.NOT_FOUND, `Conversation not found: ${id}`);
+    }
+
+    if (conversation.owner !== this.getConversationOwner(connectionId)) {
+      throw this.createRequestError(ERROR_CODES.FORBIDDEN, `Access denied to conversation: ${id}`);
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Create an error carrying a protocol error code
+   */
+  createRequestError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Build a conversation.error response
+   */
+  createConversationError(error) {
+    return {
+      type: MESSAGE_TYPES.CONVERSATION_ERROR,
+      data: {
+        code: error.code || ERROR_CODES.INVALID_FORMAT,
+        error: error.message || 'Error processing conversation request',
+        timestamp: Date.now()
+      }
+    };
+  }
+
+  /**
+   * Format an error from the Claude API or request preparation
+   */
+  formatClaudeError(error, defaultMessage) {
+    return {
+      code: error.code || ERROR_CODES.SERVER_ERROR,
+      statusCode: error.statusCode || 500,
+      error: error.message || defaultMessage,
+      details: error.data || error.error,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Resolve the message history and options for a Claude request,
+   * prepending stored history when a conversation is referenced
+   */
+  prepareClaudeRequest(connectionId, data = {}) {
+    const { conversationId, model, system, temperature, maxTokens } = data;
+    const newMessages = Array.isArray(data.messages) ? data.messages : [];
+    const conversation = conversationId
+      ? this.getOwnedConversation(connectionId, conversationId)
+      : null;
+
+    const messages = conversation
+      ? conversation.messages.concat(newMessages)
+      : newMessages;
+
+    if (messages.length === 0) {
+      throw this.createRequestError(ERROR_CODES.INVALID_FORMAT, 'Missing required parameter: messages');
+    }
+
+    // Offer every registered tool unless the client narrows or disables them
+    const tools = data.tools === false
+      ? []
+      : toolRegistry.getToolDefinitions(Array.isArray(data.tools) ? data.tools : null);
+
+    return {
+      conversation,
+      newMessages,
+      messages,
+      model: model || (conversation && conversation.model) || undefined,
+      system: system || (conversation && conversation.system) || undefined,
+      temperature,
+      maxTokens,
+      tools,
+      toolChoice: data.toolChoice
+    };
+  }
+
+  /**
+   * Send a query to Claude and record the exchange in its conversation, if
+   * any. Aborting signal stops the exchange between and during API calls.
+   */
+  async queryClaude(connectionId, data, requestMessage = null, signal = null) {
+    const request = this.prepareClaudeRequest(connectionId, data);
+    const maxIterations = configManager.get('api.claude.maxToolIterations', 10);
+
+    // Messages produced during this exchange, recorded in the conversation at the end
+    const exchange = [...request.newMessages];
+    const messages = [...request.messages];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let toolCalls = 0;
+    let response;
+
+    for (let iteration = 0; ; iteration++) {
+      response = await anthropicApi.query(messages, {
+        model: request.model,
+        system: request.system,
+        temperature: request.temperature,
+        maxTokens: request.maxTokens,
+        tools: request.tools,
+        toolChoice: request.toolChoice,
+        signal
+      });
+
+      if (response.usage) {
+        usage.input_tokens += response.usage.input_tokens || 0;
+        usage.output_tokens += response.usage.output_tokens || 0;
+      }
+
+      const assistantMessage = { role: 'assistant', content: response.content };
+      messages.push(assistantMessage);
+      exchange.push(assistantMessage);
+
+      if (response.stop_reason !== 'tool_use') {
+        break;
+      }
+
+      if (iteration + 1 >= maxIterations) {
+        logger.warn(`Stopping tool loop for ${connectionId} after ${maxIterations} iterations`);
+
+        // Answer the unrun tool calls so the recorded history stays valid
+        // for the next request in the conversation
+        exchange.push({
+          role: 'user',
+          content: response.content
+            .filter(block => block.type === 'tool_use')
+            .map(toolUse => ({
+              type: 'tool_result',
+              tool_use_id: toolUse.id,
+              content: `Not run: the tool use limit of ${maxIterations} iterations was reached`,
+              is_error: true
+            }))
+        });
+
+        if (request.conversation) {
+          this.recordExchange(request.conversation.id, exchange);
+        }
+
+        const error = this.createRequestError(ERROR_CODES.SERVER_ERROR,
+          `Claude was still calling tools after ${maxIterations} iterations (api.claude.maxToolIterations)`);
+        error.data = {
+          conversationId: request.conversation ? request.conversation.id : undefined,
+          iterations: maxIterations,
+          toolCalls,
+          usage
+        };
+        throw error;
+      }
+
+      const toolResults = await this.executeToolUses(connectionId, response.content, requestMessage, signal);
+
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+      toolCalls += toolResults.length;
+
+      const toolResultMessage = { role: 'user', content: toolResults };
+      messages.push(toolResultMessage);
+      exchange.push(toolResultMessage);
+    }
+
+    if (request.conversation) {
+      this.recordExchange(request.conversation.id, exchange);
+    }
+
+    return {
+      id: response.id,
+      conversationId: request.conversation ? request.conversation.id : undefined,
+      model: response.model,
+      content: response.content,
+      stopReason: response.stop_reason,
+      usage,
+      toolCalls,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Record the messages of a Claude exchange in its conversation, which may
+   * have been deleted while Claude was answering
+   */
+  recordExchange(conversationId, messages) {
+    if (!conversationManager.getConversation(conversationId)) {
+      const error = this.createRequestError(ERROR_CODES.NOT_FOUND,
+        `Conversation deleted before the response could be recorded: ${conversationId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    try {
+      conversationManager.appendMessages(conversationId, messages);
+    } catch (error) {
+      throw this.createRequestError(ERROR_CODES.INVALID_FORMAT, `Could not record the response: ${error.message}`);
+    }
+  }
+
+  /**
+   * Execute the tool_use blocks of a response, reporting progress to the
+   * client, and return the matching tool_result blocks
+   */
+  async executeToolUses(connectionId, content, requestMessage = null, signal = null) {
+    const results = [];
+    const toolUses = (content || []).filter(block => block.type === 'tool_use');
+
+    for (const toolUse of toolUses) {
+      this.connectionManager.sendReply(connectionId, requestMessage, MESSAGE_TYPES.CLAUDE_TOOL_USE, {
+        toolUseId: toolUse.id,
+        name: toolUse.name,
+        input: toolUse.input,
+        timestamp: Date.now()
+      });
+
+      const result = await toolRegistry.executeTool(toolUse.name, toolUse.input, {
+        connectionId,
+        server: this,
+        request: this.createRequester(connectionId),
+        signal,
+        toolUseId: toolUse.id
+      });
+
+      this.connectionManager.sendReply(connectionId, requestMessage, MESSAGE_TYPES.CLAUDE_TOOL_RESULT, {
+        toolUseId: toolUse.id,
+        name: toolUse.name,
+        content: result.content,
+        isError: result.isError,
+        timestamp: Date.now()
+      });
+
+      results.push({
+        type: 'tool_result',
+        tool_use_id: toolUse.id,
+        content: result.content,
+        is_error: result.isError || undefined
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Stream a Claude response to a connection as claude.stream.* frames
+   */
+  streamClaudeResponse(connectionId, params, requestMessage = null) {
+    const { messages, model, system, temperature, maxTokens, conversation, signal } = params;
+    const streamId = params.streamId || crypto.randomUUID();
+    const streamKey = this.getStreamKey(connectionId, streamId);
+
+    const stream = {
+      id: streamId,
+      connectionId,
+      sequence: 0,
+      startTime: Date.now()
+    };
+
+    this.activeStreams.set(streamKey, stream);
+
+    // Send a frame tagged with the stream id and the next sequence number
+    const sendFrame = (type, data = {}) => {
+      this.connectionManager.sendReply(connectionId, requestMessage, type, {
+        streamId,
+        sequence: stream.sequence++,
+        ...data,
+        timestamp: Date.now()
+      });
+    };
+
+    return new Promise((resolve) => {
+      let finished = false;
+
+      const finish = () => {
+        finished = true;
+        this.activeStreams.delete(streamKey);
+        resolve(streamId);
+      };
+
+      anthropicApi.streamResponse(messages, {
+        onStart: () => {
+          if (finished) return;
+          sendFrame(MESSAGE_TYPES.CLAUDE_STREAM_START, { model: model || anthropicApi.defaultModel });
+        },
+        onContent: (text, index) => {
+          if (finished) return;
+          sendFrame(MESSAGE_TYPES.CLAUDE_STREAM_CONTENT, { text, index });
+        },
+        onDone: (result = {}) => {
+          if (finished) return;
+          
+          if (conversation && result.message) {
+            try {
+              this.recordExchange(conversation.id, [
+                ...params.newMessages,
+                { role: 'assistant', content: result.message.content }
+              ]);
+            } catch (error) {
+              sendFrame(MESSAGE_TYPES.CLAUDE_ERROR, this.formatClaudeError(error, 'Error recording Claude response'));
+              finish();
+              return;
+            }
+          }
+          
+          sendFrame(MESSAGE_TYPES.CLAUDE_STREAM_END, {
+            messageId: result.message && result.message.id,
+            conversationId: conversation ? conversation.id : undefined,
+            stopReason: result.stopReason,
+            usage: result.usage,
+            duration: Date.now() - stream.startTime
+          });
+          finish();
+        },
+        onError: (error) => {
+          if (finished) return;
+
+          // Whoever aborted the stream reports it
+          if (error.cancelled) {
+            finish();
+            return;
+          }
+
+          sendFrame(MESSAGE_TYPES.CLAUDE_ERROR, {
+            code: ERROR_CODES.SERVER_ERROR,
+            statusCode: error.statusCode || 500,
+            error: error.message || 'Error streaming Claude response',
+            details: error.error
+          });
+          finish();
+        }
+      }, {
+        model,
+        system,
+        temperature,
+        maxTokens,
+        signal
+      });
+    });
+  }
+
+  /**
+   * Create a request(type, data, options) function bound to a connection,
+   * for handlers, plugins and tools that need to ask the client something
+   * (e.g. confirmation before running a tool)
+   */
+  createRequester(connectionId) {
+    return (type, data, options) => this.connectionManager.request(connectionId, type, data, options);
+  }
+
+  /**
+   * Get the activeStreams key of a stream. Stream ids may come from
+   * clients, so they are only unique per connection.
+   */
+  getStreamKey(connectionId, streamId) {
+    return `${connectionId}:${streamId}`;
+  }
+
+  /**
+   * Get active Claude streams, optionally for a single connection
+   */
+  getActiveStreams(connectionId = null) {
+    return Array.from(this.activeStreams.values())
+      .filter(stream => !connectionId || stream.connectionId === connectionId)
+      .map(stream => ({
+        id: stream.id,
+        connectionId: stream.connectionId,
+        sequence: stream.sequence,
+        startTime: stream.startTime
+      }));
+  }
+
+  /**
+   * Register a tool that Claude can call
+   */
+  registerTool(tool) {
+    toolRegistry.registerTool(tool);
+  }
+  
+  /**
+   * Register a resource for Model Context Protocol clients
+   */
+  registerResource(resource) {
+    resourceRegistry.registerResource(resource);
+  }
+  
+  /**
+   * Register a prompt for Model Context Protocol clients
+   */
+  registerPrompt(prompt) {
+    promptRegistry.registerPrompt(prompt);
+  }
+  
+  /**
+   * Register a proxy route
+   */
+  registerProxyRoute(name, config) {
+    proxyHandler.registerRoute(name, config);
+  }
+  
+  /**
+   * Get server status
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      transport: this.transport,
+      uptime: this.isRunning ? Math.floor((Date.now() - this.startTime) / 1000) : 0,
+      startTime: this.startTime,
       host: this.host,
       port: this.port,
+      url: this.transport === 'websocket' ? this.getUrl() : null,
+      tls: this.tls.enabled ? tlsManager.getInfo() : null,
       connections: this.connectionManager.getStatus(),
+      messages: this.getMessageMetrics(),
       config: {
         host: this.host,
         port: this.port
@@ -454,6 +1988,153 @@ class MCPServer extends EventEmitter {
     return this.connectionManager.getConnections();
   }
   
+  /**
+   * Close a client's connection
+   */
+  disconnectClient(connectionId) {
+    return this.connectionManager.removeConnection(connectionId, DISCONNECT_REASONS.KICKED);
+  }
+  
+  /**
+   * Get loaded plugins
+   */
+  getPlugins() {
+    return pluginManager.getPlugins();
+  }
+  
+  /**
+   * Get a loaded plugin, or null if it isn't loaded
+   */
+  getPlugin(name) {
+    return pluginManager.getPlugin(name);
+  }
+  
+  /**
+   * Enable a loaded plugin
+   */
+  enablePlugin(name) {
+    return pluginManager.enablePlugin(name);
+  }
+  
+  /**
+   * Disable a loaded plugin
+   */
+  disablePlugin(name) {
+    return pluginManager.disablePlugin(name);
+  }
+  
+  /**
+   * Install a plugin from a directory and load it
+   */
+  installPlugin(sourcePath) {
+    return pluginManager.installPlugin(sourcePath);
+  }
+  
+  /**
+   * Get a configuration value (or all of it) with secrets masked
+   */
+  getConfig(key) {
+    return configManager.getRedacted(key);
+  }
+  
+  /**
+   * Set and save a configuration value. Most settings apply on the next
+   * restart. Invalid values are rejected with an INVALID_FORMAT error.
+   */
+  setConfig(key, value) {
+    this.checkConfig(validateConfigValue(key, value));
+    configManager.set(key, value);
+    
+    if (!configManager.save()) {
+      throw new Error('Failed to save configuration');
+    }
+    
+    return configManager.getRedacted(key);
+  }
+  
+  /**
+   * Throw if a configuration change has problems
+   */
+  checkConfig(errors) {
+    if (errors.length > 0) {
+      const error = this.createRequestError(ERROR_CODES.INVALID_FORMAT, `Invalid configuration: ${errors.join('; ')}`);
+      error.details = { errors };
+      throw error;
+    }
+  }
+  
+  /**
+   * Merge a partial configuration into the current one and save it.
+   * Masked secrets sent back unchanged are left as they are; invalid
+   * values are rejected with an INVALID_FORMAT error.
+   */
+  updateConfig(updates) {
+    const strip = (value) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+      }
+      
+      return Object.fromEntries(Object.entries(value)
+        .filter(([, child]) => child !== REDACTED)
+        .map(([key, child]) => [key, strip(child)]));
+    };
+    
+    const changes = strip(updates);
+    
+    this.checkConfig(validateConfig(changes));
+    
+    if (!configManager.update(changes)) {
+      throw new Error('Failed to save configuration');
+    }
+    
+    return configManager.getRedacted();
+  }
+  
+  /**
+   * Get recent log entries
+   */
+  getLogs(options = {}) {
+    return logger.readLogs(options);
+  }
+  
+  /**
+   * Publish a message on a channel from the server or a plugin
+   */
+  publish(topic, payload, options = {}) {
+    return this.channelManager.publish({ source: options.source || 'server' }, topic, payload, options);
+  }
+  
+  /**
+   * Temporarily ban an address and close its open connections
+   */
+  banAddress(ipAddress, duration, reason) {
+    const ban = accessControl.ban(ipAddress, duration, reason);
+    let disconnected = 0;
+    
+    for (const connection of this.connectionManager.getConnections()) {
+      if (normalizeAddress(connection.ipAddress) === ban.ipAddress &&
+          this.connectionManager.removeConnection(connection.id, DISCONNECT_REASONS.BANNED)) {
+        disconnected++;
+      }
+    }
+    
+    return { ban, disconnected };
+  }
+  
+  /**
+   * Lift a ban
+   */
+  unbanAddress(ipAddress) {
+    return accessControl.unban(ipAddress);
+  }
+  
+  /**
+   * Get active bans
+   */
+  getBans() {
+    return accessControl.getBans();
+  }
+  
   /**
    * Restart the server
    */
@@ -0,0 +1,27 @@
+/**
+ * Abort helpers for Claude UI MCP Server
+ * Ties outgoing HTTP requests to the AbortSignal of the client request
+ * that caused them
+ */
+
+/**
+ * Destroy an HTTP request when a signal aborts, then call onAbort with the
+ * abort reason. Does nothing without a signal.
+ */
+function abortOnSignal(req, signal, onAbort) {
+  if (!signal) {
+    return;
+  }
+  
+  const abort = () => {
+    req.destroy();
+    onAbort(signal.reason);
+  };
+  
+  signal.addEventListener('abort', abort, { once: true });
+  req.on('close', () => signal.removeEventListener('abort', abort));
+}
+
+module.exports = {
+  abortOnSignal
+};
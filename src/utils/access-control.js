@@ -0,0 +1,228 @@
+/**
+ * Access Control for Claude UI MCP Server
+ * Decides at WebSocket upgrade whether a client may connect, based on its
+ * Origin header, CIDR allow/deny lists and temporary bans
+ */
+
+const net = require('net');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { configManager } = require('./config');
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix so ::ffff:10.0.0.1 and 10.0.0.1 match
+ */
+function normalizeAddress(address) {
+  const value = String(address || '');
+  return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+/**
+ * Build a BlockList from addresses and CIDR ranges, skipping (and logging)
+ * entries that aren't valid
+ */
+function createBlockList(entries = []) {
+  const list = new net.BlockList();
+
+  for (const entry of Array.isArray(entries) ? entries : [entries]) {
+    const error = validateIpEntry(entry);
+
+    if (error) {
+      logger.warn(`Ignoring invalid entry in IP list: ${error}`);
+      continue;
+    }
+
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, parseInt(prefix, 10), type);
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Check an IP list entry (an address or CIDR range), returning a
+ * description of the problem or null if it is valid
+ */
+function validateIpEntry(entry) {
+  if (typeof entry !== 'string') {
+    return `${JSON.stringify(entry)} is not a string`;
+  }
+
+  const parts = entry.split('/');
+  const [address, prefix] = parts;
+
+  if (parts.length > 2 || !net.isIP(address)) {
+    return `${entry} is not an address or CIDR range`;
+  }
+
+  const maxPrefix = net.isIPv6(address) ? 128 : 32;
+
+  if (prefix !== undefined && (!/^\d{1,3}$/.test(prefix) || parseInt(prefix, 10) > maxPrefix)) {
+    return `${entry} has an invalid prefix length (0-${maxPrefix})`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether an address falls in a BlockList
+ */
+function inBlockList(list, address) {
+  const normalized = normalizeAddress(address);
+  const type = net.isIPv6(normalized) ? 'ipv6' : 'ipv4';
+
+  return net.isIP(normalized) ? list.check(normalized, type) : false;
+}
+
+/**
+ * Check an Origin header against allowed origins, which may be '*' or
+ * contain '*' wildcards (e.g. https://*.example.com)
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+  return allowedOrigins.some((pattern) => {
+    if (pattern === '*') {
+      return true;
+    }
+
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*') + '$', 'i');
+    return regex.test(origin);
+  });
+}
+
+class AccessControl extends EventEmitter {
+  constructor() {
+    super();
+
+    this.bans = new Map();
+    this.blockLists = new Map();
+  }
+
+  /**
+   * Get the BlockList for an IP list setting, rebuilding it only when the
+   * setting has changed
+   */
+  getBlockList(key) {
+    const entries = configManager.get(key, []);
+    const source = JSON.stringify(entries);
+    let cached = this.blockLists.get(key);
+
+    if (!cached || cached.source !== source) {
+      cached = { source, list: createBlockList(entries), size: Array.isArray(entries) ? entries.length : 1 };
+      this.blockLists.set(key, cached);
+    }
+
+    return cached;
+  }
+
+  /**
+   * Decide whether a client may connect. Requests without an Origin
+   * header (non-browser clients) pass the origin check.
+   *
+   * Returns { allowed: true } or { allowed: false, code, reason }.
+   */
+  verify({ ipAddress, origin }) {
+    const address = normalizeAddress(ipAddress);
+    const ban = this.getBan(address);
+
+    if (ban) {
+      return { allowed: false, code: 403, reason: 'Address is banned' };
+    }
+
+    if (inBlockList(this.getBlockList('security.ipDenyList').list, address)) {
+      return { allowed: false, code: 403, reason: 'Address is denied' };
+    }
+
+    const allowList = this.getBlockList('security.ipAllowList');
+
+    if (allowList.size > 0 && !inBlockList(allowList.list, address)) {
+      return { allowed: false, code: 403, reason: 'Address is not allowed' };
+    }
+
+    if (origin && !isOriginAllowed(origin, configManager.get('security.allowedOrigins', ['*']))) {
+      return { allowed: false, code: 403, reason: 'Origin is not allowed' };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Ban an address for a duration in milliseconds
+   */
+  ban(ipAddress, duration = configManager.get('security.banDuration', 3600000), reason = '') {
+    const address = normalizeAddress(ipAddress);
+
+    if (!net.isIP(address)) {
+      throw new Error(`Invalid IP address: ${ipAddress}`);
+    }
+
+    const ban = {
+      ipAddress: address,
+      reason,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + duration
+    };
+
+    this.bans.set(address, ban);
+
+    logger.warn(`Banned ${address} until ${new Date(ban.expiresAt).toISOString()}${reason ? `: ${reason}` : ''}`);
+    this.emit('banned', ban);
+
+    return ban;
+  }
+
+  /**
+   * Lift a ban
+   */
+  unban(ipAddress) {
+    const address = normalizeAddress(ipAddress);
+    const removed = this.bans.delete(address);
+
+    if (removed) {
+      logger.info(`Unbanned ${address}`);
+      this.emit('unbanned', { ipAddress: address });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get the active ban for an address, if any
+   */
+  getBan(ipAddress) {
+    const address = normalizeAddress(ipAddress);
+    const ban = this.bans.get(address);
+
+    if (ban && ban.expiresAt <= Date.now()) {
+      this.bans.delete(address);
+      return null;
+    }
+
+    return ban || null;
+  }
+
+  /**
+   * Get all active bans
+   */
+  getBans() {
+    return Array.from(this.bans.keys())
+      .map(address => this.getBan(address))
+      .filter(Boolean);
+  }
+}
+
+// Create a singleton instance
+const accessControl = new AccessControl();
+
+module.exports = {
+  AccessControl,
+  accessControl,
+  normalizeAddress,
+  createBlockList,
+  validateIpEntry
+};
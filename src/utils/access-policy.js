@@ -0,0 +1,138 @@
+/**
+ * Access Policy for Claude UI MCP Server
+ * Maps message types, namespaces and MCP methods to the role required to
+ * call them
+ */
+
+const { logger } = require('./logger');
+const { configManager } = require('./config');
+
+// Roles, each including the permissions of the ones below it
+const ROLES = {
+  ADMIN: 'admin',
+  CLIENT: 'client',
+  READ_ONLY: 'read-only'
+};
+
+const ROLE_LEVELS = {
+  [ROLES.READ_ONLY]: 1,
+  [ROLES.CLIENT]: 2,
+  [ROLES.ADMIN]: 3
+};
+
+// Required role by message type or namespace; the most specific entry wins
+// and '*' applies to everything else (including plugin message types)
+const DEFAULT_POLICY = {
+  '*': ROLES.CLIENT,
+
+  'echo': ROLES.READ_ONLY,
+  'status': ROLES.READ_ONLY,
+  'server': ROLES.READ_ONLY,
+  'protocol': ROLES.READ_ONLY,
+  'tools.list': ROLES.READ_ONLY,
+  'plugins.list': ROLES.READ_ONLY,
+  'plugins': ROLES.ADMIN,
+  'bans': ROLES.ADMIN,
+  'proxy': ROLES.CLIENT,
+  'claude': ROLES.CLIENT,
+  'conversation.get': ROLES.READ_ONLY,
+  'conversation': ROLES.CLIENT,
+  'channel': ROLES.READ_ONLY, // publishing is checked per channel
+  'request': ROLES.READ_ONLY, // clients only see and cancel their own requests
+
+  // Model Context Protocol methods
+  'initialize': ROLES.READ_ONLY,
+  'ping': ROLES.READ_ONLY,
+  'notifications': ROLES.READ_ONLY,
+  'tools/call': ROLES.CLIENT,
+  'tools': ROLES.READ_ONLY,
+  'resources': ROLES.READ_ONLY,
+  'prompts': ROLES.READ_ONLY
+};
+
+class AccessPolicy {
+  constructor(options = {}) {
+    this.rules = new Map(Object.entries({
+      ...DEFAULT_POLICY,
+      ...(options.policy || configManager.get('security.policy', {}))
+    }));
+  }
+
+  /**
+   * Check whether a role name is known
+   */
+  isRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role);
+  }
+
+  /**
+   * Set the role required for a message type or namespace
+   */
+  setRule(pattern, role) {
+    if (!this.isRole(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    this.rules.set(pattern, role);
+    logger.debug(`Access policy: ${pattern} requires ${role}`);
+  }
+
+  /**
+   * Remove the rule for a message type or namespace
+   */
+  removeRule(pattern) {
+    return this.rules.delete(pattern);
+  }
+
+  /**
+   * Get the role required for a message type or MCP method, checking the
+   * exact type first and then each enclosing namespace
+   */
+  getRequiredRole(type) {
+    const separator = String(type).includes('/') ? '/' : '.';
+    const parts = String(type).split(separator);
+
+    for (let i = parts.length; i > 0; i--) {
+      const pattern = parts.slice(0, i).join(separator);
+
+      if (this.rules.has(pattern)) {
+        return this.rules.get(pattern);
+      }
+    }
+
+    return this.rules.get('*') || ROLES.ADMIN;
+  }
+
+  /**
+   * Check whether any of the given roles meets the required role
+   */
+  hasRole(roles, required) {
+    const level = ROLE_LEVELS[required] || ROLE_LEVELS[ROLES.ADMIN];
+
+    return (roles || []).some(role => (ROLE_LEVELS[role] || 0) >= level);
+  }
+
+  /**
+   * Check whether the given roles may send a message type or call a method
+   */
+  isAllowed(roles, type) {
+    return this.hasRole(roles, this.getRequiredRole(type));
+  }
+
+  /**
+   * Get the policy table
+   */
+  getRules() {
+    return Object.fromEntries(this.rules);
+  }
+}
+
+// Create a singleton instance
+const accessPolicy = new AccessPolicy();
+
+module.exports = {
+  AccessPolicy,
+  accessPolicy,
+  ROLES,
+  DEFAULT_POLICY
+};
@@ -0,0 +1,333 @@
+/**
+ * Admin API for Claude UI MCP Server
+ * Versioned REST API on the server's HTTP port for scripts and dashboards
+ *
+ * Routes live under /api/v1 (with /api/... as an alias of the current
+ * version) and require `Authorization: Bearer <credential>`, where the
+ * credential is an API key or session token whose identity has the admin
+ * role. Responses are JSON; errors are { error: { status, message } }.
+ */
+
+const { URL } = require('url');
+const { logger } = require('./logger');
+const { configManager } = require('./config');
+const { authManager } = require('./auth-manager');
+const { accessPolicy, ROLES } = require('./access-policy');
+const { ERROR_CODES } = require('./protocol');
+
+const API_VERSION = 'v1';
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Create an error answered with an HTTP status
+ */
+function createHttpError(status, message, headers = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+class AdminApi {
+  constructor(options = {}) {
+    this.server = options.server;
+    this.routes = [];
+
+    this.registerRoutes();
+  }
+
+  /**
+   * Register a route. Path segments starting with ":" are parameters.
+   */
+  route(method, path, handler) {
+    const names = [];
+    const pattern = new RegExp('^' + path.replace(/:([A-Za-z]+)/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    }) + '/?$');
+
+    this.routes.push({ method, pattern, names, handler });
+  }
+
+  /**
+   * Register the admin routes, backed by the server's own API
+   */
+  registerRoutes() {
+    const server = this.server;
+
+    this.route('GET', '/status', () => server.getStatus());
+
+    this.route('GET', '/connections', () => server.getConnections());
+
+    this.route('GET', '/connections/:id', ({ params }) => {
+      const connection = server.connectionManager.getConnection(params.id);
+
+      if (!connection) {
+        throw createHttpError(404, `Connection not found: ${params.id}`);
+      }
+
+      return connection;
+    });
+
+    this.route('DELETE', '/connections/:id', ({ params }) => {
+      if (!server.disconnectClient(params.id)) {
+        throw createHttpError(404, `Connection not found: ${params.id}`);
+      }
+
+      return { id: params.id, disconnected: true };
+    });
+
+    this.route('GET', '/plugins', () => server.getPlugins());
+
+    this.route('GET', '/plugins/:name', ({ params }) => {
+      const plugin = server.getPlugin(params.name);
+
+      if (!plugin) {
+        throw createHttpError(404, `Plugin not loaded: ${params.name}`);
+      }
+
+      return plugin;
+    });
+
+    for (const action of ['enable', 'disable']) {
+      this.route('POST', `/plugins/:name/${action}`, ({ params }) => {
+        const success = action === 'enable' ? server.enablePlugin(params.name) : server.disablePlugin(params.name);
+
+        if (!success) {
+          const plugin = server.getPlugin(params.name);
+
+          if (!plugin) {
+            throw createHttpError(404, `Plugin not loaded: ${params.name}`);
+          }
+
+          throw createHttpError(500, `Failed to ${action} plugin ${params.name}: ${plugin.error || 'unknown error'}`);
+        }
+
+        return { name: params.name, enabled: action === 'enable' };
+      });
+    }
+
+    this.route('GET', '/config', ({ query }) => server.getConfig(query.get('key') || undefined));
+
+    this.route('PATCH', '/config', ({ body }) => {
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw createHttpError(400, 'Expected a JSON object of settings to change');
+      }
+
+      try {
+        return server.updateConfig(body);
+      } catch (error) {
+        if (error.code === ERROR_CODES.INVALID_FORMAT) {
+          throw createHttpError(400, error.message);
+        }
+
+        throw error;
+      }
+    });
+
+    this.route('GET', '/logs', ({ query }) => {
+      const lines = query.has('lines') ? parseInt(query.get('lines'), 10) : 100;
+
+      if (!Number.isInteger(lines) || lines < 0) {
+        throw createHttpError(400, 'lines must be a non-negative integer');
+      }
+
+      return server.getLogs({ limit: lines, level: query.get('level') || undefined });
+    });
+  }
+
+  /**
+   * Get the API path of a request URL, or null if it isn't an admin route
+   */
+  getApiPath(pathname) {
+    const versioned = `/api/${API_VERSION}`;
+
+    if (pathname === versioned || pathname.startsWith(`${versioned}/`)) {
+      return pathname.slice(versioned.length) || '/';
+    }
+
+    // Unversioned paths are aliases of the current version
+    const path = pathname.slice('/api'.length);
+
+    return pathname.startsWith('/api/') && this.routes.some(route => route.pattern.test(path)) ? path : null;
+  }
+
+  /**
+   * Handle an HTTP request if it is for the admin API. Returns false to
+   * leave it to the caller.
+   */
+  handleRequest(req, res) {
+    if (!configManager.get('admin.rest', true)) {
+      return false;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const path = this.getApiPath(url.pathname);
+
+    if (path === null) {
+      return false;
+    }
+
+    this.dispatch(req, res, url, path).catch((error) => {
+      logger.error(`Admin API error on ${req.method} ${url.pathname}`, error);
+      this.sendError(res, createHttpError(500, 'Internal server error'));
+    });
+
+    return true;
+  }
+
+  /**
+   * Authorize a request, find its route and send the result
+   */
+  async dispatch(req, res, url, path) {
+    try {
+      const routes = this.routes.filter(route => route.pattern.test(path));
+
+      if (routes.length === 0) {
+        throw createHttpError(404, `Not found: ${url.pathname}`);
+      }
+
+      const route = routes.find(item => item.method === req.method);
+
+      if (!route) {
+        throw createHttpError(405, `Method not allowed: ${req.method}`, {
+          Allow: routes.map(item => item.method).join(', ')
+        });
+      }
+
+      const identity = await this.authorize(req);
+      const match = route.pattern.exec(path);
+      const params = {};
+
+      route.names.forEach((name, i) => {
+        try {
+          params[name] = decodeURIComponent(match[i + 1]);
+        } catch (error) {
+          throw createHttpError(400, `Malformed path: ${url.pathname}`);
+        }
+      });
+
+      const body = req.method === 'POST' || req.method === 'PATCH' ? await this.readBody(req) : null;
+      const result = await route.handler({ params, query: url.searchParams, body, identity });
+
+      if (req.method !== 'GET') {
+        logger.info(`Admin API: ${req.method} ${url.pathname} by ${identity.id}`);
+      }
+
+      this.sendJson(res, 200, result === undefined ? null : result);
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * Check the request's bearer credential and require the admin role
+   */
+  async authorize(req) {
+    const credential = this.server.connectionManager.getBearerCredential(req);
+
+    if (!credential) {
+      throw createHttpError(401, 'Missing bearer token', { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    let identity;
+
+    try {
+      const credentials = authManager.getSession(credential) ? { token: credential } : { apiKey: credential };
+      ({ identity } = await authManager.verify(credentials, { ipAddress: req.socket.remoteAddress }));
+    } catch (error) {
+      if (error.code === ERROR_CODES.SERVER_ERROR) {
+        throw error;
+      }
+
+      const retryAfter = error.details && error.details.retryAfter;
+
+      throw retryAfter
+        ? createHttpError(429, error.message, { 'Retry-After': String(Math.ceil(retryAfter / 1000)) })
+        : createHttpError(401, error.message, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+    }
+
+    if (!accessPolicy.hasRole(identity.roles, ROLES.ADMIN)) {
+      throw createHttpError(403, 'Admin role required');
+    }
+
+    return identity;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+
+        if (size > MAX_BODY_SIZE) {
+          reject(createHttpError(413, 'Request body too large'));
+          req.destroy();
+          return;
+        }
+
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+
+        if (text.trim() === '') {
+          resolve(null);
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(text));
+        } catch (error) {
+          reject(createHttpError(400, 'Invalid JSON body'));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   */
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...headers
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Send an error response
+   */
+  sendError(res, error) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    this.sendJson(res, error.status, {
+      error: {
+        status: error.status,
+        message: error.message
+      }
+    }, error.headers);
+  }
+}
+
+module.exports = {
+  AdminApi,
+  API_VERSION
+};
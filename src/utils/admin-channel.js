@@ -0,0 +1,523 @@
+/**
+ * Admin Channel for Claude UI MCP Server
+ * Local control socket used by the claude-ui-mcp CLI to administer a
+ * running server
+ *
+ * The channel listens on a Unix domain socket that only the user running
+ * the server can open, so connecting to it is what grants admin rights.
+ * On Windows it is a named pipe with the system's default pipe ACL, which
+ * Node can't tighten. Messages are newline-delimited JSON-RPC 2.0.
+ * `logs.tail` with `follow` keeps sending `logs.entry` notifications until
+ * the client sends `logs.unfollow` or disconnects.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { configManager } = require('./config');
+const { ERROR_CODES } = require('./protocol');
+const {
+  JSONRPC_ERRORS,
+  createResult,
+  createError,
+  createRequest,
+  createNotification,
+  createRpcError,
+  validateRequest
+} = require('./jsonrpc');
+
+/**
+ * Get the admin socket path from config, or the default for this platform
+ */
+function getAdminSocketPath() {
+  const configured = configManager.get('admin.socketPath', '');
+
+  if (configured) {
+    return configured;
+  }
+
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\claude-ui-mcp-admin-${os.userInfo().username}`;
+  }
+
+  return path.join(os.homedir(), '.claude-ui-mcp', 'admin.sock');
+}
+
+/**
+ * Require a string parameter
+ */
+function requireParam(params, name) {
+  if (typeof params[name] !== 'string' || params[name] === '') {
+    throw createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Missing parameter: ${name}`);
+  }
+
+  return params[name];
+}
+
+class AdminChannel extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.server = options.server;
+    this.socketPath = options.socketPath || getAdminSocketPath();
+    this.netServer = null;
+    this.starting = null;
+    this.clients = new Set();
+    this.methods = new Map();
+
+    this.registerMethods();
+  }
+
+  /**
+   * Register the admin methods, backed by the server's own API
+   */
+  registerMethods() {
+    const server = this.server;
+
+    this.methods.set('status', () => server.getStatus());
+
+    this.methods.set('connections.list', () => server.getConnections());
+
+    this.methods.set('connections.kick', (params) => {
+      const id = requireParam(params, 'id');
+
+      if (!server.disconnectClient(id)) {
+        throw createRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Connection not found: ${id}`);
+      }
+
+      return { id, disconnected: true };
+    });
+
+    this.methods.set('plugins.list', () => server.getPlugins());
+
+    for (const action of ['enable', 'disable']) {
+      this.methods.set(`plugins.${action}`, (params) => {
+        const name = requireParam(params, 'name');
+        const success = action === 'enable' ? server.enablePlugin(name) : server.disablePlugin(name);
+
+        if (!success) {
+          const plugin = server.getPlugin(name);
+
+          if (!plugin) {
+            throw createRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Plugin not loaded: ${name}`);
+          }
+
+          throw createRpcError(JSONRPC_ERRORS.INTERNAL_ERROR, `Failed to ${action} plugin ${name}: ${plugin.error || 'unknown error'}`);
+        }
+
+        return { name, enabled: action === 'enable' };
+      });
+    }
+
+    this.methods.set('plugins.install', async (params) => {
+      const plugin = await server.installPlugin(path.resolve(requireParam(params, 'path')));
+      return { name: plugin.name, version: plugin.version };
+    });
+
+    this.methods.set('config.get', (params) => server.getConfig(params.key));
+
+    this.methods.set('config.set', (params) => {
+      const key = requireParam(params, 'key');
+
+      if (!('value' in params)) {
+        throw createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Missing parameter: value');
+      }
+
+      try {
+        return { key, value: server.setConfig(key, params.value) };
+      } catch (error) {
+        if (error.code === ERROR_CODES.INVALID_FORMAT) {
+          throw createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, error.message, error.details);
+        }
+
+        throw error;
+      }
+    });
+
+    this.methods.set('logs.tail', async (params, client) => {
+      const entries = await server.getLogs({
+        limit: Number.isInteger(params.lines) ? params.lines : 50,
+        level: params.level
+      });
+
+      if (params.follow) {
+        this.follow(client, params.level);
+      }
+
+      return entries;
+    });
+
+    this.methods.set('logs.unfollow', (params, client) => {
+      this.unfollow(client);
+      return {};
+    });
+  }
+
+  /**
+   * Start listening on the admin socket
+   */
+  start() {
+    if (!this.starting) {
+      this.starting = this.listen();
+    }
+
+    return this.starting;
+  }
+
+  /**
+   * Open the socket, replacing a stale one
+   */
+  async listen() {
+    if (process.platform !== 'win32') {
+      this.prepareSocketDirectory();
+    }
+
+    await this.removeStaleSocket();
+
+    const netServer = net.createServer(socket => this.handleClient(socket));
+
+    await new Promise((resolve, reject) => {
+      netServer.once('error', reject);
+      netServer.once('listening', () => {
+        netServer.removeListener('error', reject);
+        resolve();
+      });
+
+      // The socket is bound inside listen(): create it owner-only rather
+      // than tightening its mode after other users could have connected
+      const umask = process.platform !== 'win32' ? process.umask(0o177) : null;
+
+      try {
+        netServer.listen(this.socketPath);
+      } finally {
+        if (umask !== null) {
+          process.umask(umask);
+        }
+      }
+    });
+
+    this.netServer = netServer;
+
+    this.netServer.on('error', (error) => {
+      logger.error('Admin channel error', error);
+    });
+
+    logger.info(`Admin channel listening on ${this.socketPath}`);
+  }
+
+  /**
+   * Create the socket's directory as owner-only, and refuse a directory
+   * another user controls, since they could swap the socket out
+   */
+  prepareSocketDirectory() {
+    const directory = path.dirname(this.socketPath);
+
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+
+    const stats = fs.statSync(directory);
+
+    // Root-owned directories such as /run or /tmp are trusted
+    if (stats.uid !== process.getuid() && stats.uid !== 0) {
+      throw new Error(`Admin socket directory ${directory} is owned by another user`);
+    }
+  }
+
+  /**
+   * Remove a socket file left behind by a server that didn't shut down
+   * cleanly. A socket that still accepts connections belongs to another
+   * running server.
+   */
+  async removeStaleSocket() {
+    if (process.platform === 'win32' || !fs.existsSync(this.socketPath)) {
+      return;
+    }
+
+    const inUse = await new Promise((resolve) => {
+      const probe = net.connect(this.socketPath);
+      probe.once('connect', () => {
+        probe.destroy();
+        resolve(true);
+      });
+      probe.once('error', () => resolve(false));
+    });
+
+    if (inUse) {
+      throw new Error(`Admin socket ${this.socketPath} is in use by another server`);
+    }
+
+    fs.unlinkSync(this.socketPath);
+  }
+
+  /**
+   * Stop listening and disconnect admin clients
+   */
+  async stop() {
+    // Let a start in progress finish so its socket gets closed too
+    if (this.starting) {
+      await this.starting.catch(() => {});
+      this.starting = null;
+    }
+
+    if (!this.netServer) {
+      return;
+    }
+
+    for (const client of this.clients) {
+      this.unfollow(client);
+      client.socket.destroy();
+    }
+
+    this.clients.clear();
+
+    await new Promise(resolve => this.netServer.close(() => resolve()));
+    this.netServer = null;
+
+    logger.info('Admin channel closed');
+  }
+
+  /**
+   * Serve an admin client
+   */
+  handleClient(socket) {
+    const client = { socket, follow: null };
+    const reader = readline.createInterface({ input: socket, crlfDelay: Infinity });
+
+    this.clients.add(client);
+
+    reader.on('line', async (line) => {
+      if (line.trim() === '') {
+        return;
+      }
+
+      const response = await this.handleLine(client, line);
+
+      if (response) {
+        this.send(client, response);
+      }
+    });
+
+    socket.on('close', () => {
+      this.unfollow(client);
+      this.clients.delete(client);
+    });
+
+    // The reader passes on the socket's errors, and throws without a listener
+    reader.on('error', (error) => {
+      logger.debug(`Admin client error: ${error.message}`);
+    });
+  }
+
+  /**
+   * Handle one JSON-RPC request from an admin client
+   */
+  async handleLine(client, line) {
+    let message;
+
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return createError(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error');
+    }
+
+    const validationError = validateRequest(message);
+
+    if (validationError) {
+      return createError(message && message.id, JSONRPC_ERRORS.INVALID_REQUEST, validationError);
+    }
+
+    const handler = this.methods.get(message.method);
+
+    if (!handler) {
+      return createError(message.id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+
+    try {
+      const result = await handler(message.params || {}, client);
+
+      logger.debug(`Admin command: ${message.method}`);
+      this.emit('command', { method: message.method, params: message.params || {} });
+
+      return createResult(message.id, result === undefined ? null : result);
+    } catch (error) {
+      if (!error.rpcCode) {
+        logger.error(`Admin command ${message.method} failed`, error);
+      }
+
+      return createError(
+        message.id,
+        error.rpcCode || JSONRPC_ERRORS.INTERNAL_ERROR,
+        error.message || 'Internal error',
+        error.rpcData
+      );
+    }
+  }
+
+  /**
+   * Stream new log entries to a client
+   */
+  follow(client, level) {
+    this.unfollow(client);
+
+    client.follow = (entry) => {
+      if (!level || entry.level === level.toUpperCase()) {
+        this.send(client, createNotification('logs.entry', entry));
+      }
+    };
+
+    logger.on('entry', client.follow);
+  }
+
+  /**
+   * Stop streaming log entries to a client
+   */
+  unfollow(client) {
+    if (client.follow) {
+      logger.removeListener('entry', client.follow);
+      client.follow = null;
+    }
+  }
+
+  /**
+   * Write a message to a client
+   */
+  send(client, message) {
+    if (!client.socket.destroyed) {
+      client.socket.write(JSON.stringify(message) + '\n');
+    }
+  }
+}
+
+/**
+ * Client side of the admin channel, used by the CLI
+ */
+class AdminClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.socketPath = options.socketPath || getAdminSocketPath();
+    this.timeout = options.timeout || 10000;
+    this.socket = null;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  /**
+   * Connect to a running server
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(this.socketPath);
+
+      socket.once('connect', () => {
+        this.socket = socket;
+        resolve();
+      });
+
+      const reader = readline.createInterface({ input: socket, crlfDelay: Infinity });
+
+      reader.on('line', line => this.handleLine(line));
+
+      // Socket errors, including a failed connect, arrive through the reader
+      reader.on('error', (error) => {
+        if (!this.socket) {
+          reject(error.code === 'ENOENT' || error.code === 'ECONNREFUSED'
+            ? new Error(`No server is running (nothing listening on ${this.socketPath})`)
+            : error);
+          return;
+        }
+
+        this.emit('error', error);
+      });
+
+      socket.on('close', () => {
+        if (this.socket === socket) {
+          this.socket = null;
+        }
+
+        for (const { reject: rejectCall, timer } of this.pending.values()) {
+          clearTimeout(timer);
+          rejectCall(new Error('Connection to server closed'));
+        }
+
+        this.pending.clear();
+        this.emit('close');
+      });
+    });
+  }
+
+  /**
+   * Handle a response or notification from the server
+   */
+  handleLine(line) {
+    let message;
+
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return;
+    }
+
+    if (message.method) {
+      this.emit('notification', message);
+      return;
+    }
+
+    const pending = this.pending.get(message.id);
+
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.code = message.error.code;
+      pending.reject(error);
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  /**
+   * Call an admin method
+   */
+  call(method, params = {}) {
+    if (!this.socket) {
+      return Promise.reject(new Error('Not connected'));
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Admin command ${method} timed out`));
+      }, this.timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.write(JSON.stringify(createRequest(id, method, params)) + '\n');
+    });
+  }
+
+  /**
+   * Disconnect from the server
+   */
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = {
+  AdminChannel,
+  AdminClient,
+  getAdminSocketPath
+};
@@ -6,6 +6,19 @@
 const https = require('https');
 const { logger } = require('./logger');
 const { configManager } = require('./config');
+const { SSEParser } = require('./sse-parser');
+const { abortOnSignal } = require('./abort');
+
+/**
+ * Create the error a request fails with when it is cancelled
+ */
+function createCancelledError() {
+  return {
+    statusCode: 499,
+    message: 'Request cancelled',
+    cancelled: true
+  };
+}
 
 class AnthropicAPI {
   constructor(options = {}) {
@@ -22,13 +35,18 @@ class AnthropicAPI {
   }
   
   /**
-   * Make a request to the Anthropic API
+   * Make a request to the Anthropic API, aborted when options.signal fires
    */
-  async makeRequest(endpoint, method, data) {
+  async makeRequest(endpoint, method, data, options = {}) {
     return new Promise((resolve, reject) => {
+      if (options.signal && options.signal.aborted) {
+        reject(createCancelledError());
+        return;
+      }
+      
       const url = new URL(endpoint, this.baseUrl);
       
-      const options = {
+      const httpOptions = {
         method: method,
         headers: {
           'Content-Type': 'application/json',
@@ -38,7 +56,7 @@ class AnthropicAPI {
         timeout: this.timeout
       };
       
-      const req = https.request(url, options, (res) => {
+      const req = https.request(url, httpOptions, (res) => {
         let responseData = '';
         
         res.on('data', (chunk) => {
@@ -91,6 +109,8 @@ class AnthropicAPI {
         });
       });
       
+      abortOnSignal(req, options.signal, () => reject(createCancelledError()));
+      
       if (data) {
         req.write(JSON.stringify(data));
       }
@@ -126,16 +146,34 @@ class AnthropicAPI {
         requestData.system = system;
       }
       
-      const response = await this.makeRequest('/v1/messages', 'POST', requestData);
+      if (Array.isArray(options.tools) && options.tools.length > 0) {
+        requestData.tools = options.tools;
+        
+        if (options.toolChoice) {
+          requestData.tool_choice = options.toolChoice;
+        }
+      }
+      
+      const response = await this.makeRequest('/v1/messages', 'POST', requestData, { signal: options.signal });
       return response;
     } catch (error) {
-      logger.error('Error querying Claude', error);
+      if (!error.cancelled) {
+        logger.error('Error querying Claude', error);
+      }
       throw error;
     }
   }
   
   /**
    * Stream a response from Claude
+   *
+   * Callbacks: onStart, onMessageStart, onContentBlockStart, onContent,
+   * onInputJsonDelta, onThinking, onContentBlockStop, onMessageDelta,
+   * onUsage, onPing, onEvent, onError and onDone. Exactly one of onDone
+   * or onError is called; onDone receives the assembled message along
+   * with its stop reason and usage once message_stop arrives, and a stream
+   * cut off before then fails. Aborting options.signal ends the stream
+   * with a cancelled error.
    */
   async streamResponse(messages, callbacks, options = {}) {
     try {
@@ -174,6 +212,16 @@ class AnthropicAPI {
         timeout: this.timeout
       };
       
+      // Signal an error at most once, and never after completion
+      let finished = false;
+      const fail = (error) => {
+        if (finished) return;
+        finished = true;
+        if (callbacks.onError) {
+          callbacks.onError(error);
+        }
+      };
+      
       const req = https.request(url, httpOptions, (res) => {
         if (res.statusCode < 200 || res.statusCode >= 300) {
           let errorData = '';
@@ -183,114 +231,118 @@ class AnthropicAPI {
           });
           
           res.on('end', () => {
+            let parsedError;
             try {
-              const parsedError = JSON.parse(errorData);
-              if (callbacks.onError) {
-                callbacks.onError({
-                  statusCode: res.statusCode,
-                  error: parsedError
-                });
-              }
+              parsedError = JSON.parse(errorData);
             } catch (e) {
-              if (callbacks.onError) {
-                callbacks.onError({
-                  statusCode: res.statusCode,
-                  error: errorData
-                });
-              }
+              parsedError = errorData;
             }
+            
+            fail({
+              statusCode: res.statusCode,
+              message: `API request failed with status ${res.statusCode}`,
+              error: parsedError
+            });
           });
           
           return;
         }
         
-        let buffer = '';
-        
         // Signal stream start
         if (callbacks.onStart) {
           callbacks.onStart();
         }
         
-        res.on('data', (chunk) => {
-          buffer += chunk.toString();
-          
-          // Process complete event data chunks
-          const lines = buffer.split('\n\n');
-          buffer = lines.pop() || '';
+        const state = {
+          message: null,
+          blocks: [],
+          stopReason: null,
+          stopSequence: null,
+          usage: {}
+        };
+        
+        const complete = () => {
+          if (finished) return;
+          finished = true;
           
-          for (const line of lines) {
-            if (line.trim() === '') continue;
-            
-            // Remove "data: " prefix
-            const data = line.replace(/^data: /, '');
-            
-            if (data === '[DONE]') {
-              if (callbacks.onDone) {
-                callbacks.onDone();
-              }
-              continue;
-            }
-            
-            try {
-              const parsedData = JSON.parse(data);
-              
-              if (callbacks.onContent && parsedData.delta && parsedData.delta.text) {
-                callbacks.onContent(parsedData.delta.text);
-              }
-            } catch (e) {
-              logger.error('Error parsing stream data', e);
-              if (callbacks.onError) {
-                callbacks.onError({
-                  message: 'Error parsing stream data',
-                  error: e,
-                  data
-                });
-              }
-            }
+          if (callbacks.onDone) {
+            callbacks.onDone({
+              message: {
+                ...(state.message || {}),
+                content: state.blocks,
+                stop_reason: state.stopReason,
+                stop_sequence: state.stopSequence,
+                usage: state.usage
+              },
+              stopReason: state.stopReason,
+              usage: state.usage
+            });
           }
-        });
+        };
         
-        res.on('end', () => {
-          // Process any remaining data
-          if (buffer.trim() !== '') {
-            try {
-              const data = buffer.replace(/^data: /, '');
-              if (data !== '[DONE]') {
-                const parsedData = JSON.parse(data);
-                if (callbacks.onContent && parsedData.delta && parsedData.delta.text) {
-                  callbacks.onContent(parsedData.delta.text);
-                }
-              }
-            } catch (e) {
-              // Ignore parsing errors at the end
-            }
+        const parser = new SSEParser((event) => {
+          if (finished) return;
+          
+          let data;
+          try {
+            data = JSON.parse(event.data);
+          } catch (e) {
+            logger.warn(`Ignoring unparseable stream data for event ${event.event}`, event.data);
+            return;
           }
           
-          // Signal stream completion
-          if (callbacks.onDone) {
-            callbacks.onDone();
+          if (callbacks.onEvent) {
+            callbacks.onEvent(event.event, data);
           }
+          
+          this.handleStreamEvent(event.event, data, state, callbacks, { complete, fail });
         });
+        
+        res.on('data', (chunk) => {
+          parser.write(chunk);
+        });
+        
+        // A stream that ends or is cut off before message_stop is truncated,
+        // not complete
+        const incomplete = () => {
+          fail({
+            statusCode: 502,
+            message: 'Stream ended before message_stop',
+            error: { type: 'incomplete_stream' }
+          });
+        };
+        
+        res.on('end', () => {
+          parser.end();
+          incomplete();
+        });
+        
+        res.on('close', incomplete);
       });
       
       req.on('error', (error) => {
-        if (callbacks.onError) {
-          callbacks.onError({
-            message: 'Network error',
-            error: error.message
-          });
-        }
+        fail({
+          message: 'Network error',
+          error: error.message
+        });
       });
       
       req.on('timeout', () => {
-        req.abort();
-        if (callbacks.onError) {
-          callbacks.onError({
-            message: `Request timeout after ${this.timeout}ms`
-          });
-        }
+        req.destroy();
+        fail({
+          statusCode: 408,
+          message: `Request timeout after ${this.timeout}ms`
+        });
       });
       
+      if (options.signal && options.signal.aborted) {
+        req.destroy();
+        fail(createCancelledError());
+        return;
+      }
+      
+      abortOnSignal(req, options.signal, () => fail(createCancelledError()));
+      
       req.write(JSON.stringify(requestData));
       req.end();
     } catch (error) {
@@ -300,7 +352,128 @@ class AnthropicAPI {
       }
     }
   }
-  
+
+  /**
+   * Apply a parsed stream event to the stream state and invoke its callback
+   */
+  handleStreamEvent(eventType, data, state, callbacks, { complete, fail }) {
+    switch (eventType) {
+      case 'message_start':
+        state.message = data.message;
+        state.usage = { ...(data.message && data.message.usage) };
+
+        if (callbacks.onMessageStart) {
+          callbacks.onMessageStart(data.message);
+        }
+        break;
+
+      case 'content_block_start': {
+        const block = { ...data.content_block };
+
+        // Tool input arrives as partial JSON and is parsed when the block stops
+        if (block.type === 'tool_use') {
+          block.partialJson = '';
+        }
+
+        state.blocks[data.index] = block;
+
+        if (callbacks.onContentBlockStart) {
+          callbacks.onContentBlockStart(data.content_block, data.index);
+        }
+        break;
+      }
+
+      case 'content_block_delta': {
+        const block = state.blocks[data.index] || {};
+        const delta = data.delta || {};
+
+        if (delta.type === 'text_delta') {
+          block.text = (block.text || '') + delta.text;
+          if (callbacks.onContent) {
+            callbacks.onContent(delta.text, data.index);
+          }
+        } else if (delta.type === 'input_json_delta') {
+          block.partialJson = (block.partialJson || '') + delta.partial_json;
+          if (callbacks.onInputJsonDelta) {
+            callbacks.onInputJsonDelta(delta.partial_json, data.index);
+          }
+        } else if (delta.type === 'thinking_delta') {
+          block.thinking = (block.thinking || '') + delta.thinking;
+          if (callbacks.onThinking) {
+            callbacks.onThinking(delta.thinking, data.index);
+          }
+        } else if (delta.type === 'signature_delta') {
+          block.signature = delta.signature;
+        }
+        break;
+      }
+
+      case 'content_block_stop': {
+        const block = state.blocks[data.index];
+
+        if (block && block.type === 'tool_use') {
+          try {
+            block.input = block.partialJson ? JSON.parse(block.partialJson) : {};
+          } catch (e) {
+            logger.warn(`Invalid tool input JSON in content block ${data.index}`, block.partialJson);
+            block.input = {};
+          }
+          delete block.partialJson;
+        }
+
+        if (callbacks.onContentBlockStop) {
+          callbacks.onContentBlockStop(block, data.index);
+        }
+        break;
+      }
+
+      case 'message_delta':
+        if (data.delta) {
+          state.stopReason = data.delta.stop_reason || state.stopReason;
+          state.stopSequence = data.delta.stop_sequence || state.stopSequence;
+        }
+
+        // Usage in message_delta is cumulative
+        state.usage = { ...state.usage, ...data.usage };
+
+        if (callbacks.onMessageDelta) {
+          callbacks.onMessageDelta({
+            stopReason: state.stopReason,
+            stopSequence: state.stopSequence,
+            usage: state.usage
+          });
+        }
+
+        if (callbacks.onUsage) {
+          callbacks.onUsage(state.usage);
+        }
+        break;
+
+      case 'message_stop':
+        complete();
+        break;
+
+      case 'ping':
+        if (callbacks.onPing) {
+          callbacks.onPing();
+        }
+        break;
+
+      case 'error':
+        fail({
+          message: (data.error && data.error.message) || 'Stream error',
+          type: data.error && data.error.type,
+          error: data.error
+        });
+        break;
+
+      default:
+        // New event types may be added to the API; ignore them
+        logger.debug(`Ignoring unknown stream event: ${eventType}`);
+        break;
+    }
+  }
+
   /**
    * Get available models
    */
@@ -0,0 +1,369 @@
+/**
+ * Auth Manager for Claude UI MCP Server
+ * Verifies credentials through pluggable auth providers, issues session
+ * tokens and locks out clients after repeated failed attempts
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { configManager } = require('./config');
+const { ERROR_CODES } = require('./protocol');
+const { LocalAuthProvider } = require('./local-auth-provider');
+const { accessPolicy } = require('./access-policy');
+
+/**
+ * Create an authentication error carrying a protocol error code
+ */
+function createAuthError(message, code = ERROR_CODES.UNAUTHORIZED, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+class AuthManager extends EventEmitter {
+  constructor() {
+    super();
+
+    this.providers = new Map();
+    this.sessions = new Map();
+    this.failedAttempts = new Map();
+
+    const localProvider = new LocalAuthProvider();
+    localProvider.on('apiKeyDeleted', ({ identityId }) => this.revokeSessionsForIdentity(identityId));
+    this.registerProvider(localProvider);
+  }
+
+  /**
+   * Register an auth provider
+   *
+   * A provider is { name, authenticate } where authenticate is an async
+   * function (credentials, context) returning an identity
+   * { id, name, roles } or null when the credentials are not valid.
+   * Identities without roles get security.defaultRoles. A provider may
+   * also define hasIdentity(identityId); session tokens of identities it
+   * no longer knows are rejected.
+   */
+  registerProvider(provider, source = 'server') {
+    if (!provider || !provider.name || typeof provider.authenticate !== 'function') {
+      throw new Error('Auth provider requires a name and an authenticate function');
+    }
+
+    if (this.providers.has(provider.name)) {
+      logger.warn(`Replacing existing auth provider: ${provider.name}`);
+    }
+
+    this.providers.set(provider.name, { provider, source });
+
+    logger.debug(`Registered auth provider: ${provider.name} (${source})`);
+    this.emit('providerRegistered', { name: provider.name, source });
+  }
+
+  /**
+   * Unregister an auth provider, revoking the session tokens it vouched for
+   */
+  unregisterProvider(name) {
+    const entry = this.providers.get(name);
+    const removed = this.providers.delete(name);
+
+    if (removed) {
+      if (typeof entry.provider.unwatch === 'function') {
+        entry.provider.unwatch();
+      }
+
+      for (const session of Array.from(this.sessions.values())) {
+        if (session.provider === name) {
+          this.revokeSession(session.token);
+        }
+      }
+
+      logger.debug(`Unregistered auth provider: ${name}`);
+      this.emit('providerUnregistered', { name });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Unregister all auth providers registered by a source (e.g. a plugin)
+   */
+  unregisterProvidersBySource(source) {
+    let count = 0;
+
+    for (const [name, entry] of Array.from(this.providers.entries())) {
+      if (entry.source === source && this.unregisterProvider(name)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Have providers that can watch their backing store (e.g. the local
+   * provider's config file) start picking up changes made elsewhere
+   */
+  watch() {
+    for (const { provider } of this.providers.values()) {
+      if (typeof provider.watch === 'function') {
+        provider.watch();
+      }
+    }
+  }
+
+  /**
+   * Stop providers watching their backing store
+   */
+  unwatch() {
+    for (const { provider } of this.providers.values()) {
+      if (typeof provider.unwatch === 'function') {
+        provider.unwatch();
+      }
+    }
+  }
+
+  /**
+   * Get an auth provider, defaulting to the configured one
+   */
+  getProvider(name = configManager.get('security.authProvider', 'local')) {
+    const entry = this.providers.get(name);
+    return entry ? entry.provider : null;
+  }
+
+  /**
+   * Authenticate with an existing session token or with credentials for
+   * the configured provider, returning the session
+   */
+  async authenticate(credentials = {}, context = {}) {
+    const { identity, session, provider } = await this.verify(credentials, context);
+
+    return session || this.createSession(identity, provider);
+  }
+
+  /**
+   * Check a session token or provider credentials without issuing a new
+   * session, e.g. for stateless HTTP requests. Returns the identity (with
+   * its roles resolved), the session for a token, and the provider name.
+   */
+  async verify(credentials = {}, context = {}) {
+    const attemptKey = context.ipAddress || 'unknown';
+
+    this.checkLockout(attemptKey);
+
+    if (credentials.token) {
+      const session = this.getSession(credentials.token);
+
+      if (!session) {
+        this.recordFailure(attemptKey);
+        throw createAuthError('Invalid or expired token');
+      }
+
+      this.failedAttempts.delete(attemptKey);
+      return { identity: session.identity, session, provider: session.provider };
+    }
+
+    const providerName = configManager.get('security.authProvider', 'local');
+    const provider = this.getProvider(providerName);
+
+    if (!provider) {
+      throw createAuthError(`Unknown auth provider: ${providerName}`, ERROR_CODES.SERVER_ERROR);
+    }
+
+    const identity = await provider.authenticate(credentials, context);
+
+    if (!identity) {
+      this.recordFailure(attemptKey);
+      throw createAuthError('Invalid credentials');
+    }
+
+    this.failedAttempts.delete(attemptKey);
+
+    return {
+      identity: { ...identity, roles: this.resolveRoles(identity) },
+      session: null,
+      provider: provider.name
+    };
+  }
+
+  /**
+   * Get an identity's known roles, or security.defaultRoles if it has none
+   */
+  resolveRoles(identity) {
+    return (identity.roles || configManager.get('security.defaultRoles', ['client']))
+      .filter(role => accessPolicy.isRole(role));
+  }
+
+  /**
+   * Issue a session token for an identity
+   */
+  createSession(identity, providerName) {
+    this.pruneSessions();
+
+    const roles = this.resolveRoles(identity);
+    const now = Date.now();
+    const session = {
+      token: crypto.randomBytes(32).toString('base64url'),
+      identity: {
+        id: identity.id,
+        name: identity.name || identity.id,
+        roles
+      },
+      provider: providerName,
+      createdAt: now,
+      expiresAt: now + configManager.get('security.tokenExpiration', 86400000)
+    };
+
+    this.sessions.set(session.token, session);
+
+    logger.info(`Issued session token for ${session.identity.id} (${providerName})`);
+    this.emit('sessionCreated', { identity: session.identity, expiresAt: session.expiresAt });
+
+    return session;
+  }
+
+  /**
+   * Get a live session by token, or null if it is unknown, expired or its
+   * identity no longer exists
+   */
+  getSession(token) {
+    const session = this.sessions.get(token);
+
+    if (!session) {
+      return null;
+    }
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      this.emit('sessionExpired', { identity: session.identity });
+      return null;
+    }
+
+    const provider = this.getProvider(session.provider);
+
+    if (provider && typeof provider.hasIdentity === 'function' && !provider.hasIdentity(session.identity.id)) {
+      this.revokeSession(token);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Exchange a live session token for a new one, revoking the old token
+   */
+  refreshSession(token) {
+    const session = this.getSession(token);
+
+    if (!session) {
+      throw createAuthError('Invalid or expired token');
+    }
+
+    this.sessions.delete(token);
+
+    return this.createSession(session.identity, session.provider);
+  }
+
+  /**
+   * Revoke a session token
+   */
+  revokeSession(token) {
+    const session = this.sessions.get(token);
+
+    if (!session) {
+      return false;
+    }
+
+    this.sessions.delete(token);
+
+    logger.info(`Revoked session token for ${session.identity.id}`);
+    this.emit('sessionRevoked', { identity: session.identity });
+
+    return true;
+  }
+
+  /**
+   * Revoke every session token issued to an identity
+   */
+  revokeSessionsForIdentity(identityId) {
+    let count = 0;
+
+    for (const session of Array.from(this.sessions.values())) {
+      if (session.identity.id === identityId && this.revokeSession(session.token)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Get live sessions without their tokens
+   */
+  getSessions() {
+    this.pruneSessions();
+
+    return Array.from(this.sessions.values()).map(session => ({
+      identity: session.identity,
+      provider: session.provider,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt
+    }));
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  pruneSessions() {
+    for (const token of Array.from(this.sessions.keys())) {
+      this.getSession(token);
+    }
+  }
+
+  /**
+   * Reject attempts from a client that is locked out
+   */
+  checkLockout(attemptKey) {
+    const entry = this.failedAttempts.get(attemptKey);
+
+    if (entry && entry.lockedUntil > Date.now()) {
+      throw createAuthError('Too many failed authentication attempts', ERROR_CODES.UNAUTHORIZED, {
+        retryAfter: entry.lockedUntil - Date.now()
+      });
+    }
+  }
+
+  /**
+   * Record a failed attempt, locking the client out once it has failed
+   * security.maxFailedAttempts times within security.failedAttemptWindow
+   */
+  recordFailure(attemptKey) {
+    const now = Date.now();
+    const maxAttempts = configManager.get('security.maxFailedAttempts', 5);
+    const window = configManager.get('security.failedAttemptWindow', 900000);
+    let entry = this.failedAttempts.get(attemptKey);
+
+    if (!entry || now - entry.firstAttempt > window || entry.lockedUntil) {
+      entry = { count: 0, firstAttempt: now, lockedUntil: 0 };
+      this.failedAttempts.set(attemptKey, entry);
+    }
+
+    entry.count++;
+
+    if (entry.count >= maxAttempts) {
+      entry.lockedUntil = now + configManager.get('security.lockoutDuration', 900000);
+
+      logger.warn(`Locked out ${attemptKey} after ${entry.count} failed authentication attempts`);
+      this.emit('lockout', { attemptKey, lockedUntil: entry.lockedUntil });
+    }
+  }
+}
+
+// Create a singleton instance
+const authManager = new AuthManager();
+
+module.exports = {
+  AuthManager,
+  authManager,
+  createAuthError
+};
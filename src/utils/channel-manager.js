@@ -0,0 +1,396 @@
+/**
+ * Channel Manager for Claude UI MCP Server
+ * Publish/subscribe channels that let connected clients talk to each other
+ *
+ * Topics are dot-separated segments (e.g. "ui.window.focus"). Subscription
+ * patterns may use "*" for exactly one segment and "**" for any number of
+ * segments; messages are always published to concrete topics. Both are
+ * limited to MAX_SEGMENTS segments.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { configManager } = require('./config');
+const { MESSAGE_TYPES, ERROR_CODES } = require('./protocol');
+const { accessPolicy, ROLES } = require('./access-policy');
+
+const SEGMENT = '[A-Za-z0-9_-]+';
+const TOPIC_PATTERN = new RegExp(`^${SEGMENT}(\\.${SEGMENT})*$`);
+const SUBSCRIPTION_PATTERN = new RegExp(`^(${SEGMENT}|\\*|\\*\\*)(\\.(${SEGMENT}|\\*|\\*\\*))*$`);
+const MAX_SEGMENTS = 32;
+
+// Roles required on channels without a matching permission entry
+const DEFAULT_PERMISSIONS = {
+  subscribe: ROLES.READ_ONLY,
+  publish: ROLES.CLIENT
+};
+
+/**
+ * Check whether a topic matches a subscription pattern
+ *
+ * Walks the pattern one segment at a time, tracking how many topic segments
+ * each prefix of it can consume, so the cost stays proportional to
+ * pattern length × topic length however many "**" the pattern has.
+ */
+function matchTopic(pattern, topic) {
+  const patternParts = pattern.split('.');
+  const topicParts = topic.split('.');
+
+  // reachable[j]: the pattern so far can consume the first j topic segments
+  let reachable = topicParts.map(() => false);
+  reachable.unshift(true);
+
+  for (const part of patternParts) {
+    const next = new Array(topicParts.length + 1).fill(false);
+
+    for (let j = 0; j <= topicParts.length; j++) {
+      if (part === '**') {
+        next[j] = reachable[j] || (j > 0 && next[j - 1]);
+      } else {
+        next[j] = j > 0 && reachable[j - 1] && (part === '*' || part === topicParts[j - 1]);
+      }
+    }
+
+    reachable = next;
+  }
+
+  return reachable[topicParts.length];
+}
+
+/**
+ * Check whether a subscription pattern is well formed: valid segments, no
+ * more than MAX_SEGMENTS of them and no "**" directly after another
+ */
+function isValidPattern(pattern) {
+  if (!SUBSCRIPTION_PATTERN.test(pattern || '')) {
+    return false;
+  }
+
+  const parts = pattern.split('.');
+
+  return parts.length <= MAX_SEGMENTS &&
+    parts.every((part, i) => part !== '**' || parts[i - 1] !== '**');
+}
+
+/**
+ * Create an error carrying a protocol error code
+ */
+function createChannelError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class ChannelManager extends EventEmitter {
+  /**
+   * options.send(connectionId, type, data) delivers a message to a client
+   * and options.getRoles(connectionId) returns the client's current roles
+   */
+  constructor(options = {}) {
+    super();
+
+    this.send = options.send;
+    this.getRoles = options.getRoles || (() => []);
+    this.subscriptions = new Map();
+    this.retained = new Map();
+    // Size and age order of each retained message, for the overall limits
+    this.retainedInfo = new WeakMap();
+    this.retainedSequence = 0;
+    this.permissions = new Map(Object.entries(configManager.get('channels.permissions', {})));
+  }
+
+  /**
+   * Set the roles required to subscribe to and publish on the channels
+   * matching a pattern
+   */
+  setPermissions(pattern, permissions) {
+    for (const role of Object.values(permissions)) {
+      if (!accessPolicy.isRole(role)) {
+        throw new Error(`Unknown role: ${role}`);
+      }
+    }
+
+    this.permissions.set(pattern, permissions);
+  }
+
+  /**
+   * Get the permissions for a topic or subscription pattern from the most
+   * specific matching entry
+   */
+  getPermissions(topic) {
+    let best = null;
+    let bestScore = -1;
+
+    for (const [pattern, permissions] of this.permissions.entries()) {
+      if (!matchTopic(pattern, topic)) {
+        continue;
+      }
+
+      const score = pattern.split('.').filter(part => part !== '*' && part !== '**').length * 2 +
+        (pattern.includes('**') ? 0 : 1);
+
+      if (score > bestScore) {
+        best = permissions;
+        bestScore = score;
+      }
+    }
+
+    return {
+      ...DEFAULT_PERMISSIONS,
+      ...(best || {})
+    };
+  }
+
+  /**
+   * Check whether a client may perform an action ('subscribe' or 'publish')
+   * on a topic
+   */
+  isPermitted(connectionId, action, topic) {
+    return accessPolicy.hasRole(this.getRoles(connectionId), this.getPermissions(topic)[action]);
+  }
+
+  /**
+   * Subscribe a client to a topic pattern, returning the retained messages
+   * it may see
+   */
+  subscribe(connectionId, pattern) {
+    if (!isValidPattern(pattern)) {
+      throw createChannelError(ERROR_CODES.INVALID_FORMAT, `Invalid topic pattern: ${pattern}`);
+    }
+
+    if (!this.isPermitted(connectionId, 'subscribe', pattern)) {
+      throw createChannelError(ERROR_CODES.FORBIDDEN, `Not allowed to subscribe to ${pattern}`);
+    }
+
+    if (!this.subscriptions.has(connectionId)) {
+      this.subscriptions.set(connectionId, new Set());
+    }
+
+    this.subscriptions.get(connectionId).add(pattern);
+
+    logger.debug(`Connection ${connectionId} subscribed to ${pattern}`);
+    this.emit('subscribed', { connectionId, pattern });
+
+    return this.getRetainedMessages(pattern)
+      .filter(message => this.isPermitted(connectionId, 'subscribe', message.topic));
+  }
+
+  /**
+   * Unsubscribe a client from a topic pattern
+   */
+  unsubscribe(connectionId, pattern) {
+    const patterns = this.subscriptions.get(connectionId);
+
+    if (!patterns || !patterns.delete(pattern)) {
+      return false;
+    }
+
+    if (patterns.size === 0) {
+      this.subscriptions.delete(connectionId);
+    }
+
+    this.emit('unsubscribed', { connectionId, pattern });
+
+    return true;
+  }
+
+  /**
+   * Publish a message to a topic. The publisher is { connectionId, identity }
+   * for clients, or { source } for the server and plugins.
+   *
+   * Returns the published message and how many clients it was delivered to.
+   */
+  publish(publisher, topic, payload, options = {}) {
+    if (!TOPIC_PATTERN.test(topic || '') || topic.split('.').length > MAX_SEGMENTS) {
+      throw createChannelError(ERROR_CODES.INVALID_FORMAT, `Invalid topic: ${topic}`);
+    }
+
+    if (publisher.connectionId && !this.isPermitted(publisher.connectionId, 'publish', topic)) {
+      throw createChannelError(ERROR_CODES.FORBIDDEN, `Not allowed to publish to ${topic}`);
+    }
+
+    const message = {
+      messageId: crypto.randomUUID(),
+      topic,
+      payload: payload === undefined ? null : payload,
+      publisher: publisher.connectionId
+        ? { connectionId: publisher.connectionId, identity: publisher.identity || null }
+        : { source: publisher.source || 'server' },
+      timestamp: Date.now()
+    };
+
+    if (options.retain) {
+      const size = Buffer.byteLength(JSON.stringify(message));
+      const maxBytes = configManager.get('channels.maxRetainedBytes', 1048576);
+
+      if (size > maxBytes) {
+        throw createChannelError(ERROR_CODES.INVALID_FORMAT,
+          `Retained message too large: ${size} bytes (channels.maxRetainedBytes is ${maxBytes})`);
+      }
+
+      this.retain(message, size);
+    }
+
+    let delivered = 0;
+
+    for (const [connectionId, patterns] of this.subscriptions.entries()) {
+      if (connectionId === publisher.connectionId && !options.echo) {
+        continue;
+      }
+
+      const subscription = Array.from(patterns).find(pattern => matchTopic(pattern, topic));
+
+      if (!subscription || !this.isPermitted(connectionId, 'subscribe', topic)) {
+        continue;
+      }
+
+      if (this.send(connectionId, MESSAGE_TYPES.CHANNEL_MESSAGE, { ...message, subscription, retained: false })) {
+        delivered++;
+      }
+    }
+
+    this.emit('published', { message, delivered });
+
+    return { message, delivered };
+  }
+
+  /**
+   * Keep a message for clients that subscribe later
+   */
+  retain(message, size) {
+    const maxRetained = configManager.get('channels.maxRetained', 50);
+    const messages = this.retained.get(message.topic) || [];
+
+    messages.push(message);
+    this.retained.set(message.topic, messages.slice(-maxRetained));
+    this.retainedInfo.set(message, { size, sequence: this.retainedSequence++ });
+
+    this.evictRetained();
+  }
+
+  /**
+   * Drop the oldest retained messages, whatever their topic, until they fit
+   * channels.maxRetainedTotal and channels.maxRetainedBytes
+   */
+  evictRetained() {
+    const maxTotal = configManager.get('channels.maxRetainedTotal', 1000);
+    const maxBytes = configManager.get('channels.maxRetainedBytes', 1048576);
+    const messages = Array.from(this.retained.values()).flat()
+      .map(message => ({ message, ...this.retainedInfo.get(message) }))
+      .sort((a, b) => a.sequence - b.sequence);
+
+    let count = messages.length;
+    let bytes = messages.reduce((total, entry) => total + entry.size, 0);
+    const evicted = new Set();
+
+    for (const entry of messages) {
+      if (count <= maxTotal && bytes <= maxBytes) {
+        break;
+      }
+
+      evicted.add(entry.message);
+      count--;
+      bytes -= entry.size;
+    }
+
+    if (evicted.size === 0) {
+      return;
+    }
+
+    for (const [topic, retained] of Array.from(this.retained.entries())) {
+      const kept = retained.filter(message => !evicted.has(message));
+
+      if (kept.length === 0) {
+        this.retained.delete(topic);
+      } else {
+        this.retained.set(topic, kept);
+      }
+    }
+
+    logger.debug(`Dropped ${evicted.size} retained channel messages over the limits`);
+  }
+
+  /**
+   * Get unexpired retained messages on the topics matching a pattern
+   */
+  getRetainedMessages(pattern) {
+    const cutoff = Date.now() - configManager.get('channels.retentionPeriod', 3600000);
+    const messages = [];
+
+    for (const [topic, retained] of Array.from(this.retained.entries())) {
+      const current = retained.filter(message => message.timestamp > cutoff);
+
+      if (current.length === 0) {
+        this.retained.delete(topic);
+        continue;
+      }
+
+      this.retained.set(topic, current);
+
+      if (matchTopic(pattern, topic)) {
+        messages.push(...current.map(message => ({ ...message, subscription: pattern, retained: true })));
+      }
+    }
+
+    return messages.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Get the subscription patterns of a client
+   */
+  getSubscriptions(connectionId) {
+    return Array.from(this.subscriptions.get(connectionId) || []);
+  }
+
+  /**
+   * List channels with active subscriptions or retained messages. Given a
+   * connection without the admin role, only that client's own
+   * subscriptions and the retained topics it may subscribe to are listed.
+   */
+  getChannels(connectionId = null) {
+    const all = connectionId === null || accessPolicy.hasRole(this.getRoles(connectionId), ROLES.ADMIN);
+
+    const channels = new Map();
+    const getChannel = (topic) => {
+      if (!channels.has(topic)) {
+        channels.set(topic, { topic, subscribers: 0, retained: 0 });
+      }
+
+      return channels.get(topic);
+    };
+
+    for (const [subscriberId, patterns] of this.subscriptions.entries()) {
+      if (all || subscriberId === connectionId) {
+        patterns.forEach(pattern => getChannel(pattern).subscribers++);
+      }
+    }
+
+    // Drops expired messages as a side effect
+    this.getRetainedMessages('**');
+
+    for (const [topic, retained] of this.retained.entries()) {
+      if (all || this.isPermitted(connectionId, 'subscribe', topic)) {
+        getChannel(topic).retained = retained.length;
+      }
+    }
+
+    return Array.from(channels.values()).map(channel => ({
+      ...channel,
+      permissions: this.getPermissions(channel.topic)
+    }));
+  }
+
+  /**
+   * Drop a closed connection's subscriptions
+   */
+  removeConnection(connectionId) {
+    return this.subscriptions.delete(connectionId);
+  }
+}
+
+module.exports = {
+  ChannelManager,
+  matchTopic,
+  isValidPattern
+};
@@ -0,0 +1,128 @@
+/**
+ * Config Schema for Claude UI MCP Server
+ * Checks configuration changes made through the admin interfaces before
+ * they are saved
+ *
+ * The schema is derived from DEFAULT_CONFIG (every default fixes the type of
+ * its setting, and numbers may not be negative), with stricter rules for
+ * settings that the server can't run with otherwise. Unknown settings are
+ * allowed so plugins can keep their own.
+ */
+
+const { DEFAULT_CONFIG } = require('./config');
+const { validateSchema } = require('./schema-validator');
+const { validateIpEntry } = require('./access-control');
+const { ROLES } = require('./access-policy');
+
+const ROLE_SCHEMA = { enum: Object.values(ROLES) };
+const ROLE_LIST_SCHEMA = { type: 'array', items: ROLE_SCHEMA };
+const BUCKET_SCHEMA = {
+  type: 'object',
+  properties: {
+    capacity: { type: 'number', minimum: 1 },
+    refillPerSecond: { type: 'number', minimum: 0 }
+  }
+};
+
+// Settings that need more than the type of their default, by path
+const OVERRIDES = {
+  'server.port': { type: 'integer', minimum: 0, maximum: 65535 },
+  'server.handlerTimeouts': { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+  'server.backpressure.policy': { enum: ['drop-oldest', 'coalesce', 'disconnect'] },
+  'security.allowedOrigins': { type: 'array', items: { type: 'string' } },
+  'security.ipAllowList': { type: 'array', items: { type: 'string' } },
+  'security.ipDenyList': { type: 'array', items: { type: 'string' } },
+  'security.defaultRoles': ROLE_LIST_SCHEMA,
+  'security.anonymousRoles': ROLE_LIST_SCHEMA,
+  'security.stdioRoles': ROLE_LIST_SCHEMA,
+  'security.policy': { type: 'object', additionalProperties: ROLE_SCHEMA },
+  'security.rateLimit.global': BUCKET_SCHEMA,
+  'security.rateLimit.identity': BUCKET_SCHEMA,
+  'security.rateLimit.namespaces': { type: 'object', additionalProperties: BUCKET_SCHEMA },
+  'channels.permissions': {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        subscribe: ROLE_SCHEMA,
+        publish: ROLE_SCHEMA
+      }
+    }
+  },
+  'logging.level': { enum: ['error', 'warn', 'info', 'debug'] }
+};
+
+// Lists of addresses and CIDR ranges, checked entry by entry
+const IP_LIST_KEYS = ['security.ipAllowList', 'security.ipDenyList'];
+
+/**
+ * Derive the schema of a setting from its default value
+ */
+function schemaFromDefault(value, path) {
+  if (OVERRIDES[path]) {
+    return OVERRIDES[path];
+  }
+
+  if (Array.isArray(value)) {
+    return { type: 'array' };
+  }
+
+  if (value && typeof value === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(value)
+        .map(([key, child]) => [key, schemaFromDefault(child, path ? `${path}.${key}` : key)]))
+    };
+  }
+
+  return typeof value === 'number' ? { type: 'number', minimum: 0 } : { type: typeof value };
+}
+
+const CONFIG_SCHEMA = schemaFromDefault(DEFAULT_CONFIG, '');
+
+/**
+ * Get a value by dot path
+ */
+function getPath(value, path) {
+  return path.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), value);
+}
+
+/**
+ * Check a partial configuration (the settings being changed, nested as in
+ * the config file), returning a list of problems; empty means valid
+ */
+function validateConfig(updates) {
+  const errors = validateSchema(CONFIG_SCHEMA, updates).errors
+    .map(error => `${error.pointer.slice(1).replace(/\//g, '.') || 'config'}: ${error.message}`);
+
+  for (const key of IP_LIST_KEYS) {
+    const entries = getPath(updates, key);
+
+    if (Array.isArray(entries)) {
+      entries.forEach((entry, index) => {
+        const error = typeof entry === 'string' && validateIpEntry(entry);
+
+        if (error) {
+          errors.push(`${key}.${index}: ${error}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a single setting by dot path
+ */
+function validateConfigValue(key, value) {
+  const updates = key.split('.').reduceRight((nested, part) => ({ [part]: nested }), value);
+
+  return validateConfig(updates);
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig,
+  validateConfigValue
+};
@@ -8,6 +8,9 @@ const path = require('path');
 const os = require('os');
 const { logger } = require('./logger');
 
+// Shown in place of secrets by getRedacted()
+const REDACTED = '********';
+
 // Default configuration
 const DEFAULT_CONFIG = {
   server: {
@@ -17,13 +20,53 @@ const DEFAULT_CONFIG = {
     maxConnections: 50,
     idleTimeout: 300000, // 5 minutes
     pingInterval: 30000, // 30 seconds
+    maxMissedPongs: 2, // unanswered pings before a connection is considered dead
+    requestTimeout: 30000, // how long server-initiated requests wait for a client's reply
+    handlerTimeout: 60000, // how long a message handler may run before it is aborted
+    handlerTimeouts: { // per message type or namespace
+      claude: 600000,
+    },
+    resumeGracePeriod: 60000, // how long a dropped client can resume its session
+    resumeBufferSize: 500, // outbound messages held for a dropped client
+    backpressure: {
+      highWatermark: 1048576, // queue messages once 1 MB is waiting on the socket
+      lowWatermark: 262144, // resume sending below 256 KB
+      maxQueuedBytes: 8388608, // 8 MB
+      policy: 'coalesce', // 'drop-oldest', 'coalesce' (merge stream chunks, then drop oldest) or 'disconnect'
+    },
+    tls: {
+      enabled: false,
+      certPath: '', // leave certPath/keyPath empty to generate a local CA
+      keyPath: '',
+      directory: path.join(os.homedir(), '.claude-ui-mcp', 'tls'),
+    },
   },
   security: {
     enabled: false,
     authRequired: false,
     tokenExpiration: 86400000, // 24 hours
-    allowedOrigins: ['*'],
+    allowedOrigins: ['*'], // checked against the Origin header of browser clients
+    ipAllowList: [], // addresses or CIDR ranges; empty allows all
+    ipDenyList: [],
+    banDuration: 3600000, // 1 hour
     authProvider: 'local',
+    apiKeys: {}, // hashed local API keys keyed by id
+    defaultRoles: ['client'], // for API keys created without roles
+    anonymousRoles: ['client'], // for connections when auth isn't required
+    stdioRoles: ['client'], // for the stdio host, which never authenticates
+    policy: {}, // required role overrides by message type or namespace
+    maxFailedAttempts: 5,
+    failedAttemptWindow: 900000, // 15 minutes
+    lockoutDuration: 900000, // 15 minutes
+    rateLimit: {
+      enabled: true,
+      global: { capacity: 60, refillPerSecond: 10 }, // per connection
+      identity: { capacity: 120, refillPerSecond: 20 }, // across an identity's connections
+      namespaces: {
+        claude: { capacity: 10, refillPerSecond: 0.5 },
+        proxy: { capacity: 20, refillPerSecond: 2 },
+      },
+    },
   },
   api: {
     claude: {
@@ -32,6 +75,7 @@ const DEFAULT_CONFIG = {
       modelName: 'claude-3-opus-20240229',
       timeout: 60000, // 1 minute
       maxResponseTokens: 4096,
+      maxToolIterations: 10,
     },
     anthropic: {
       enabled: false,
@@ -40,6 +84,23 @@ const DEFAULT_CONFIG = {
       version: '2023-06-01',
     },
   },
+  conversations: {
+    persist: false,
+    directory: path.join(os.homedir(), '.claude-ui-mcp', 'conversations'),
+    maxMessages: 500, // per conversation
+  },
+  channels: {
+    maxRetained: 50, // retained messages per topic
+    maxRetainedTotal: 1000, // retained messages across all topics; the oldest are dropped first
+    maxRetainedBytes: 1048576, // 1 MB of retained messages across all topics
+    retentionPeriod: 3600000, // 1 hour
+    permissions: {}, // { "<topic pattern>": { subscribe: "<role>", publish: "<role>" } }
+  },
+  admin: {
+    enabled: true, // local admin socket used by the claude-ui-mcp CLI
+    socketPath: '', // defaults to ~/.claude-ui-mcp/admin.sock (a named pipe on Windows)
+    rest: true, // REST admin API under /api/v1 for admin API keys and tokens
+  },
   logging: {
     level: 'info',
     console: true,
@@ -62,8 +123,9 @@ const DEFAULT_CONFIG = {
 
 class ConfigManager {
   constructor(options = {}) {
-    this.configPath = options.configPath || path.join(os.homedir(), '.claude-ui-mcp', 'config.json');
-    this.config = Object.assign({}, DEFAULT_CONFIG);
+    this.configPath = options.configPath || process.env.CLAUDE_UI_MCP_CONFIG ||
+      path.join(os.homedir(), '.claude-ui-mcp', 'config.json');
+    this.config = structuredClone(DEFAULT_CONFIG);
     this.loaded = false;
     
     // Create config directory if it doesn't exist
@@ -141,6 +203,26 @@ class ConfigManager {
     return current;
   }
   
+  /**
+   * Get a configuration value by path with secrets (API keys and their
+   * hashes) masked, for showing to admins
+   */
+  getRedacted(path, defaultValue) {
+    const redact = (value, key) => {
+      if (/apiKey|secret|password|^salt$|^hash$/i.test(key) && value && typeof value !== 'object') {
+        return REDACTED;
+      }
+      
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, redact(child, childKey)]));
+      }
+      
+      return value;
+    };
+    
+    return redact(this.get(path, defaultValue), path ? path.split('.').pop() : '');
+  }
+  
   /**
    * Set a configuration value by path
    */
@@ -185,7 +267,7 @@ class ConfigManager {
    * Reset configuration to defaults
    */
   reset() {
-    this.config = Object.assign({}, DEFAULT_CONFIG);
+    this.config = structuredClone(DEFAULT_CONFIG);
     return this.save();
   }
   
@@ -200,8 +282,9 @@ class ConfigManager {
         const targetValue = target[key];
         const sourceValue = source[key];
         
-        if (targetValue && typeof targetValue === 'object' && 
-            sourceValue && typeof sourceValue === 'object') {
+        // Arrays are values, not objects to merge index by index
+        if (targetValue && typeof targetValue === 'object' && !Array.isArray(targetValue) &&
+            sourceValue && typeof sourceValue === 'object' && !Array.isArray(sourceValue)) {
           merged[key] = this.mergeConfigs(targetValue, sourceValue);
         } else if (sourceValue !== undefined) {
           merged[key] = sourceValue;
@@ -219,5 +302,6 @@ const configManager = new ConfigManager();
 module.exports = {
   ConfigManager,
   configManager,
-  DEFAULT_CONFIG
+  DEFAULT_CONFIG,
+  REDACTED
 };
@@ -8,6 +8,35 @@ const { EventEmitter } = require('events');
 const { logger } = require('./logger');
 const { MessageProtocol, MESSAGE_TYPES, ERROR_CODES } = require('./protocol');
 const { configManager } = require('./config');
+const { authManager } = require('./auth-manager');
+const { accessPolicy, ROLES } = require('./access-policy');
+const { RateLimiter } = require('./rate-limiter');
+const { JSONRPC_ERRORS, isJsonRpcMessage, isResponse, createError, createRequest } = require('./jsonrpc');
+
+// Reasons reported in 'disconnection' events
+const DISCONNECT_REASONS = {
+  CLIENT_CLOSED: 'client_closed',
+  CONNECTION_LOST: 'connection_lost',
+  ERROR: 'error',
+  IDLE_TIMEOUT: 'idle_timeout',
+  HEARTBEAT_TIMEOUT: 'heartbeat_timeout',
+  RESUME_EXPIRED: 'resume_expired',
+  RESUMED: 'resumed',
+  SLOW_CONSUMER: 'slow_consumer',
+  BANNED: 'banned',
+  KICKED: 'kicked',
+  SERVER_CLOSED: 'server_closed'
+};
+
+/**
+ * Create an error for a failed server-initiated request
+ */
+function createRequestError(message, code = ERROR_CODES.SERVER_ERROR, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
 
 class ConnectionManager extends EventEmitter {
   constructor(options = {}) {
@@ -19,7 +48,24 @@ class ConnectionManager extends EventEmitter {
     this.maxConnections = options.maxConnections || configManager.get('server.maxConnections', 50);
     this.idleTimeout = options.idleTimeout || configManager.get('server.idleTimeout', 300000);
     this.pingInterval = options.pingInterval || configManager.get('server.pingInterval', 30000);
+    this.maxMissedPongs = options.maxMissedPongs || configManager.get('server.maxMissedPongs', 2);
     this.authRequired = options.authRequired || configManager.get('security.authRequired', false);
+    this.rateLimiter = options.rateLimiter || new RateLimiter();
+    this.resumeGracePeriod = options.resumeGracePeriod !== undefined
+      ? options.resumeGracePeriod
+      : configManager.get('server.resumeGracePeriod', 60000);
+    this.resumeBufferSize = options.resumeBufferSize || configManager.get('server.resumeBufferSize', 500);
+    this.resumeTokens = new Map();
+    this.pendingRequests = new Map();
+    this.requestTimeout = options.requestTimeout || configManager.get('server.requestTimeout', 30000);
+    this.backpressure = {
+      highWatermark: 1048576,
+      lowWatermark: 262144,
+      maxQueuedBytes: 8388608,
+      policy: 'coalesce',
+      ...configManager.get('server.backpressure', {}),
+      ...(options.backpressure || {})
+    };
     
     // Set up ping interval
     this.pingIntervalId = setInterval(() => {
@@ -68,34 +114,61 @@ class ConnectionManager extends EventEmitter {
       userAgent: info.userAgent || (info.req ? info.req.headers['user-agent'] : 'unknown'),
       connected: Date.now(),
       lastActivity: Date.now(),
-      isAuthenticated: !this.authRequired,
+      isAuthenticated: !this.requiresAuthentication(info),
+      session: null,
+      authPending: null,
+      protocol: info.protocol || 'message',
+      transport: info.transport || 'websocket',
       clientInfo: {},
+      resumeToken: null,
+      suspended: null,
+      outbound: {
+        queue: [],
+        bytes: 0
+      },
+      heartbeat: {
+        pingSentAt: null,
+        missed: 0
+      },
       stats: {
         messagesReceived: 0,
         messagesSent: 0,
-        errors: 0
+        errors: 0,
+        queuedMessages: 0,
+        queuedBytes: 0,
+        peakQueuedBytes: 0,
+        droppedMessages: 0,
+        coalescedMessages: 0,
+        rtt: null,
+        averageRtt: null,
+        lastPongAt: null,
+        missedPongs: 0,
+        rateLimited: 0,
+        rateLimitedBy: {}
       }
     };
     
     // Store the connection
     this.connections.set(id, connection);
     
-    // Set up event handlers
-    socket.on('message', (data) => {
-      connection.lastActivity = Date.now();
-      connection.stats.messagesReceived++;
-      this.handleMessage(id, data);
-    });
+    // Clients that can't send system.auth (e.g. MCP clients) authenticate
+    // with an Authorization: Bearer header carrying an API key or token
+    const bearer = this.getBearerCredential(info.req);
     
-    socket.on('close', () => {
-      this.removeConnection(id);
-    });
+    if (bearer) {
+      const credentials = authManager.getSession(bearer) ? { token: bearer } : { apiKey: bearer };
+      
+      connection.authPending = this.authenticateConnection(id, credentials)
+        .catch((error) => {
+          logger.warn(`Bearer authentication failed for ${id}: ${error.message}`);
+        })
+        .finally(() => {
+          connection.authPending = null;
+        });
+    }
     
-    socket.on('error', (error) => {
-      logger.error(`Connection error for ${id}`, error);
-      connection.stats.errors++;
-      this.removeConnection(id);
-    });
+    // Set up event handlers
+    this.attachSocket(connection, socket);
     
     // Emit connection event
     this.emit('connection', { 
@@ -112,17 +185,127 @@ class ConnectionManager extends EventEmitter {
   }
   
   /**
-   * Remove a client connection
+   * Route a socket's events to a connection. Events from a socket the
+   * connection no longer owns (after a resume) are ignored.
+   */
+  attachSocket(connection, socket) {
+    socket.on('message', (data) => {
+      if (connection.socket !== socket) {
+        return;
+      }
+      
+      connection.lastActivity = Date.now();
+      connection.stats.messagesReceived++;
+      
+      // Hold messages until bearer authentication has settled
+      if (connection.authPending) {
+        connection.authPending.then(() => this.handleMessage(connection.id, data));
+      } else {
+        this.handleMessage(connection.id, data);
+      }
+    });
+    
+    socket.on('pong', () => {
+      if (connection.socket === socket) {
+        this.handlePong(connection);
+      }
+    });
+    
+    socket.on('close', (code) => {
+      if (connection.socket === socket) {
+        // 1006 means the connection dropped without a closing handshake
+        this.handleSocketClosed(
+          connection.id,
+          code === 1006 ? DISCONNECT_REASONS.CONNECTION_LOST : DISCONNECT_REASONS.CLIENT_CLOSED
+        );
+      }
+    });
+    
+    socket.on('error', (error) => {
+      if (connection.socket !== socket) {
+        return;
+      }
+      
+      logger.error(`Connection error for ${connection.id}`, error);
+      connection.stats.errors++;
+      this.handleSocketClosed(connection.id, DISCONNECT_REASONS.ERROR);
+    });
+  }
+  
+  /**
+   * Handle a socket that closed or failed: registered clients are
+   * suspended for the resume grace period, others are removed
    */
-  removeConnection(id) {
+  handleSocketClosed(id, reason) {
+    const connection = this.connections.get(id);
+    
+    if (!connection || connection.suspended) {
+      return;
+    }
+    
+    if (!connection.resumeToken || connection.transport !== 'websocket' || this.resumeGracePeriod <= 0) {
+      this.removeConnection(id, reason);
+      return;
+    }
+    
+    connection.socket = null;
+    connection.suspended = {
+      since: Date.now(),
+      reason,
+      buffer: [],
+      dropped: 0,
+      timer: setTimeout(() => {
+        logger.info(`Connection ${id} was not resumed within ${this.resumeGracePeriod}ms`);
+        this.removeConnection(id, DISCONNECT_REASONS.RESUME_EXPIRED);
+      }, this.resumeGracePeriod)
+    };
+    
+    logger.info(`Connection ${id} suspended (${reason}), resumable for ${this.resumeGracePeriod}ms`);
+    this.emit('suspended', { id, reason, expiresAt: connection.suspended.since + this.resumeGracePeriod });
+  }
+  
+  /**
+   * Record the round trip of a ping
+   */
+  handlePong(connection) {
+    const { heartbeat, stats } = connection;
+    
+    if (heartbeat.pingSentAt === null) {
+      return;
+    }
+    
+    const rtt = Date.now() - heartbeat.pingSentAt;
+    
+    stats.rtt = rtt;
+    stats.averageRtt = stats.averageRtt === null ? rtt : Math.round(stats.averageRtt * 0.8 + rtt * 0.2);
+    heartbeat.pingSentAt = null;
+    heartbeat.missed = 0;
+    
+    // Pongs prove the client is alive, not active, so they are tracked
+    // apart from lastActivity and don't hold off the idle timeout
+    stats.lastPongAt = Date.now();
+  }
+  
+  /**
+   * Remove a client connection, reporting why in the 'disconnection' event
+   */
+  removeConnection(id, reason = DISCONNECT_REASONS.SERVER_CLOSED) {
     if (!this.connections.has(id)) {
       return false;
     }
     
     const connection = this.connections.get(id);
     
+    if (connection.suspended) {
+      clearTimeout(connection.suspended.timer);
+    }
+    
+    if (connection.resumeToken) {
+      this.resumeTokens.delete(connection.resumeToken);
+    }
+    
     // Close the WebSocket connection if it's still open
-    if (connection.socket.readyState === 1) { // WebSocket.OPEN
+    if (connection.socket && connection.socket.readyState === 1) { // WebSocket.OPEN
       try {
         connection.socket.close();
       } catch (error) {
@@ -132,11 +315,21 @@ class ConnectionManager extends EventEmitter {
     
     // Remove the connection from the map
     this.connections.delete(id);
+    this.rateLimiter.removeConnection(id);
+    
+    // Nobody is left to answer the connection's outstanding requests
+    for (const [requestId, pending] of Array.from(this.pendingRequests.entries())) {
+      if (pending.connectionId === id) {
+        this.pendingRequests.delete(requestId);
+        clearTimeout(pending.timer);
+        pending.reject(createRequestError(`Connection closed before replying to ${pending.type}`, ERROR_CODES.SERVER_ERROR, { reason }));
+      }
+    }
     
     // Emit disconnection event
-    this.emit('disconnection', { id });
+    this.emit('disconnection', { id, reason });
     
-    logger.info(`Connection closed: ${id}`);
+    logger.info(`Connection closed: ${id} (${reason})`);
     
     return true;
   }
@@ -153,13 +346,17 @@ class ConnectionManager extends EventEmitter {
     const connection = this.connections.get(connectionId);
     
     // Parse the message
-    const message = this.protocol.parseMessage(data);
+    let message = this.protocol.parseMessage(data);
     
     if (!message) {
       logger.warn(`Received invalid message from ${connectionId}`);
       
       // Send error message back to client
-      this.sendError(connectionId, ERROR_CODES.INVALID_MESSAGE, 'Invalid message format');
+      if (connection.protocol === 'jsonrpc') {
+        this.sendRaw(connectionId, createError(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+      } else {
+        this.sendError(connectionId, ERROR_CODES.INVALID_MESSAGE, 'Invalid message format');
+      }
       
       // Update stats
       connection.stats.errors++;
@@ -167,32 +364,34 @@ class ConnectionManager extends EventEmitter {
       return;
     }
     
-    // Check authentication if required
-    if (this.authRequired && !connection.isAuthenticated) {
-      // Only allow auth messages if not authenticated
-      if (message.type !== MESSAGE_TYPES.SYSTEM_AUTH) {
-        logger.warn(`Unauthenticated message from ${connectionId}: ${message.type}`);
-        
-        // Send error message back to client
-        this.sendError(connectionId, ERROR_CODES.UNAUTHORIZED, 'Authentication required');
-        
-        // Update stats
-        connection.stats.errors++;
+    // JSON-RPC (Model Context Protocol) messages switch the connection over
+    if (isJsonRpcMessage(message)) {
+      connection.protocol = 'jsonrpc';
+      
+      // Answers to our own requests settle them instead of being dispatched
+      if (Array.isArray(message)) {
+        message = message.filter(item => !this.settleRequest(connectionId, item));
         
+        if (message.length === 0) {
+          return;
+        }
+      } else if (this.settleRequest(connectionId, message)) {
         return;
       }
+      
+      this.emit('rpc', { connectionId, message });
+      return;
     }
     
-    // Handle system messages
-    if (message.type.startsWith('system.')) {
-      this.handleSystemMessage(connectionId, message);
+    // Replies to our own requests are exempt from limits and auth
+    if (this.settleRequest(connectionId, message)) {
       return;
     }
     
-    // Emit message event
+    // Rate limits, authentication, validation and system messages are
+    // handled by the server's middleware chain
     this.emit('message', { connectionId, message });
     
-    // For other message types, we let external handlers deal with them
     logger.debug(`Received message from ${connectionId}: ${message.type}`);
   }
   
@@ -205,7 +404,7 @@ class ConnectionManager extends EventEmitter {
     switch (message.type) {
       case MESSAGE_TYPES.SYSTEM_PING:
         // Respond to ping with a pong
-        this.sendMessage(connectionId, MESSAGE_TYPES.SYSTEM_PONG, {
+        this.sendReply(connectionId, message, MESSAGE_TYPES.SYSTEM_PONG, {
           timestamp: Date.now(),
           echo: message.data
         });
@@ -216,11 +415,23 @@ class ConnectionManager extends EventEmitter {
         this.handleAuthRequest(connectionId, message);
         break;
         
+      case MESSAGE_TYPES.SYSTEM_AUTH_REFRESH:
+        this.handleAuthRefresh(connectionId, message);
+        break;
+        
+      case MESSAGE_TYPES.SYSTEM_AUTH_REVOKE:
+        this.handleAuthRevoke(connectionId, message);
+        break;
+        
       case MESSAGE_TYPES.SYSTEM_REGISTER:
         // Handle client registration
         this.handleClientRegistration(connectionId, message);
         break;
         
+      case MESSAGE_TYPES.SYSTEM_RESUME:
+        this.handleResume(connectionId, message);
+        break;
+        
       default:
         // Unknown system message type
         logger.warn(`Unknown system message type from ${connectionId}: ${message.type}`);
@@ -232,23 +443,229 @@ class ConnectionManager extends EventEmitter {
   /**
    * Handle authentication request
    */
-  handleAuthRequest(connectionId, message) {
+  async handleAuthRequest(connectionId, message) {
+    const { apiKey, token } = message.data || {};
+    
+    try {
+      const session = await this.authenticateConnection(connectionId, { apiKey, token });
+      
+      this.sendReply(connectionId, message, MESSAGE_TYPES.SYSTEM_AUTH_RESPONSE, {
+        success: true,
+        token: session.token,
+        identity: session.identity,
+        expiresAt: session.expiresAt,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      this.sendAuthError(connectionId, error, message);
+    }
+  }
+  
+  /**
+   * Handle a request to exchange the connection's session token for a new one
+   */
+  handleAuthRefresh(connectionId, message) {
     const connection = this.connections.get(connectionId);
     
-    // In a real implementation, you would validate credentials here
-    // For now, we'll accept any auth request
-    connection.isAuthenticated = true;
-    logger.info(`Connection ${connectionId} authenticated`);
+    try {
+      if (!connection.session) {
+        throw Object.assign(new Error('No session to refresh'), { code: ERROR_CODES.UNAUTHORIZED });
+      }
+      
+      const session = authManager.refreshSession(connection.session.token);
+      this.setSession(connection, session);
+      
+      this.sendReply(connectionId, message, MESSAGE_TYPES.SYSTEM_AUTH_RESPONSE, {
+        success: true,
+        token: session.token,
+        identity: session.identity,
+        expiresAt: session.expiresAt,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      this.sendAuthError(connectionId, error, message);
+    }
+  }
+  
+  /**
+   * Handle a request to revoke the connection's session token, another
+   * token of the same identity (any token for admins), or all of the
+   * identity's tokens
+   */
+  handleAuthRevoke(connectionId, message) {
+    const connection = this.connections.get(connectionId);
+    const data = message.data || {};
+    
+    if (!connection.session) {
+      this.sendError(connectionId, ERROR_CODES.UNAUTHORIZED, 'No session to revoke', {}, message);
+      return;
+    }
+    
+    const identityId = connection.session.identity.id;
+    let revoked = 0;
+    
+    if (data.all) {
+      revoked = authManager.revokeSessionsForIdentity(identityId);
+    } else {
+      const token = data.token || connection.session.token;
+      const session = authManager.getSession(token);
+      
+      if (session && session.identity.id !== identityId &&
+          !accessPolicy.hasRole(connection.session.identity.roles, ROLES.ADMIN)) {
+        this.sendError(connectionId, ERROR_CODES.FORBIDDEN, 'Cannot revoke another identity\'s token', {}, message);
+        return;
+      }
+      
+      revoked = authManager.revokeSession(token) ? 1 : 0;
+    }
+    
+    // Drop the connection's own session if it was among those revoked
+    this.checkAuthentication(connection);
     
-    // Send auth response
-    this.sendMessage(connectionId, MESSAGE_TYPES.SYSTEM_AUTH_RESPONSE, {
+    this.sendReply(connectionId, message, MESSAGE_TYPES.SYSTEM_AUTH_REVOKE_RESPONSE, {
       success: true,
-      timestamp: Date.now(),
-      expiresAt: Date.now() + configManager.get('security.tokenExpiration', 86400000)
+      revoked,
+      timestamp: Date.now()
     });
+  }
+  
+  /**
+   * Authenticate a connection and attach the resulting session to it
+   */
+  async authenticateConnection(connectionId, credentials) {
+    const connection = this.connections.get(connectionId);
+    
+    if (!connection) {
+      throw new Error(`Unknown connection: ${connectionId}`);
+    }
+    
+    const session = await authManager.authenticate(credentials, {
+      connectionId,
+      ipAddress: connection.ipAddress
+    });
+    
+    this.setSession(connection, session);
+    logger.info(`Connection ${connectionId} authenticated as ${session.identity.id}`);
     
     // Emit authentication event
-    this.emit('authenticated', { connectionId });
+    this.emit('authenticated', { connectionId, identity: session.identity });
+    
+    return session;
+  }
+  
+  /**
+   * Attach a session to a connection
+   */
+  setSession(connection, session) {
+    connection.session = session;
+    connection.isAuthenticated = true;
+  }
+  
+  /**
+   * Check whether a connection must authenticate before sending messages.
+   * The stdio connection belongs to the host that launched the server, so
+   * it is trusted even when security.authRequired is on.
+   */
+  requiresAuthentication(connection) {
+    return this.authRequired && connection.transport !== 'stdio';
+  }
+  
+  /**
+   * Check whether a connection is authenticated, dropping its session once
+   * the token has expired or been revoked
+   */
+  checkAuthentication(connection) {
+    if (connection.session && !authManager.getSession(connection.session.token)) {
+      logger.info(`Session for connection ${connection.id} expired or was revoked`);
+      
+      connection.session = null;
+      connection.isAuthenticated = !this.requiresAuthentication(connection);
+      
+      this.emit('authenticationExpired', { connectionId: connection.id });
+    }
+    
+    return connection.isAuthenticated;
+  }
+  
+  /**
+   * Charge a message against the connection's rate limits. Returns null if
+   * it may proceed, or { limit, retryAfter } naming the exhausted limit and
+   * the milliseconds until it allows the message (left out if it never will).
+   */
+  checkRateLimit(connection, type) {
+    this.checkAuthentication(connection);
+    
+    const identityId = connection.session ? connection.session.identity.id : null;
+    const result = this.rateLimiter.consume(connection.id, identityId, type);
+    
+    if (result.allowed) {
+      return null;
+    }
+    
+    connection.stats.rateLimited++;
+    connection.stats.rateLimitedBy[result.limit] = (connection.stats.rateLimitedBy[result.limit] || 0) + 1;
+    
+    const retry = result.retryAfter !== undefined ? `retry after ${result.retryAfter}ms` : 'no retry possible';
+    
+    logger.warn(`Rate limited ${type} from ${connection.id} (${result.limit}, ${retry})`);
+    
+    return result.retryAfter !== undefined
+      ? { limit: result.limit, retryAfter: result.retryAfter }
+      : { limit: result.limit };
+  }
+  
+  /**
+   * Get the roles of a connection: those of its session, or
+   * security.stdioRoles or security.anonymousRoles when it has none and
+   * doesn't need one
+   */
+  getRoles(connectionId) {
+    const connection = this.connections.get(connectionId);
+    
+    if (!connection || !this.checkAuthentication(connection)) {
+      return [];
+    }
+    
+    if (connection.session) {
+      return connection.session.identity.roles;
+    }
+    
+    if (connection.transport === 'stdio') {
+      return configManager.get('security.stdioRoles', [ROLES.CLIENT]);
+    }
+    
+    return configManager.get('security.anonymousRoles', [ROLES.CLIENT]);
+  }
+  
+  /**
+   * Extract the credential from an HTTP upgrade request's Authorization header
+   */
+  getBearerCredential(req) {
+    const header = req && req.headers ? req.headers.authorization : null;
+    const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+    
+    return match ? match[1] : null;
+  }
+  
+  /**
+   * Send an authentication failure to a client
+   */
+  sendAuthError(connectionId, error, request) {
+    const connection = this.connections.get(connectionId);
+    
+    if (connection) {
+      connection.stats.errors++;
+    }
+    
+    logger.warn(`Authentication failed for ${connectionId}: ${error.message}`);
+    
+    this.sendError(
+      connectionId,
+      error.code || ERROR_CODES.UNAUTHORIZED,
+      error.message,
+      error.details || {},
+      request
+    );
   }
   
   /**
@@ -266,9 +683,11 @@ class ConnectionManager extends EventEmitter {
     logger.info(`Client registered: ${connectionId}`, connection.clientInfo);
     
     // Send registration response
-    this.sendMessage(connectionId, MESSAGE_TYPES.SYSTEM_REGISTER_RESPONSE, {
+    this.sendReply(connectionId, message, MESSAGE_TYPES.SYSTEM_REGISTER_RESPONSE, {
       success: true,
       id: connectionId,
+      resumeToken: this.issueResumeToken(connection),
+      resumeGracePeriod: this.resumeGracePeriod,
       timestamp: Date.now()
     });
     
@@ -279,46 +698,378 @@ class ConnectionManager extends EventEmitter {
     });
   }
   
+  /**
+   * Issue a new resume token for a connection, replacing any previous one
+   */
+  issueResumeToken(connection) {
+    if (connection.resumeToken) {
+      this.resumeTokens.delete(connection.resumeToken);
+    }
+    
+    connection.resumeToken = crypto.randomBytes(32).toString('base64url');
+    this.resumeTokens.set(connection.resumeToken, connection.id);
+    
+    return connection.resumeToken;
+  }
+  
+  /**
+   * Handle a request to resume an earlier connection on this socket. The
+   * earlier connection takes over the socket, keeping its id, client info,
+   * session and everything the server keys by connection id, and the
+   * messages buffered while it was away are replayed in order.
+   */
+  handleResume(connectionId, message) {
+    const connection = this.connections.get(connectionId);
+    const previousId = this.resumeTokens.get(message.data.resumeToken);
+    const previous = previousId ? this.connections.get(previousId) : null;
+    
+    if (!previous || previous === connection) {
+      logger.warn(`Invalid resume token from ${connectionId}`);
+      connection.stats.errors++;
+      this.sendError(connectionId, ERROR_CODES.UNAUTHORIZED, 'Invalid or expired resume token', {}, message);
+      return;
+    }
+    
+    const socket = connection.socket;
+    const suspended = previous.suspended || { buffer: [], dropped: 0 };
+    
+    // The client may notice the drop before the server does
+    if (previous.socket) {
+      const staleSocket = previous.socket;
+      previous.socket = null;
+      
+      try {
+        staleSocket.close();
+      } catch (error) {
+        logger.error(`Error closing stale socket for ${previousId}`, error);
+      }
+    }
+    
+    clearTimeout(suspended.timer);
+    
+    // Retire the connection the client reconnected on without closing its socket
+    connection.socket = null;
+    this.removeConnection(connectionId, DISCONNECT_REASONS.RESUMED);
+    
+    previous.socket = socket;
+    previous.suspended = null;
+    previous.heartbeat = { pingSentAt: null, missed: 0 };
+    previous.lastActivity = Date.now();
+    this.attachSocket(previous, socket);
+    
+    logger.info(`Connection ${previousId} resumed on ${connectionId}, replaying ${suspended.buffer.length} messages`);
+    
+    this.sendReply(previousId, message, MESSAGE_TYPES.SYSTEM_RESUME_RESPONSE, {
+      success: true,
+      id: previousId,
+      resumeToken: this.issueResumeToken(previous),
+      clientInfo: previous.clientInfo,
+      identity: previous.session ? previous.session.identity : null,
+      replayed: suspended.buffer.length,
+      dropped: suspended.dropped,
+      timestamp: Date.now()
+    });
+    
+    for (const entry of suspended.buffer) {
+      this.enqueue(previous, entry);
+    }
+    
+    this.emit('resumed', {
+      connectionId: previousId,
+      replacedConnectionId: connectionId,
+      replayed: suspended.buffer.length,
+      dropped: suspended.dropped
+    });
+  }
+  
   /**
    * Send a message to a client
    */
-  sendMessage(connectionId, type, data = {}) {
+  sendMessage(connectionId, type, data = {}, metadata = {}) {
     if (!this.connections.has(connectionId)) {
       logger.warn(`Attempted to send message to unknown connection: ${connectionId}`);
       return false;
     }
     
-    const connection = this.connections.get(connectionId);
-    
     // Create the message
-    const message = this.protocol.createMessage(type, data);
+    const message = this.protocol.createMessage(type, data, metadata);
+    
+    return this.sendRaw(connectionId, message);
+  }
+  
+  /**
+   * Send a reply to a client request, correlated by the request's id.
+   * Nothing is sent for notifications.
+   */
+  sendReply(connectionId, request, type, data = {}) {
+    if (this.protocol.isNotification(request)) {
+      return false;
+    }
+    
+    return this.sendMessage(connectionId, type, data, this.protocol.getReplyMetadata(request));
+  }
+  
+  /**
+   * Send an already-formed payload (e.g. a JSON-RPC message) to a client
+   */
+  sendRaw(connectionId, payload) {
+    if (!this.connections.has(connectionId)) {
+      logger.warn(`Attempted to send message to unknown connection: ${connectionId}`);
+      return false;
+    }
+    
+    const connection = this.connections.get(connectionId);
     
     // Serialize the message
-    const serializedMessage = this.protocol.serializeMessage(message);
+    const serializedMessage = this.protocol.serializeMessage(payload);
     
     if (!serializedMessage) {
       logger.error(`Failed to serialize message for ${connectionId}`);
       return false;
     }
     
-    // Send the message
+    const entry = {
+      payload,
+      data: serializedMessage,
+      bytes: Buffer.byteLength(serializedMessage)
+    };
+    
+    // Hold messages for a suspended connection until it resumes
+    if (connection.suspended) {
+      connection.suspended.buffer.push(entry);
+      
+      if (connection.suspended.buffer.length > this.resumeBufferSize) {
+        connection.suspended.buffer.shift();
+        connection.suspended.dropped++;
+      }
+      
+      return true;
+    }
+    
+    return this.enqueue(connection, entry);
+  }
+  
+  /**
+   * Send a message now if the socket is keeping up, otherwise queue it
+   * until the socket drains, applying the backpressure policy once the
+   * queue outgrows backpressure.maxQueuedBytes
+   */
+  enqueue(connection, entry) {
+    const { highWatermark, maxQueuedBytes, policy } = this.backpressure;
+    const outbound = connection.outbound;
+    
+    if (outbound.queue.length === 0 && this.getBufferedAmount(connection) < highWatermark) {
+      return this.writeToSocket(connection, entry);
+    }
+    
+    if (policy === 'coalesce' && this.coalesce(connection, entry)) {
+      this.updateQueueStats(connection);
+      return true;
+    }
+    
+    outbound.queue.push(entry);
+    outbound.bytes += entry.bytes;
+    
+    if (outbound.bytes > maxQueuedBytes) {
+      if (policy === 'disconnect') {
+        logger.warn(`Disconnecting slow consumer ${connection.id} with ${outbound.bytes} bytes queued`);
+        
+        // Don't wait for the backlog to flush before closing
+        if (typeof connection.socket.terminate === 'function') {
+          connection.socket.terminate();
+        }
+        
+        this.removeConnection(connection.id, DISCONNECT_REASONS.SLOW_CONSUMER);
+        return false;
+      }
+      
+      // Drop the oldest messages, keeping at least the one just queued
+      while (outbound.bytes > maxQueuedBytes && outbound.queue.length > 1) {
+        outbound.bytes -= outbound.queue.shift().bytes;
+        connection.stats.droppedMessages++;
+      }
+    }
+    
+    this.updateQueueStats(connection);
+    
+    return true;
+  }
+  
+  /**
+   * Merge a Claude stream chunk into the queued chunk before it when both
+   * belong to the same stream and content block
+   */
+  coalesce(connection, entry) {
+    const outbound = connection.outbound;
+    const last = outbound.queue[outbound.queue.length - 1];
+    const isStreamContent = item => item && item.payload &&
+      item.payload.type === MESSAGE_TYPES.CLAUDE_STREAM_CONTENT &&
+      item.payload.data && typeof item.payload.data.text === 'string';
+    
+    if (!isStreamContent(last) || !isStreamContent(entry) ||
+        last.payload.data.streamId !== entry.payload.data.streamId ||
+        last.payload.data.index !== entry.payload.data.index) {
+      return false;
+    }
+    
+    const payload = {
+      ...entry.payload,
+      data: {
+        ...entry.payload.data,
+        text: last.payload.data.text + entry.payload.data.text,
+        coalesced: (last.payload.data.coalesced || 1) + 1
+      }
+    };
+    const data = this.protocol.serializeMessage(payload);
+    const bytes = Buffer.byteLength(data);
+    
+    outbound.queue[outbound.queue.length - 1] = { payload, data, bytes };
+    outbound.bytes += bytes - last.bytes;
+    connection.stats.coalescedMessages++;
+    
+    return true;
+  }
+  
+  /**
+   * Send queued messages once the socket has drained below
+   * backpressure.lowWatermark, until it fills past the high watermark again
+   */
+  flushQueue(connection) {
+    const { lowWatermark, highWatermark } = this.backpressure;
+    const outbound = connection.outbound;
+    
+    if (!connection.socket || connection.suspended || outbound.queue.length === 0 ||
+        this.getBufferedAmount(connection) > lowWatermark) {
+      return;
+    }
+    
+    while (outbound.queue.length > 0 && this.getBufferedAmount(connection) < highWatermark) {
+      const entry = outbound.queue.shift();
+      outbound.bytes -= entry.bytes;
+      
+      if (!this.writeToSocket(connection, entry)) {
+        break;
+      }
+    }
+    
+    this.updateQueueStats(connection);
+  }
+  
+  /**
+   * Write a serialized message to a connection's socket, checking the queue
+   * again once the socket has taken it
+   */
+  writeToSocket(connection, entry) {
     try {
-      connection.socket.send(serializedMessage);
-      connection.lastActivity = Date.now();
+      connection.socket.send(entry.data, () => {
+        if (connection.outbound.queue.length > 0) {
+          this.flushQueue(connection);
+        }
+      });
+      // Only what the client sends counts as activity: traffic pushed to a
+      // silent client must not keep it from timing out
       connection.stats.messagesSent++;
       return true;
     } catch (error) {
-      logger.error(`Error sending message to ${connectionId}`, error);
+      logger.error(`Error sending message to ${connection.id}`, error);
       connection.stats.errors++;
       return false;
     }
   }
   
+  /**
+   * Get the number of bytes the socket has yet to transmit
+   */
+  getBufferedAmount(connection) {
+    return (connection.socket && connection.socket.bufferedAmount) || 0;
+  }
+  
+  /**
+   * Mirror a connection's outbound queue in its stats
+   */
+  updateQueueStats(connection) {
+    const { stats, outbound } = connection;
+    
+    stats.queuedMessages = outbound.queue.length;
+    stats.queuedBytes = outbound.bytes;
+    stats.peakQueuedBytes = Math.max(stats.peakQueuedBytes, outbound.bytes);
+  }
+  
+  /**
+   * Send a request to a client and wait for its reply
+   *
+   * Custom-protocol clients answer with any message whose `replyTo` is the
+   * request's id; the promise resolves with that message's data, or rejects
+   * if the reply is a system.error. JSON-RPC clients receive `type` as the
+   * method and the promise settles with the response's result or error.
+   * Rejects with a TIMEOUT error after options.timeout milliseconds and when
+   * the connection closes first.
+   */
+  request(connectionId, type, data = {}, options = {}) {
+    const connection = this.connections.get(connectionId);
+    
+    if (!connection) {
+      return Promise.reject(createRequestError(`Unknown connection: ${connectionId}`, ERROR_CODES.NOT_FOUND));
+    }
+    
+    const timeout = options.timeout || this.requestTimeout;
+    const payload = connection.protocol === 'jsonrpc'
+      ? createRequest(crypto.randomUUID(), type, data)
+      : this.protocol.createMessage(type, data);
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(payload.id);
+        reject(createRequestError(`Client did not reply to ${type} within ${timeout}ms`, ERROR_CODES.TIMEOUT));
+      }, timeout);
+      
+      this.pendingRequests.set(payload.id, { connectionId, type, resolve, reject, timer });
+      
+      if (!this.sendRaw(connectionId, payload)) {
+        this.pendingRequests.delete(payload.id);
+        clearTimeout(timer);
+        reject(createRequestError(`Failed to send ${type} to ${connectionId}`));
+      }
+    });
+  }
+  
+  /**
+   * Settle the pending request a client message answers, if any. Returns
+   * whether the message was such a reply.
+   */
+  settleRequest(connectionId, message) {
+    if (!message || typeof message !== 'object') {
+      return false;
+    }
+    
+    const jsonrpc = isJsonRpcMessage(message);
+    const requestId = jsonrpc ? (isResponse(message) ? message.id : undefined) : message.replyTo;
+    const pending = requestId !== undefined ? this.pendingRequests.get(requestId) : null;
+    
+    if (!pending || pending.connectionId !== connectionId) {
+      return false;
+    }
+    
+    this.pendingRequests.delete(requestId);
+    clearTimeout(pending.timer);
+    
+    if (jsonrpc && message.error) {
+      pending.reject(createRequestError(message.error.message, message.error.code, message.error.data));
+    } else if (!jsonrpc && message.type === MESSAGE_TYPES.SYSTEM_ERROR) {
+      const error = message.data || {};
+      pending.reject(createRequestError(error.message || 'Client returned an error', error.code, error.details));
+    } else {
+      pending.resolve(jsonrpc ? message.result : message.data);
+    }
+    
+    return true;
+  }
+  
   /**
    * Send an error message to a client
    */
-  sendError(connectionId, code, message, details = {}) {
-    return this.sendMessage(connectionId, MESSAGE_TYPES.SYSTEM_ERROR, {
+  sendError(connectionId, code, message, details = {}, request = null) {
+    return this.sendReply(connectionId, request, MESSAGE_TYPES.SYSTEM_ERROR, {
       code,
       message,
       details
@@ -332,6 +1083,11 @@ class ConnectionManager extends EventEmitter {
     let count = 0;
     
     for (const [id, connection] of this.connections.entries()) {
+      // JSON-RPC clients don't understand the custom message format
+      if (connection.protocol === 'jsonrpc') {
+        continue;
+      }
+      
       // Apply filter if provided
       if (filter && !filter(connection)) {
         continue;
@@ -346,23 +1102,59 @@ class ConnectionManager extends EventEmitter {
   }
   
   /**
-   * Send ping messages to all connections to keep them alive
+   * Ping all connections, dropping those that have stopped answering or
+   * gone idle
    */
   pingConnections() {
     const now = Date.now();
     
+    // Forget rate limit buckets that have refilled
+    this.rateLimiter.prune();
+    
     for (const [id, connection] of this.connections.entries()) {
-      // Check if connection has timed out
-      if (now - connection.lastActivity > this.idleTimeout) {
+      // Suspended connections expire through their own timer
+      if (connection.suspended) {
+        continue;
+      }
+      
+      // Check if connection has timed out (a stdio client lives as long as its pipe)
+      if (connection.transport !== 'stdio' && now - connection.lastActivity > this.idleTimeout) {
         logger.info(`Connection ${id} timed out after ${this.idleTimeout}ms of inactivity`);
-        this.removeConnection(id);
+        this.removeConnection(id, DISCONNECT_REASONS.IDLE_TIMEOUT);
         continue;
       }
       
-      // Send ping message
-      this.sendMessage(id, MESSAGE_TYPES.SYSTEM_PING, {
-        timestamp: now
-      });
+      // Catch queues whose drain callback was missed
+      this.flushQueue(connection);
+      
+      // Only WebSockets have protocol-level ping frames
+      if (!connection.socket || typeof connection.socket.ping !== 'function') {
+        continue;
+      }
+      
+      const heartbeat = connection.heartbeat;
+      
+      // The previous ping is still unanswered
+      if (heartbeat.pingSentAt !== null) {
+        heartbeat.missed++;
+        connection.stats.missedPongs++;
+        
+        if (heartbeat.missed >= this.maxMissedPongs) {
+          logger.warn(`Connection ${id} missed ${heartbeat.missed} pongs, closing it`);
+          
+          // A half-open socket would never finish a closing handshake
+          connection.socket.terminate();
+          this.handleSocketClosed(id, DISCONNECT_REASONS.HEARTBEAT_TIMEOUT);
+          continue;
+        }
+      }
+      
+      try {
+        heartbeat.pingSentAt = now;
+        connection.socket.ping();
+      } catch (error) {
+        logger.error(`Error pinging connection ${id}`, error);
+      }
     }
   }
   
@@ -375,7 +1167,12 @@ class ConnectionManager extends EventEmitter {
       maxConnections: this.maxConnections,
       authenticated: Array.from(this.connections.values())
         .filter(conn => conn.isAuthenticated)
-        .length
+        .length,
+      suspended: Array.from(this.connections.values())
+        .filter(conn => conn.suspended)
+        .length,
+      queuedBytes: Array.from(this.connections.values())
+        .reduce((total, conn) => total + conn.outbound.bytes, 0)
     };
   }
   
@@ -386,6 +1183,8 @@ class ConnectionManager extends EventEmitter {
     const connectionList = [];
     
     for (const [id, connection] of this.connections.entries()) {
+      this.checkAuthentication(connection);
+      
       connectionList.push({
         id,
         ipAddress: connection.ipAddress,
@@ -393,7 +1192,11 @@ class ConnectionManager extends EventEmitter {
         connected: connection.connected,
         lastActivity: connection.lastActivity,
         isAuthenticated: connection.isAuthenticated,
+        identity: connection.session ? connection.session.identity : null,
+        protocol: connection.protocol,
+        transport: connection.transport,
         clientInfo: connection.clientInfo,
+        suspended: Boolean(connection.suspended),
         stats: connection.stats
       });
     }
@@ -410,6 +1213,7 @@ class ConnectionManager extends EventEmitter {
     }
     
     const connection = this.connections.get(id);
+    this.checkAuthentication(connection);
     
     return {
       id,
@@ -418,7 +1222,11 @@ class ConnectionManager extends EventEmitter {
       connected: connection.connected,
       lastActivity: connection.lastActivity,
       isAuthenticated: connection.isAuthenticated,
+      identity: connection.session ? connection.session.identity : null,
+      protocol: connection.protocol,
+      transport: connection.transport,
       clientInfo: connection.clientInfo,
+      suspended: Boolean(connection.suspended),
       stats: connection.stats
     };
   }
@@ -426,9 +1234,9 @@ class ConnectionManager extends EventEmitter {
   /**
    * Close all connections
    */
-  closeAllConnections() {
+  closeAllConnections(reason = DISCONNECT_REASONS.SERVER_CLOSED) {
     for (const id of this.connections.keys()) {
-      this.removeConnection(id);
+      this.removeConnection(id, reason);
     }
   }
   
@@ -457,5 +1265,6 @@ class ConnectionManager extends EventEmitter {
 }
 
 module.exports = {
-  ConnectionManager
+  ConnectionManager,
+  DISCONNECT_REASONS
 };
@@ -0,0 +1,295 @@
+/**
+ * Conversation Manager for Claude UI MCP Server
+ * Keeps Claude conversation history server-side so clients don't have to
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { configManager } = require('./config');
+
+class ConversationManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.conversations = new Map();
+    this.persist = options.persist !== undefined
+      ? options.persist
+      : configManager.get('conversations.persist', false);
+    this.directory = options.directory || configManager.get(
+      'conversations.directory',
+      path.join(os.homedir(), '.claude-ui-mcp', 'conversations')
+    );
+    this.maxMessages = options.maxMessages || configManager.get('conversations.maxMessages', 500);
+
+    if (this.persist) {
+      this.loadConversations();
+    }
+  }
+
+  /**
+   * Load persisted conversations from disk
+   */
+  loadConversations() {
+    try {
+      if (!fs.existsSync(this.directory)) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        return 0;
+      }
+
+      const files = fs.readdirSync(this.directory)
+        .filter(file => file.endsWith('.json'));
+
+      for (const file of files) {
+        try {
+          const conversation = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+
+          if (conversation && conversation.id) {
+            this.conversations.set(conversation.id, conversation);
+          }
+        } catch (error) {
+          logger.error(`Error loading conversation file ${file}`, error);
+        }
+      }
+
+      logger.info(`Loaded ${this.conversations.size} conversations`);
+      return this.conversations.size;
+    } catch (error) {
+      logger.error('Error loading conversations', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Write a conversation to disk if persistence is enabled
+   */
+  saveConversation(conversation) {
+    if (!this.persist) {
+      return false;
+    }
+
+    try {
+      if (!fs.existsSync(this.directory)) {
+        fs.mkdirSync(this.directory, { recursive: true });
+      }
+
+      fs.writeFileSync(
+        this.getConversationPath(conversation.id),
+        JSON.stringify(conversation, null, 2),
+        'utf8'
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Error saving conversation ${conversation.id}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the file path for a persisted conversation
+   */
+  getConversationPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Create a new conversation
+   */
+  createConversation(owner, options = {}) {
+    const now = Date.now();
+
+    const conversation = {
+      id: crypto.randomUUID(),
+      owner,
+      title: options.title || '',
+      system: options.system || '',
+      model: options.model || null,
+      parentId: options.parentId || null,
+      messages: Array.isArray(options.messages)
+        ? options.messages.map(message => this.normalizeMessage(message))
+        : [],
+      created: now,
+      updated: now
+    };
+
+    this.conversations.set(conversation.id, conversation);
+    this.saveConversation(conversation);
+
+    logger.debug(`Created conversation ${conversation.id} for ${owner}`);
+    this.emit('conversationCreated', { id: conversation.id, owner });
+
+    return conversation;
+  }
+
+  /**
+   * Get a conversation by ID
+   */
+  getConversation(id) {
+    return this.conversations.get(id) || null;
+  }
+
+  /**
+   * List the conversations belonging to an owner
+   */
+  listConversations(owner) {
+    return Array.from(this.conversations.values())
+      .filter(conversation => conversation.owner === owner)
+      .map(conversation => ({
+        id: conversation.id,
+        title: conversation.title,
+        parentId: conversation.parentId,
+        messageCount: conversation.messages.length,
+        created: conversation.created,
+        updated: conversation.updated
+      }));
+  }
+
+  /**
+   * Append one or more messages to a conversation
+   */
+  appendMessages(id, messages) {
+    const conversation = this.getConversation(id);
+
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    const normalized = messages.map(message => this.normalizeMessage(message));
+
+    conversation.messages.push(...normalized);
+
+    // Drop the oldest messages once the history grows beyond the limit,
+    // cutting at the start of a user turn: the API rejects a history that
+    // opens with an assistant message or a tool_result
+    if (conversation.messages.length > this.maxMessages) {
+      let start = conversation.messages.length - this.maxMessages;
+
+      while (start < conversation.messages.length && !this.isTurnStart(conversation.messages[start])) {
+        start++;
+      }
+
+      // A single turn longer than the limit (e.g. a long tool loop) has no
+      // turn start inside it: keep the whole turn, over the limit, rather
+      // than leave an empty history
+      if (start === conversation.messages.length) {
+        start = conversation.messages.length - this.maxMessages - 1;
+
+        while (start > 0 && !this.isTurnStart(conversation.messages[start])) {
+          start--;
+        }
+      }
+
+      conversation.messages.splice(0, start);
+    }
+
+    conversation.updated = Date.now();
+    this.saveConversation(conversation);
+
+    this.emit('conversationUpdated', { id, appended: normalized.length });
+
+    return normalized;
+  }
+
+  /**
+   * Fork a conversation, optionally keeping only the first `messageCount` messages
+   */
+  forkConversation(id, owner, options = {}) {
+    const source = this.getConversation(id);
+
+    if (!source) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    const messageCount = options.messageCount !== undefined
+      ? options.messageCount
+      : source.messages.length;
+
+    return this.createConversation(owner, {
+      title: options.title || source.title,
+      system: source.system,
+      model: source.model,
+      parentId: source.id,
+      messages: JSON.parse(JSON.stringify(source.messages.slice(0, messageCount)))
+    });
+  }
+
+  /**
+   * Delete a conversation
+   */
+  deleteConversation(id) {
+    if (!this.conversations.has(id)) {
+      return false;
+    }
+
+    this.conversations.delete(id);
+
+    if (this.persist) {
+      try {
+        const filePath = this.getConversationPath(id);
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (error) {
+        logger.error(`Error deleting conversation file for ${id}`, error);
+      }
+    }
+
+    logger.debug(`Deleted conversation ${id}`);
+    this.emit('conversationDeleted', { id });
+
+    return true;
+  }
+
+  /**
+   * Delete all conversations belonging to an owner
+   */
+  deleteConversationsForOwner(owner) {
+    let count = 0;
+
+    for (const conversation of Array.from(this.conversations.values())) {
+      if (conversation.owner === owner && this.deleteConversation(conversation.id)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Check whether a message opens a user turn without answering the tool
+   * calls of the message before it
+   */
+  isTurnStart(message) {
+    if (message.role !== 'user') {
+      return false;
+    }
+
+    return !Array.isArray(message.content) ||
+      !message.content.some(block => block && block.type === 'tool_result');
+  }
+
+  /**
+   * Reduce a message to the fields the Anthropic API expects
+   */
+  normalizeMessage(message) {
+    if (!message || !message.role || message.content === undefined) {
+      throw new Error('Messages must include role and content');
+    }
+
+    return {
+      role: message.role,
+      content: message.content
+    };
+  }
+}
+
+// Create a singleton instance
+const conversationManager = new ConversationManager();
+
+module.exports = {
+  ConversationManager,
+  conversationManager
+};
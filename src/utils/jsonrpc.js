@@ -0,0 +1,157 @@
+/**
+ * JSON-RPC 2.0 utility
+ * Message framing, validation, and error formatting for JSON-RPC transports
+ */
+
+const JSONRPC_VERSION = '2.0';
+
+// Standard JSON-RPC error codes, plus server-defined codes in the -32000 range
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  UNAUTHORIZED: -32001,
+  RESOURCE_NOT_FOUND: -32002,
+  FORBIDDEN: -32003,
+  RATE_LIMITED: -32004,
+  TIMEOUT: -32005
+};
+
+/**
+ * Check whether a parsed payload is a JSON-RPC message or batch
+ */
+function isJsonRpcMessage(payload) {
+  if (Array.isArray(payload)) {
+    return payload.length > 0 && payload.every(item => item && item.jsonrpc === JSONRPC_VERSION);
+  }
+
+  return Boolean(payload) && typeof payload === 'object' && payload.jsonrpc === JSONRPC_VERSION;
+}
+
+/**
+ * Check whether a JSON-RPC message is a notification (a request without an id)
+ */
+function isNotification(message) {
+  return typeof message.method === 'string' && !('id' in message);
+}
+
+/**
+ * Check whether a JSON-RPC message is a response to a request we sent
+ */
+function isResponse(message) {
+  return !('method' in message) && 'id' in message && ('result' in message || 'error' in message);
+}
+
+/**
+ * Validate the structure of a single JSON-RPC request or notification
+ */
+function validateRequest(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return 'Request must be an object';
+  }
+
+  if (message.jsonrpc !== JSONRPC_VERSION) {
+    return 'jsonrpc must be "2.0"';
+  }
+
+  if (typeof message.method !== 'string' || message.method === '') {
+    return 'method must be a non-empty string';
+  }
+
+  if ('id' in message && !['string', 'number'].includes(typeof message.id) && message.id !== null) {
+    return 'id must be a string or number';
+  }
+
+  if ('params' in message && (message.params === null || typeof message.params !== 'object')) {
+    return 'params must be an object or array';
+  }
+
+  return null;
+}
+
+/**
+ * Create a successful response
+ */
+function createResult(id, result) {
+  return {
+    jsonrpc: JSONRPC_VERSION,
+    id,
+    result
+  };
+}
+
+/**
+ * Create an error response
+ */
+function createError(id, code, message, data) {
+  const error = { code, message };
+
+  if (data !== undefined) {
+    error.data = data;
+  }
+
+  return {
+    jsonrpc: JSONRPC_VERSION,
+    id: id === undefined ? null : id,
+    error
+  };
+}
+
+/**
+ * Create a request
+ */
+function createRequest(id, method, params) {
+  const request = {
+    jsonrpc: JSONRPC_VERSION,
+    id,
+    method
+  };
+
+  if (params !== undefined) {
+    request.params = params;
+  }
+
+  return request;
+}
+
+/**
+ * Create a notification
+ */
+function createNotification(method, params) {
+  const notification = {
+    jsonrpc: JSONRPC_VERSION,
+    method
+  };
+
+  if (params !== undefined) {
+    notification.params = params;
+  }
+
+  return notification;
+}
+
+/**
+ * Create an error that is reported to the client with a JSON-RPC error code
+ */
+function createRpcError(code, message, data) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.rpcData = data;
+  return error;
+}
+
+module.exports = {
+  JSONRPC_VERSION,
+  JSONRPC_ERRORS,
+  isJsonRpcMessage,
+  isNotification,
+  isResponse,
+  validateRequest,
+  createResult,
+  createError,
+  createRequest,
+  createNotification,
+  createRpcError
+};
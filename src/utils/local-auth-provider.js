@@ -0,0 +1,221 @@
+/**
+ * Local Auth Provider for Claude UI MCP Server
+ * Authenticates clients with API keys whose hashes are stored in config
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { configManager } = require('./config');
+const { accessPolicy } = require('./access-policy');
+
+const scrypt = promisify(crypto.scrypt);
+
+// API keys look like cuim_<id>_<secret>; only the id is stored in clear
+const API_KEY_PATTERN = /^cuim_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/;
+const HASH_LENGTH = 64;
+
+class LocalAuthProvider extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.name = 'local';
+    this.config = options.config || configManager;
+    this.configMtime = null;
+    this.watchInterval = options.watchInterval || 2000;
+    this.watchedPath = null;
+  }
+
+  /**
+   * Get the stored API key entries keyed by key id, as last read from disk
+   */
+  getApiKeys() {
+    return { ...this.config.get('security.apiKeys', {}) };
+  }
+
+  /**
+   * Pick up keys created or deleted by another process (e.g. the CLI)
+   * since the config file was last read. Emits apiKeyDeleted for keys
+   * that are gone.
+   */
+  reloadApiKeys() {
+    try {
+      const mtime = fs.statSync(this.config.configPath).mtimeMs;
+
+      if (mtime === this.configMtime) {
+        return;
+      }
+
+      const fileConfig = JSON.parse(fs.readFileSync(this.config.configPath, 'utf8'));
+      const keys = (fileConfig.security && fileConfig.security.apiKeys) || {};
+      const previous = this.getApiKeys();
+
+      this.config.set('security.apiKeys', keys);
+      this.configMtime = mtime;
+
+      for (const id of Object.keys(previous)) {
+        if (!keys[id]) {
+          logger.info(`API key ${id} was deleted outside this process`);
+          this.emit('apiKeyDeleted', { id, identityId: `key:${id}` });
+        }
+      }
+    } catch (error) {
+      logger.warn(`Could not reload API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Watch the config file, reloading the keys after it changes
+   */
+  watch() {
+    this.unwatch();
+
+    this.watchedPath = this.config.configPath;
+    fs.watchFile(this.watchedPath, { interval: this.watchInterval }, () => this.reloadApiKeys());
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  unwatch() {
+    if (this.watchedPath) {
+      fs.unwatchFile(this.watchedPath);
+      this.watchedPath = null;
+    }
+  }
+
+  /**
+   * List API keys without their hashes
+   */
+  listApiKeys() {
+    this.reloadApiKeys();
+    return Object.entries(this.getApiKeys()).map(([id, entry]) => ({
+      id,
+      name: entry.name,
+      roles: entry.roles,
+      createdAt: entry.createdAt
+    }));
+  }
+
+  /**
+   * Create an API key. The plaintext key is only returned here; config
+   * keeps a salted scrypt hash of its secret.
+   */
+  async createApiKey(name, options = {}) {
+    const roles = options.roles || this.config.get('security.defaultRoles', ['client']);
+    const unknown = roles.filter(role => !accessPolicy.isRole(role));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown role: ${unknown.join(', ')}`);
+    }
+
+    this.reloadApiKeys();
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(secret, salt, HASH_LENGTH);
+
+    const keys = this.getApiKeys();
+    keys[id] = {
+      name: name || id,
+      roles,
+      salt,
+      hash: hash.toString('hex'),
+      createdAt: Date.now()
+    };
+
+    this.saveApiKeys(keys);
+
+    logger.info(`Created API key ${id} (${keys[id].name}, roles: ${roles.join(', ')})`);
+
+    return {
+      id,
+      name: keys[id].name,
+      roles,
+      apiKey: `cuim_${id}_${secret}`
+    };
+  }
+
+  /**
+   * Delete an API key. Emits apiKeyDeleted so the sessions issued for it
+   * can be revoked.
+   */
+  deleteApiKey(id) {
+    this.reloadApiKeys();
+
+    const keys = this.getApiKeys();
+
+    if (!keys[id]) {
+      return false;
+    }
+
+    delete keys[id];
+    this.saveApiKeys(keys);
+
+    logger.info(`Deleted API key ${id}`);
+    this.emit('apiKeyDeleted', { id, identityId: `key:${id}` });
+
+    return true;
+  }
+
+  /**
+   * Store API key entries in config
+   */
+  saveApiKeys(keys) {
+    this.config.set('security.apiKeys', keys);
+    this.config.save();
+    this.configMtime = fs.statSync(this.config.configPath).mtimeMs;
+  }
+
+  /**
+   * Check whether the key behind an identity still exists. Runs for every
+   * message, so it only looks at the cached keys; watch() keeps them in
+   * step with deletions by another process.
+   */
+  hasIdentity(identityId) {
+    const match = /^key:(.+)$/.exec(identityId);
+
+    return Boolean(match && this.getApiKeys()[match[1]]);
+  }
+
+  /**
+   * Verify an API key, returning the identity it belongs to or null
+   */
+  async authenticate(credentials) {
+    const match = API_KEY_PATTERN.exec(credentials.apiKey || '');
+
+    if (!match) {
+      return null;
+    }
+
+    const [, id, secret] = match;
+
+    this.reloadApiKeys();
+
+    const entry = this.getApiKeys()[id];
+
+    if (!entry) {
+      return null;
+    }
+
+    const expected = Buffer.from(entry.hash, 'hex');
+    const actual = await scrypt(secret, entry.salt, HASH_LENGTH);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return {
+      id: `key:${id}`,
+      name: entry.name,
+      roles: entry.roles || this.config.get('security.defaultRoles', ['client'])
+    };
+  }
+}
+
+module.exports = {
+  LocalAuthProvider
+};
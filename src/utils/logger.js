@@ -6,12 +6,19 @@
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const { EventEmitter } = require('events');
 
-class Logger {
+/**
+ * Emits 'entry' ({ timestamp, level, message }) for every message logged
+ */
+class Logger extends EventEmitter {
   constructor(options = {}) {
+    super();
+    
     this.level = options.level || 'info';
     this.logToConsole = options.console !== false;
     this.logToFile = options.file !== false;
+    this.useStderr = options.stderr === true; // keep stdout free, e.g. for the stdio transport
     this.logDir = options.logDir || path.join(process.cwd(), 'logs');
     this.filename = options.filename || 'mcp-server.log';
     this.maxSize = options.maxSize || 5 * 1024 * 1024; // 5MB
@@ -78,8 +85,7 @@ class Logger {
   /**
    * Format a log message
    */
-  formatMessage(level, message, data) {
-    const timestamp = new Date().toISOString();
+  formatMessage(level, message, data, timestamp = new Date().toISOString()) {
     let formattedMessage = `${timestamp} [${level.toUpperCase()}] ${message}`;
     
     if (data) {
@@ -100,15 +106,22 @@ class Logger {
     const levelValue = this.levels[level];
     const currentLevelValue = this.levels[this.level];
     
-    if (!levelValue || levelValue > currentLevelValue) {
+    if (levelValue === undefined || levelValue > currentLevelValue) {
       return;
     }
     
-    const formattedMessage = this.formatMessage(level, message, data);
+    const timestamp = new Date().toISOString();
+    const formattedMessage = this.formatMessage(level, message, data, timestamp);
+    
+    this.emit('entry', {
+      timestamp,
+      level: level.toUpperCase(),
+      message: formattedMessage.slice(`${timestamp} [${level.toUpperCase()}] `.length)
+    });
     
     // Log to console
     if (this.logToConsole) {
-      if (level === 'error') {
+      if (level === 'error' || this.useStderr) {
         console.error(formattedMessage);
       } else if (level === 'warn') {
         console.warn(formattedMessage);
@@ -127,6 +140,43 @@ class Logger {
     }
   }
   
+  /**
+   * Read the most recent entries from the log file, newest last.
+   * options: { limit, level }
+   */
+  async readLogs(options = {}) {
+    const limit = options.limit === undefined ? 500 : options.limit;
+    const logPath = path.join(this.logDir, this.filename);
+    let content;
+    
+    try {
+      content = await fs.promises.readFile(logPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      
+      throw error;
+    }
+    
+    const entries = [];
+    
+    for (const line of content.split('\n')) {
+      const match = line.match(/^(\S+) \[([A-Z]+)\] (.*)$/);
+      
+      if (match) {
+        entries.push({ timestamp: match[1], level: match[2], message: match[3] });
+      } else if (line && entries.length > 0) {
+        // Inspected data objects continue the previous entry
+        entries[entries.length - 1].message += '\n' + line;
+      }
+    }
+    
+    const matching = entries.filter(entry => !options.level || entry.level === options.level.toUpperCase());
+    
+    return limit > 0 ? matching.slice(-limit) : [];
+  }
+  
   /**
    * Log an error message
    */
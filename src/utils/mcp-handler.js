@@ -0,0 +1,485 @@
+/**
+ * Model Context Protocol handler for Claude UI MCP Server
+ * Implements the MCP lifecycle and server features over JSON-RPC 2.0,
+ * independent of the transport carrying the messages
+ */
+
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { toolRegistry } = require('./tool-registry');
+const { resourceRegistry } = require('./resource-registry');
+const { promptRegistry } = require('./prompt-registry');
+const {
+  JSONRPC_ERRORS,
+  isNotification,
+  isResponse,
+  validateRequest,
+  createResult,
+  createError,
+  createNotification,
+  createRpcError
+} = require('./jsonrpc');
+
+// Protocol revisions we can speak, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Methods a client may call before the initialize handshake
+const PRE_INITIALIZE_METHODS = ['initialize', 'ping'];
+
+class MCPHandler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.serverInfo = options.serverInfo || {
+      name: 'claude-ui-mcp-server',
+      version: '0.1.0'
+    };
+    this.instructions = options.instructions || '';
+    this.authorize = options.authorize || null;
+    // Milliseconds a request may run before it is aborted; 0 for no limit
+    this.getTimeout = options.getTimeout || (() => 0);
+    this.sessions = new Map();
+    this.methods = new Map();
+    this.pendingNotifications = new Set();
+
+    // Register MCP methods
+    this.registerDefaultMethods();
+
+    // Let clients know when the lists they may have cached change
+    toolRegistry.on('toolRegistered', () => this.queueListChanged('notifications/tools/list_changed'));
+    toolRegistry.on('toolUnregistered', () => this.queueListChanged('notifications/tools/list_changed'));
+    resourceRegistry.on('resourceRegistered', () => this.queueListChanged('notifications/resources/list_changed'));
+    resourceRegistry.on('resourceUnregistered', () => this.queueListChanged('notifications/resources/list_changed'));
+    promptRegistry.on('promptRegistered', () => this.queueListChanged('notifications/prompts/list_changed'));
+    promptRegistry.on('promptUnregistered', () => this.queueListChanged('notifications/prompts/list_changed'));
+  }
+
+  /**
+   * Register the MCP lifecycle and feature methods
+   */
+  registerDefaultMethods() {
+    this.registerMethod('initialize', async (params, session) => {
+      const requested = params.protocolVersion;
+      const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+        ? requested
+        : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+      session.protocolVersion = protocolVersion;
+      session.clientInfo = params.clientInfo || {};
+      session.clientCapabilities = params.capabilities || {};
+
+      logger.info(`MCP session ${session.id} initializing (${protocolVersion})`, session.clientInfo);
+
+      const result = {
+        protocolVersion,
+        capabilities: {
+          tools: { listChanged: true },
+          resources: { listChanged: true },
+          prompts: { listChanged: true }
+        },
+        serverInfo: this.serverInfo
+      };
+
+      if (this.instructions) {
+        result.instructions = this.instructions;
+      }
+
+      return result;
+    });
+
+    this.registerMethod('notifications/initialized', async (params, session) => {
+      session.initialized = true;
+      this.emit('initialized', { session });
+    });
+
+    this.registerMethod('notifications/cancelled', async (params, session) => {
+      logger.debug(`MCP session ${session.id} cancelled request ${params.requestId}`, params.reason);
+      this.cancelRequest(session, params.requestId, params.reason);
+      this.emit('cancelled', { session, requestId: params.requestId, reason: params.reason });
+    });
+
+    this.registerMethod('ping', async () => {
+      return {};
+    });
+
+    // Tools
+    this.registerMethod('tools/list', async () => {
+      return {
+        tools: toolRegistry.getTools().map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          inputSchema: tool.inputSchema
+        }))
+      };
+    });
+
+    this.registerMethod('tools/call', async (params, session, message, signal) => {
+      if (!params.name) {
+        throw createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Missing required parameter: name');
+      }
+
+      if (!toolRegistry.hasTool(params.name)) {
+        throw createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+      }
+
+      const result = await toolRegistry.executeTool(params.name, params.arguments || {}, {
+        ...session.context,
+        mcpSession: session,
+        signal
+      });
+
+      return {
+        content: typeof result.content === 'string'
+          ? [{ type: 'text', text: result.content }]
+          : result.content,
+        isError: result.isError
+      };
+    });
+
+    // Resources
+    this.registerMethod('resources/list', async () => {
+      return {
+        resources: resourceRegistry.getResources()
+      };
+    });
+
+    this.registerMethod('resources/templates/list', async () => {
+      return {
+        resourceTemplates: []
+      };
+    });
+
+    this.registerMethod('resources/read', async (params, session, message, signal) => {
+      if (!params.uri) {
+        throw createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Missing required parameter: uri');
+      }
+
+      if (!resourceRegistry.hasResource(params.uri)) {
+        throw createRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+      }
+
+      return {
+        contents: await resourceRegistry.readResource(params.uri, {
+          ...session.context,
+          mcpSession: session,
+          signal
+        })
+      };
+    });
+
+    // Prompts
+    this.registerMethod('prompts/list', async () => {
+      return {
+        prompts: promptRegistry.getPrompts()
+      };
+    });
+
+    this.registerMethod('prompts/get', async (params, session, message, signal) => {
+      if (!params.name) {
+        throw createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Missing required parameter: name');
+      }
+
+      if (!promptRegistry.hasPrompt(params.name)) {
+        throw createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown prompt: ${params.name}`);
+      }
+
+      try {
+        return await promptRegistry.getPrompt(params.name, params.arguments || {}, {
+          ...session.context,
+          mcpSession: session,
+          signal
+        });
+      } catch (error) {
+        throw createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, error.message);
+      }
+    });
+  }
+
+  /**
+   * Register a handler for a JSON-RPC method. Handlers are called with
+   * (params, session, message, signal); signal is an AbortSignal that fires
+   * when a request times out or is cancelled, and is null for notifications.
+   */
+  registerMethod(method, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('Method handler must be a function');
+    }
+
+    this.methods.set(method, handler);
+  }
+
+  /**
+   * Create a session for a client connection
+   */
+  createSession(id, options = {}) {
+    const session = {
+      id,
+      transport: options.transport || 'unknown',
+      send: options.send,
+      context: options.context || {},
+      initialized: false,
+      protocolVersion: null,
+      clientInfo: {},
+      clientCapabilities: {},
+      // Requests whose handlers are still running, by JSON-RPC id
+      requests: new Map(),
+      created: Date.now()
+    };
+
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  /**
+   * Get a session by ID
+   */
+  getSession(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  /**
+   * Remove a session, cancelling its requests
+   */
+  removeSession(id) {
+    const session = this.sessions.get(id);
+
+    if (session) {
+      for (const requestId of Array.from(session.requests.keys())) {
+        this.cancelRequest(session, requestId, 'Session closed');
+      }
+    }
+
+    return this.sessions.delete(id);
+  }
+
+  /**
+   * Track a request while its handler runs. Its controller is aborted when
+   * the method's timeout passes or the client cancels the request.
+   */
+  trackRequest(session, message) {
+    const timeout = this.getTimeout(message.method);
+    const controller = new AbortController();
+    const request = {
+      id: message.id,
+      method: message.method,
+      startTime: Date.now(),
+      timeout,
+      controller,
+      cancelled: false,
+      timer: null
+    };
+
+    request.aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    // Nobody waits on the abort once the handler has finished
+    request.aborted.catch(() => {});
+
+    if (timeout > 0) {
+      request.timer = setTimeout(() => {
+        controller.abort(createRpcError(JSONRPC_ERRORS.TIMEOUT, `${message.method} timed out after ${timeout}ms`));
+      }, timeout);
+    }
+
+    session.requests.set(request.id, request);
+
+    return request;
+  }
+
+  /**
+   * Stop tracking a finished request
+   */
+  untrackRequest(session, request) {
+    clearTimeout(request.timer);
+
+    if (session.requests.get(request.id) === request) {
+      session.requests.delete(request.id);
+    }
+  }
+
+  /**
+   * Abort a session's in-flight request by its JSON-RPC id. A cancelled
+   * request gets no response.
+   */
+  cancelRequest(session, requestId, reason) {
+    const request = session.requests.get(requestId);
+
+    if (!request || request.controller.signal.aborted) {
+      return false;
+    }
+
+    const error = new Error(reason ? `Request cancelled: ${reason}` : 'Request cancelled');
+    error.cancelled = true;
+
+    request.cancelled = true;
+    request.controller.abort(error);
+
+    return true;
+  }
+
+  /**
+   * Get requests whose handlers are still running, optionally for a single
+   * session
+   */
+  getInFlightRequests(sessionId = null) {
+    const sessions = sessionId ? [this.getSession(sessionId)].filter(Boolean) : Array.from(this.sessions.values());
+
+    return sessions.flatMap(session => Array.from(session.requests.values()).map(request => ({
+      id: request.id,
+      connectionId: session.id,
+      type: request.method,
+      startTime: request.startTime,
+      elapsed: Date.now() - request.startTime,
+      timeout: request.timeout
+    })));
+  }
+
+  /**
+   * Handle a JSON-RPC message or batch and return the response to send, if any
+   */
+  async handleMessage(session, payload) {
+    if (Array.isArray(payload)) {
+      if (payload.length === 0) {
+        return createError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Empty batch');
+      }
+
+      const responses = await Promise.all(payload.map(message => this.handleSingleMessage(session, message)));
+      const filtered = responses.filter(response => response !== null);
+
+      return filtered.length > 0 ? filtered : null;
+    }
+
+    return this.handleSingleMessage(session, payload);
+  }
+
+  /**
+   * Handle a single JSON-RPC message
+   */
+  async handleSingleMessage(session, message) {
+    // Responses to server-initiated requests are surfaced to listeners
+    if (message && typeof message === 'object' && isResponse(message)) {
+      this.emit('response', { session, message });
+      return null;
+    }
+
+    const validationError = validateRequest(message);
+
+    if (validationError) {
+      const id = message && typeof message === 'object' ? message.id : null;
+      return createError(id, JSONRPC_ERRORS.INVALID_REQUEST, validationError);
+    }
+
+    const notification = isNotification(message);
+    const handler = this.methods.get(message.method);
+
+    if (!handler) {
+      if (notification) {
+        logger.debug(`Ignoring unknown MCP notification: ${message.method}`);
+        return null;
+      }
+
+      return createError(message.id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+
+    if (!session.protocolVersion && !notification && !PRE_INITIALIZE_METHODS.includes(message.method)) {
+      return createError(message.id, JSONRPC_ERRORS.INVALID_REQUEST, 'Server not initialized');
+    }
+
+    if (this.authorize && !this.authorize(session, message.method)) {
+      return notification ? null : createError(message.id, JSONRPC_ERRORS.FORBIDDEN, `Forbidden: ${message.method}`);
+    }
+
+    // A reused id would make notifications/cancelled ambiguous
+    if (!notification && session.requests.has(message.id)) {
+      return createError(message.id, JSONRPC_ERRORS.INVALID_REQUEST, `Duplicate request id: ${message.id} is still in flight`);
+    }
+
+    // Requests get a signal that aborts on timeout or notifications/cancelled
+    const request = notification ? null : this.trackRequest(session, message);
+
+    try {
+      const result = request
+        ? await Promise.race([
+          handler(message.params || {}, session, message, request.controller.signal),
+          request.aborted
+        ])
+        : await handler(message.params || {}, session, message, null);
+
+      return notification ? null : createResult(message.id, result || {});
+    } catch (error) {
+      // The client has stopped waiting for a cancelled request
+      if (request && request.cancelled) {
+        logger.debug(`MCP request ${message.id} (${message.method}) cancelled: ${error.message}`);
+        return null;
+      }
+
+      if (!error.rpcCode) {
+        logger.error(`Error handling MCP method ${message.method}`, error);
+      }
+
+      if (notification) {
+        return null;
+      }
+
+      return createError(
+        message.id,
+        error.rpcCode || JSONRPC_ERRORS.INTERNAL_ERROR,
+        error.message || 'Internal error',
+        error.rpcData
+      );
+    } finally {
+      if (request) {
+        this.untrackRequest(session, request);
+      }
+    }
+  }
+
+  /**
+   * Send a notification to a session
+   */
+  notify(session, method, params) {
+    if (typeof session.send !== 'function') {
+      return false;
+    }
+
+    return session.send(createNotification(method, params));
+  }
+
+  /**
+   * Send a notification to every initialized session
+   */
+  notifyAll(method, params) {
+    let count = 0;
+
+    for (const session of this.sessions.values()) {
+      if (session.initialized && this.notify(session, method, params)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Queue a list_changed notification, coalescing bursts (e.g. a plugin
+   * registering several tools while loading) into a single message
+   */
+  queueListChanged(method) {
+    if (this.pendingNotifications.has(method)) {
+      return;
+    }
+
+    this.pendingNotifications.add(method);
+
+    setImmediate(() => {
+      this.pendingNotifications.delete(method);
+      this.notifyAll(method);
+    });
+  }
+}
+
+module.exports = {
+  MCPHandler,
+  SUPPORTED_PROTOCOL_VERSIONS
+};
@@ -1,11 +1,24 @@
 /**
  * Message Handler for Claude UI MCP Server
  * Handles processing of MCP messages and routing to appropriate handlers
+ *
+ * Messages pass through an ordered middleware chain before reaching their
+ * handler. A middleware is an async function (message, context, next):
+ * it can act before and after `await next()`, return a different response
+ * to transform the handler's, or return without calling next() to answer
+ * (or, returning null, silently swallow) the message itself. Middleware
+ * taking four arguments (error, message, context, next) handles errors
+ * thrown further down the chain.
+ *
+ * Each type has at most one handler, whose return value is the reply, but
+ * any number of subscribers: observers that run alongside the handler for
+ * every message of their type (or namespace) and whose results are ignored.
  */
 
 const { EventEmitter } = require('events');
 const { logger } = require('./logger');
 const { MESSAGE_TYPES } = require('./protocol');
+const { schemaRegistry } = require('./schema-registry');
 
 class MessageHandler extends EventEmitter {
   constructor() {
@@ -13,6 +26,8 @@ class MessageHandler extends EventEmitter {
     
     // Initialize handler registry
     this.handlers = new Map();
+    this.subscribers = new Map();
+    this.middleware = [];
     
     // Register built-in handlers
     this.registerDefaultHandlers();
@@ -48,22 +63,34 @@ class MessageHandler extends EventEmitter {
   }
   
   /**
-   * Register a handler for a specific message type
+   * Register a handler for a specific message type, optionally with a
+   * JSON Schema (options.schema) that incoming data must match
    */
-  registerHandler(type, handler) {
+  registerHandler(type, handler, options = {}) {
     if (typeof handler !== 'function') {
       throw new Error('Handler must be a function');
     }
     
     this.handlers.set(type, handler);
+    
+    if (options.schema) {
+      schemaRegistry.registerSchema(type, options.schema, options.source);
+    }
+    
     logger.debug(`Registered handler for message type: ${type}`);
   }
   
   /**
-   * Unregister a handler for a specific message type
+   * Unregister the handler for a message type; given a handler, only if it
+   * is still the one registered
    */
-  unregisterHandler(type) {
+  unregisterHandler(type, handler = null) {
+    if (handler && this.handlers.get(type) !== handler) {
+      return false;
+    }
+    
     const removed = this.handlers.delete(type);
+    schemaRegistry.unregisterSchema(type);
     
     if (removed) {
       logger.debug(`Unregistered handler for message type: ${type}`);
@@ -73,7 +100,181 @@ class MessageHandler extends EventEmitter {
   }
   
   /**
-   * Process a message and route to appropriate handler
+   * Subscribe to a message type or namespace. Unlike handlers, several
+   * subscribers can share a type. Returns a function that unsubscribes.
+   */
+  subscribe(type, fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('Subscriber must be a function');
+    }
+    
+    if (!this.subscribers.has(type)) {
+      this.subscribers.set(type, []);
+    }
+    
+    this.subscribers.get(type).push({ fn, source: options.source || 'server' });
+    
+    logger.debug(`Subscribed to message type: ${type}`);
+    
+    return () => this.unsubscribe(type, fn);
+  }
+  
+  /**
+   * Remove a subscriber from a message type
+   */
+  unsubscribe(type, fn) {
+    const subscribers = this.subscribers.get(type);
+    const index = subscribers ? subscribers.findIndex(item => item.fn === fn) : -1;
+    
+    if (index < 0) {
+      return false;
+    }
+    
+    subscribers.splice(index, 1);
+    
+    if (subscribers.length === 0) {
+      this.subscribers.delete(type);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Remove all subscribers added by a source (e.g. a plugin)
+   */
+  removeSubscribersBySource(source) {
+    let removed = 0;
+    
+    for (const [type, subscribers] of Array.from(this.subscribers.entries())) {
+      const remaining = subscribers.filter(item => item.source !== source);
+      
+      removed += subscribers.length - remaining.length;
+      
+      if (remaining.length === 0) {
+        this.subscribers.delete(type);
+      } else {
+        this.subscribers.set(type, remaining);
+      }
+    }
+    
+    return removed;
+  }
+  
+  /**
+   * Get the subscribers for a message, exact type first, then namespace
+   */
+  getSubscribers(type) {
+    const namespace = type.split('.')[0];
+    const subscribers = [...(this.subscribers.get(type) || [])];
+    
+    if (namespace !== type) {
+      subscribers.push(...(this.subscribers.get(namespace) || []));
+    }
+    
+    return subscribers;
+  }
+  
+  /**
+   * List message types with a handler or subscribers
+   */
+  getRoutes() {
+    const types = new Set([...this.handlers.keys(), ...this.subscribers.keys()]);
+    
+    return Array.from(types).sort().map(type => ({
+      type,
+      handler: this.handlers.has(type),
+      subscribers: (this.subscribers.get(type) || []).map(item => item.source)
+    }));
+  }
+  
+  /**
+   * Run a message's subscribers. A failing subscriber is reported but
+   * doesn't affect the others or the reply.
+   */
+  notifySubscribers(subscribers, message, context) {
+    for (const { fn, source } of subscribers) {
+      Promise.resolve()
+        .then(() => fn(message, context))
+        .catch((error) => {
+          logger.error(`Subscriber for ${message.type} (${source}) failed`, error);
+          this.reportError({ message, error, context });
+        });
+    }
+  }
+  
+  /**
+   * Emit 'error' for listeners. Errors are already logged, so with no
+   * listener there is nothing to do (and emitting would throw).
+   */
+  reportError(data) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', data);
+    }
+  }
+  
+  /**
+   * Add a middleware to the end of the chain. A middleware with the same
+   * name replaces the existing one in place.
+   */
+  use(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+    
+    const entry = {
+      fn,
+      name: options.name || fn.name || 'anonymous',
+      source: options.source || 'server',
+      errorHandler: fn.length === 4
+    };
+    const index = options.name ? this.middleware.findIndex(item => item.name === options.name) : -1;
+    
+    if (index >= 0) {
+      this.middleware[index] = entry;
+    } else {
+      this.middleware.push(entry);
+    }
+    
+    logger.debug(`Registered ${entry.errorHandler ? 'error ' : ''}middleware: ${entry.name} (${entry.source})`);
+    
+    return () => this.removeMiddleware(fn);
+  }
+  
+  /**
+   * Remove a middleware by function or name
+   */
+  removeMiddleware(fnOrName) {
+    const index = this.middleware.findIndex(item => item.fn === fnOrName || item.name === fnOrName);
+    
+    if (index < 0) {
+      return false;
+    }
+    
+    this.middleware.splice(index, 1);
+    
+    return true;
+  }
+  
+  /**
+   * Remove all middleware added by a source (e.g. a plugin)
+   */
+  removeMiddlewareBySource(source) {
+    const count = this.middleware.length;
+    
+    this.middleware = this.middleware.filter(item => item.source !== source);
+    
+    return count - this.middleware.length;
+  }
+  
+  /**
+   * Get the middleware chain in order
+   */
+  getMiddleware() {
+    return this.middleware.map(({ name, source, errorHandler }) => ({ name, source, errorHandler }));
+  }
+  
+  /**
+   * Process a message through the middleware chain and its handler
    */
   async processMessage(message, context = {}) {
     if (!message || !message.type) {
@@ -81,50 +282,104 @@ class MessageHandler extends EventEmitter {
       return null;
     }
     
-    try {
-      // Check for direct handler match
-      if (this.handlers.has(message.type)) {
-        const handler = this.handlers.get(message.type);
-        return await handler(message, context);
-      }
-      
-      // Check for namespace handlers (e.g., "echo.request" -> "echo" handler)
-      const namespace = message.type.split('.')[0];
-      
-      if (this.handlers.has(namespace)) {
-        const handler = this.handlers.get(namespace);
-        return await handler(message, context);
+    // Snapshot so middleware added mid-message doesn't affect it
+    const chain = this.middleware.filter(item => !item.errorHandler);
+    const errorChain = this.middleware.filter(item => item.errorHandler);
+    
+    const dispatch = (index) => {
+      if (index === chain.length) {
+        return this.dispatchToHandler(message, context);
       }
       
-      // No handler found, emit unhandled event
-      this.emit('unhandled', { message, context });
+      let called = false;
       
-      // Return error response
-      return {
-        type: 'error',
-        data: {
-          code: 404,
-          message: `No handler found for message type: ${message.type}`,
-          timestamp: Date.now()
+      return chain[index].fn(message, context, () => {
+        if (called) {
+          throw new Error(`next() called more than once by middleware ${chain[index].name}`);
         }
-      };
+        
+        called = true;
+        return dispatch(index + 1);
+      });
+    };
+    
+    try {
+      return await dispatch(0);
     } catch (error) {
       logger.error(`Error processing message of type ${message.type}`, error);
+      this.reportError({ message, error, context });
       
-      // Emit error event
-      this.emit('error', { message, error, context });
+      return this.handleError(errorChain, error, message, context);
+    }
+  }
+  
+  /**
+   * Pass an error through the error middleware, falling back to a generic
+   * error response
+   */
+  async handleError(errorChain, error, message, context) {
+    const dispatch = async (index, currentError) => {
+      if (index === errorChain.length) {
+        return {
+          type: 'error',
+          data: {
+            code: 500,
+            message: 'Error processing message',
+            error: currentError.message,
+            timestamp: Date.now()
+          }
+        };
+      }
       
-      // Return error response
-      return {
-        type: 'error',
-        data: {
-          code: 500,
-          message: 'Error processing message',
-          error: error.message,
-          timestamp: Date.now()
-        }
-      };
+      try {
+        return await errorChain[index].fn(currentError, message, context, (nextError) => dispatch(index + 1, nextError || currentError));
+      } catch (thrown) {
+        return dispatch(index + 1, thrown);
+      }
+    };
+    
+    return dispatch(0, error);
+  }
+  
+  /**
+   * Route a message to its subscribers and handler
+   */
+  async dispatchToHandler(message, context) {
+    const subscribers = this.getSubscribers(message.type);
+    
+    this.notifySubscribers(subscribers, message, context);
+    
+    // Check for direct handler match
+    if (this.handlers.has(message.type)) {
+      const handler = this.handlers.get(message.type);
+      return await handler(message, context);
     }
+    
+    // Check for namespace handlers (e.g., "echo.request" -> "echo" handler)
+    const namespace = message.type.split('.')[0];
+    
+    if (this.handlers.has(namespace)) {
+      const handler = this.handlers.get(namespace);
+      return await handler(message, context);
+    }
+    
+    // Subscribers alone don't reply
+    if (subscribers.length > 0) {
+      return null;
+    }
+    
+    // No handler found, emit unhandled event
+    this.emit('unhandled', { message, context });
+    
+    // Return error response
+    return {
+      type: 'error',
+      data: {
+        code: 404,
+        message: `No handler found for message type: ${message.type}`,
+        timestamp: Date.now()
+      }
+    };
   }
 }
 
@@ -0,0 +1,195 @@
+/**
+ * Message schemas for Claude UI MCP Server
+ * JSON Schemas for the `data` payload of the built-in message types
+ */
+
+const { MESSAGE_TYPES } = require('./protocol');
+
+const CLAUDE_MESSAGE_SCHEMA = {
+  type: 'object',
+  required: ['role', 'content'],
+  properties: {
+    role: { enum: ['user', 'assistant'] },
+    content: { type: ['string', 'array'] }
+  }
+};
+
+const CLAUDE_REQUEST_SCHEMA = {
+  type: 'object',
+  properties: {
+    messages: { type: 'array', items: CLAUDE_MESSAGE_SCHEMA },
+    conversationId: { type: 'string' },
+    model: { type: 'string' },
+    system: { type: ['string', 'array'] },
+    temperature: { type: 'number', minimum: 0, maximum: 1 },
+    maxTokens: { type: 'integer', minimum: 1 },
+    tools: { anyOf: [{ const: false }, { type: 'array', items: { type: 'string' } }] },
+    toolChoice: { type: 'object' },
+    streamId: { type: 'string' }
+  }
+};
+
+const PLUGIN_NAME_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 }
+  }
+};
+
+const CONVERSATION_ID_SCHEMA = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string', minLength: 1 }
+  }
+};
+
+const CHANNEL_TOPIC_SCHEMA = {
+  type: 'object',
+  required: ['topic'],
+  properties: {
+    topic: { type: 'string', minLength: 1 }
+  }
+};
+
+const MESSAGE_SCHEMAS = {
+  [MESSAGE_TYPES.SYSTEM_AUTH]: {
+    type: 'object',
+    properties: {
+      apiKey: { type: 'string', minLength: 1 },
+      token: { type: 'string', minLength: 1 }
+    },
+    anyOf: [{ required: ['apiKey'] }, { required: ['token'] }]
+  },
+
+  [MESSAGE_TYPES.SYSTEM_AUTH_REVOKE]: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', minLength: 1 },
+      all: { type: 'boolean' }
+    }
+  },
+
+  [MESSAGE_TYPES.SYSTEM_REGISTER]: {
+    type: 'object',
+    properties: {
+      clientId: { type: 'string', minLength: 1 }
+    }
+  },
+
+  [MESSAGE_TYPES.SYSTEM_RESUME]: {
+    type: 'object',
+    required: ['resumeToken'],
+    properties: {
+      resumeToken: { type: 'string', minLength: 1 }
+    }
+  },
+
+  'proxy.request': {
+    type: 'object',
+    required: ['route', 'endpoint'],
+    properties: {
+      route: { type: 'string', minLength: 1 },
+      endpoint: { type: 'string', minLength: 1 },
+      method: { enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'] },
+      headers: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+  },
+
+  [MESSAGE_TYPES.CLAUDE_QUERY]: CLAUDE_REQUEST_SCHEMA,
+  [MESSAGE_TYPES.CLAUDE_STREAM]: CLAUDE_REQUEST_SCHEMA,
+
+  'plugins.enable': PLUGIN_NAME_SCHEMA,
+  'plugins.disable': PLUGIN_NAME_SCHEMA,
+
+  'bans.add': {
+    type: 'object',
+    required: ['ipAddress'],
+    properties: {
+      ipAddress: { type: 'string', minLength: 1 },
+      duration: { type: 'integer', minimum: 1 },
+      reason: { type: 'string' }
+    }
+  },
+
+  'bans.remove': {
+    type: 'object',
+    required: ['ipAddress'],
+    properties: {
+      ipAddress: { type: 'string', minLength: 1 }
+    }
+  },
+
+  [MESSAGE_TYPES.REQUEST_CANCEL]: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', minLength: 1 }
+    }
+  },
+
+  [MESSAGE_TYPES.CHANNEL_SUBSCRIBE]: CHANNEL_TOPIC_SCHEMA,
+  [MESSAGE_TYPES.CHANNEL_UNSUBSCRIBE]: CHANNEL_TOPIC_SCHEMA,
+
+  [MESSAGE_TYPES.CHANNEL_PUBLISH]: {
+    type: 'object',
+    required: ['topic'],
+    properties: {
+      topic: { type: 'string', minLength: 1 },
+      payload: true,
+      retain: { type: 'boolean' },
+      echo: { type: 'boolean' }
+    }
+  },
+
+  [MESSAGE_TYPES.PROTOCOL_SCHEMA]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string' }
+    }
+  },
+
+  [MESSAGE_TYPES.CONVERSATION_CREATE]: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      system: { type: ['string', 'array'] },
+      model: { type: 'string' },
+      messages: { type: 'array', items: CLAUDE_MESSAGE_SCHEMA }
+    }
+  },
+
+  [MESSAGE_TYPES.CONVERSATION_APPEND]: {
+    type: 'object',
+    required: ['id', 'messages'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      messages: { type: 'array', minItems: 1, items: CLAUDE_MESSAGE_SCHEMA },
+      query: { type: 'boolean' }
+    }
+  },
+
+  [MESSAGE_TYPES.CONVERSATION_GET]: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', minLength: 1 }
+    }
+  },
+
+  [MESSAGE_TYPES.CONVERSATION_FORK]: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      messageCount: { type: 'integer', minimum: 0 },
+      title: { type: 'string' }
+    }
+  },
+
+  [MESSAGE_TYPES.CONVERSATION_DELETE]: CONVERSATION_ID_SCHEMA
+};
+
+module.exports = {
+  MESSAGE_SCHEMAS
+};
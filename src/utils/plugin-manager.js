@@ -8,13 +8,20 @@ const path = require('path');
 const { EventEmitter } = require('events');
 const { logger } = require('./logger');
 const { configManager } = require('./config');
+const { toolRegistry } = require('./tool-registry');
+const { resourceRegistry } = require('./resource-registry');
+const { promptRegistry } = require('./prompt-registry');
+const { schemaRegistry } = require('./schema-registry');
+const { authManager } = require('./auth-manager');
+const { messageHandler } = require('./message-handler');
 
 class PluginManager extends EventEmitter {
   constructor(options = {}) {
     super();
     
     this.plugins = new Map();
-    this.pluginsDirectory = options.pluginsDirectory || path.join(process.cwd(), 'plugins');
+    this.pluginsDirectory = options.pluginsDirectory || process.env.CLAUDE_UI_MCP_PLUGINS_DIR ||
+      path.join(process.cwd(), 'plugins');
     this.enabledPlugins = options.enabledPlugins || configManager.get('plugins.enabled', []);
     
     // Create plugins directory if it doesn't exist
@@ -83,6 +90,8 @@ class PluginManager extends EventEmitter {
       return null;
     }
     
+    let plugin = null;
+    
     try {
       // Load plugin manifest
       const manifestPath = path.join(pluginPath, 'manifest.json');
@@ -113,21 +122,30 @@ class PluginManager extends EventEmitter {
       }
       
       // Create plugin instance
-      const plugin = {
+      plugin = {
         name: manifest.name,
         version: manifest.version,
         description: manifest.description || '',
         author: manifest.author || '',
         module: pluginModule,
         path: pluginPath,
-        enabled: true
+        enabled: true,
+        registrations: []
       };
       
       // Initialize plugin
       await pluginModule.initialize({
         logger,
         config: configManager,
-        pluginManager: this
+        pluginManager: this,
+        toolRegistry,
+        registerTool: (tool) => this.register(plugin, () => toolRegistry.registerTool(tool, plugin.name)),
+        registerResource: (resource) => this.register(plugin, () => resourceRegistry.registerResource(resource, plugin.name)),
+        registerPrompt: (prompt) => this.register(plugin, () => promptRegistry.registerPrompt(prompt, plugin.name)),
+        registerSchema: (type, schema) => this.register(plugin, () => schemaRegistry.registerSchema(type, schema, plugin.name)),
+        registerAuthProvider: (provider) => this.register(plugin, () => authManager.registerProvider(provider, plugin.name)),
+        use: (middleware, options = {}) => this.register(plugin, () => messageHandler.use(middleware, { ...options, source: plugin.name })),
+        subscribe: (type, subscriber) => this.register(plugin, () => messageHandler.subscribe(type, subscriber, { source: plugin.name }))
       });
       
       // Register plugin
@@ -139,10 +157,71 @@ class PluginManager extends EventEmitter {
       return plugin;
     } catch (error) {
       logger.error(`Failed to load plugin ${pluginName}`, error);
+      
+      // Don't leave what initialize registered before it failed live
+      if (plugin && !this.plugins.has(plugin.name)) {
+        this.removeRegistrations(plugin.name);
+        delete require.cache[require.resolve(pluginIndexPath)];
+      }
+      
       throw error;
     }
   }
   
+  /**
+   * Make a registration on behalf of a plugin. Registrations are kept so
+   * they can be removed while the plugin is disabled and made again when it
+   * is enabled. A returned undo function also forgets the registration.
+   */
+  register(plugin, apply) {
+    const registration = { apply, undo: null };
+    
+    plugin.registrations.push(registration);
+    
+    if (!plugin.enabled) {
+      return undefined;
+    }
+    
+    const result = apply();
+    
+    if (typeof result !== 'function') {
+      return result;
+    }
+    
+    registration.undo = result;
+    
+    return () => {
+      plugin.registrations = plugin.registrations.filter(item => item !== registration);
+      return registration.undo();
+    };
+  }
+  
+  /**
+   * Remove everything a plugin registered that acts on live traffic
+   */
+  removeRegistrations(pluginName) {
+    messageHandler.removeMiddlewareBySource(pluginName);
+    messageHandler.removeSubscribersBySource(pluginName);
+    authManager.unregisterProvidersBySource(pluginName);
+    toolRegistry.unregisterToolsBySource(pluginName);
+    resourceRegistry.unregisterResourcesBySource(pluginName);
+    promptRegistry.unregisterPromptsBySource(pluginName);
+    schemaRegistry.unregisterSchemasBySource(pluginName);
+  }
+  
+  /**
+   * Make a plugin's registrations again after it was disabled
+   */
+  restoreRegistrations(plugin) {
+    for (const registration of plugin.registrations) {
+      const result = registration.apply();
+      
+      if (typeof result === 'function') {
+        registration.undo = result;
+      }
+    }
+  }
+  
   /**
    * Unload a specific plugin
    */
@@ -160,8 +239,9 @@ class PluginManager extends EventEmitter {
         await plugin.module.shutdown();
       }
       
-      // Remove plugin from the registry
+      // Remove plugin and its tools from the registry
       this.plugins.delete(pluginName);
+      this.removeRegistrations(pluginName);
       
       // Clear the module from the Node.js require cache
       const pluginIndexPath = path.join(plugin.path, 'index.js');
@@ -189,13 +269,21 @@ class PluginManager extends EventEmitter {
         version: plugin.version,
         description: plugin.description,
         author: plugin.author,
-        enabled: plugin.enabled
+        enabled: plugin.enabled,
+        error: plugin.error || null
       });
     }
     
     return pluginList;
   }
   
+  /**
+   * Get a loaded plugin, or null if it isn't loaded
+   */
+  getPlugin(pluginName) {
+    return this.getPlugins().find(plugin => plugin.name === pluginName) || null;
+  }
+  
   /**
    * Enable a specific plugin
    */
@@ -206,7 +294,22 @@ class PluginManager extends EventEmitter {
     }
     
     const plugin = this.plugins.get(pluginName);
-    plugin.enabled = true;
+    
+    if (!plugin.enabled) {
+      plugin.enabled = true;
+      
+      try {
+        this.restoreRegistrations(plugin);
+        plugin.error = null;
+      } catch (error) {
+        // Leave it disabled rather than half enabled
+        logger.error(`Failed to enable plugin ${pluginName}`, error);
+        plugin.enabled = false;
+        plugin.error = error.message;
+        this.removeRegistrations(pluginName);
+        return false;
+      }
+    }
     
     // Update enabled plugins list
     if (!this.enabledPlugins.includes(pluginName)) {
@@ -231,7 +334,13 @@ class PluginManager extends EventEmitter {
     }
     
     const plugin = this.plugins.get(pluginName);
-    plugin.enabled = false;
+    
+    // Its middleware, subscribers, auth providers, tools, resources,
+    // prompts and schemas stop working until it is enabled again
+    if (plugin.enabled) {
+      plugin.enabled = false;
+      this.removeRegistrations(pluginName);
+    }
     
     // Update enabled plugins list
     const index = this.enabledPlugins.indexOf(pluginName);
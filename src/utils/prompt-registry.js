@@ -0,0 +1,128 @@
+/**
+ * Prompt Registry for Claude UI MCP Server
+ * Manages prompt templates exposed to Model Context Protocol clients
+ */
+
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+class PromptRegistry extends EventEmitter {
+  constructor() {
+    super();
+
+    this.prompts = new Map();
+  }
+
+  /**
+   * Register a prompt
+   *
+   * A prompt is { name, description, arguments, get } where arguments is a
+   * list of { name, description, required } and get is an async function
+   * (args, context) returning a string or an array of prompt messages.
+   */
+  registerPrompt(prompt, source = 'server') {
+    if (!prompt || !prompt.name) {
+      throw new Error('Prompt must have a name');
+    }
+
+    if (typeof prompt.get !== 'function') {
+      throw new Error('Prompt get must be a function');
+    }
+
+    this.prompts.set(prompt.name, {
+      name: prompt.name,
+      description: prompt.description || '',
+      arguments: prompt.arguments || [],
+      get: prompt.get,
+      source
+    });
+
+    logger.debug(`Registered prompt: ${prompt.name} (${source})`);
+    this.emit('promptRegistered', { name: prompt.name, source });
+  }
+
+  /**
+   * Unregister a prompt
+   */
+  unregisterPrompt(name) {
+    const removed = this.prompts.delete(name);
+
+    if (removed) {
+      logger.debug(`Unregistered prompt: ${name}`);
+      this.emit('promptUnregistered', { name });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Unregister all prompts registered by a source (e.g. a plugin)
+   */
+  unregisterPromptsBySource(source) {
+    let count = 0;
+
+    for (const prompt of Array.from(this.prompts.values())) {
+      if (prompt.source === source && this.unregisterPrompt(prompt.name)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Check whether a prompt is registered
+   */
+  hasPrompt(name) {
+    return this.prompts.has(name);
+  }
+
+  /**
+   * Get a list of registered prompts
+   */
+  getPrompts() {
+    return Array.from(this.prompts.values()).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description,
+      arguments: prompt.arguments
+    }));
+  }
+
+  /**
+   * Render a prompt with the given arguments
+   */
+  async getPrompt(name, args = {}, context = {}) {
+    const prompt = this.prompts.get(name);
+
+    if (!prompt) {
+      throw new Error(`Prompt not found: ${name}`);
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && args[arg.name] === undefined)
+      .map(arg => arg.name);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required arguments: ${missing.join(', ')}`);
+    }
+
+    const result = await prompt.get(args, context);
+
+    const messages = typeof result === 'string'
+      ? [{ role: 'user', content: { type: 'text', text: result } }]
+      : result;
+
+    return {
+      description: prompt.description,
+      messages
+    };
+  }
+}
+
+// Create a singleton instance
+const promptRegistry = new PromptRegistry();
+
+module.exports = {
+  PromptRegistry,
+  promptRegistry
+};
@@ -1,9 +1,19 @@
 /**
  * Message Control Protocol (MCP) utility
  * Handles MCP message parsing, validation, and formatting
+ *
+ * Correlation: every message the server sends has a unique `id`. A client
+ * message that carries an `id` is a request, and every reply to it (the
+ * response, any error, and intermediate frames such as stream chunks)
+ * carries that id as `replyTo`. A client message with `notification: true`
+ * is processed without any reply, including errors. Messages with neither
+ * are answered as before, without `replyTo`.
  */
 
+const crypto = require('crypto');
 const { logger } = require('./logger');
+const { isJsonRpcMessage } = require('./jsonrpc');
+const { schemaRegistry } = require('./schema-registry');
 
 // Message types
 const MESSAGE_TYPES = {
@@ -14,17 +24,49 @@ const MESSAGE_TYPES = {
   SYSTEM_ERROR: 'system.error',
   SYSTEM_AUTH: 'system.auth',
   SYSTEM_AUTH_RESPONSE: 'system.auth_response',
+  SYSTEM_AUTH_REFRESH: 'system.auth_refresh',
+  SYSTEM_AUTH_REVOKE: 'system.auth_revoke',
+  SYSTEM_AUTH_REVOKE_RESPONSE: 'system.auth_revoke_response',
   SYSTEM_REGISTER: 'system.register',
   SYSTEM_REGISTER_RESPONSE: 'system.register_response',
+  SYSTEM_RESUME: 'system.resume',
+  SYSTEM_RESUME_RESPONSE: 'system.resume_response',
+  SYSTEM_RATE_LIMITED: 'system.rate_limited',
   
   // Claude messages
   CLAUDE_QUERY: 'claude.query',
   CLAUDE_RESPONSE: 'claude.response',
   CLAUDE_ERROR: 'claude.error',
   CLAUDE_STATUS: 'claude.status',
+  CLAUDE_STREAM: 'claude.stream',
   CLAUDE_STREAM_START: 'claude.stream.start',
   CLAUDE_STREAM_CONTENT: 'claude.stream.content',
   CLAUDE_STREAM_END: 'claude.stream.end',
+  CLAUDE_TOOL_USE: 'claude.tool.use',
+  CLAUDE_TOOL_RESULT: 'claude.tool.result',
+  
+  // Conversation messages
+  CONVERSATION_CREATE: 'conversation.create',
+  CONVERSATION_APPEND: 'conversation.append',
+  CONVERSATION_GET: 'conversation.get',
+  CONVERSATION_FORK: 'conversation.fork',
+  CONVERSATION_DELETE: 'conversation.delete',
+  CONVERSATION_ERROR: 'conversation.error',
+  
+  // Request control messages
+  REQUEST_CANCEL: 'request.cancel',
+  REQUEST_LIST: 'request.list',
+  
+  // Channel messages
+  CHANNEL_SUBSCRIBE: 'channel.subscribe',
+  CHANNEL_UNSUBSCRIBE: 'channel.unsubscribe',
+  CHANNEL_PUBLISH: 'channel.publish',
+  CHANNEL_LIST: 'channel.list',
+  CHANNEL_MESSAGE: 'channel.message',
+  CHANNEL_ERROR: 'channel.error',
+  
+  // Protocol messages
+  PROTOCOL_SCHEMA: 'protocol.schema',
   
   // Client messages
   CLIENT_IDENTIFY: 'client.identify',
@@ -39,6 +81,9 @@ const ERROR_CODES = {
   UNAUTHORIZED: 200,
   FORBIDDEN: 201,
   NOT_FOUND: 300,
+  TIMEOUT: 408,
+  RATE_LIMITED: 429,
+  CANCELLED: 499,
   SERVER_ERROR: 500
 };
 
@@ -59,6 +104,11 @@ class MessageProtocol {
       };
     }
     
+    // JSON-RPC messages are validated by the Model Context Protocol handler
+    if (isJsonRpcMessage(message)) {
+      return { valid: true };
+    }
+    
     // Check required fields
     if (!message.type) {
       return {
@@ -77,6 +127,30 @@ class MessageProtocol {
     return { valid: true };
   }
   
+  /**
+   * Validate a message's data against the schema registered for its type
+   */
+  validateMessageData(message) {
+    const result = schemaRegistry.validate(message.type, message.data);
+    
+    if (result.valid) {
+      return { valid: true };
+    }
+    
+    // Report pointers relative to the whole message
+    const errors = result.errors.map(error => ({
+      pointer: `/data${error.pointer}`,
+      message: error.message
+    }));
+    
+    return {
+      valid: false,
+      error: `Invalid ${message.type} message: ${errors[0].pointer} ${errors[0].message}`,
+      pointer: errors[0].pointer,
+      errors
+    };
+  }
+  
   /**
    * Parse a raw message
    */
@@ -111,6 +185,7 @@ class MessageProtocol {
    */
   createMessage(type, data = {}, metadata = {}) {
     return {
+      id: crypto.randomUUID(),
       type,
       version: this.version,
       timestamp: Date.now(),
@@ -119,6 +194,24 @@ class MessageProtocol {
     };
   }
   
+  /**
+   * Check whether a message is a notification that expects no reply
+   */
+  isNotification(message) {
+    return Boolean(message) && message.notification === true;
+  }
+  
+  /**
+   * Get the metadata that correlates a reply with its request
+   */
+  getReplyMetadata(request) {
+    if (!request || request.id === undefined || request.id === null) {
+      return {};
+    }
+    
+    return { replyTo: request.id };
+  }
+  
   /**
    * Create a system message
    */
@@ -130,12 +223,12 @@ class MessageProtocol {
   /**
    * Create an error message
    */
-  createErrorMessage(code, message, details = {}) {
+  createErrorMessage(code, message, details = {}, metadata = {}) {
     return this.createMessage(MESSAGE_TYPES.SYSTEM_ERROR, {
       code,
       message,
       details
-    });
+    }, metadata);
   }
   
   /**
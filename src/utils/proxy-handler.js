@@ -8,6 +8,7 @@ const https = require('https');
 const { URL } = require('url');
 const { logger } = require('./logger');
 const { configManager } = require('./config');
+const { abortOnSignal } = require('./abort');
 
 class ProxyHandler {
   constructor(options = {}) {
@@ -66,9 +67,9 @@ class ProxyHandler {
   }
   
   /**
-   * Forward a request to the specified route
+   * Forward a request to the specified route. options.signal aborts it.
    */
-  async forwardRequest(routeName, endpoint, method, data, headers = {}) {
+  async forwardRequest(routeName, endpoint, method, data, headers = {}, options = {}) {
     if (!this.routes.has(routeName)) {
       throw new Error(`Unknown proxy route: ${routeName}`);
     }
@@ -98,14 +99,26 @@ class ProxyHandler {
     }
     
     // Make the request
-    return this.makeRequest(url.toString(), method, data, mergedHeaders, route.timeout);
+    return this.makeRequest(url.toString(), method, data, mergedHeaders, route.timeout, options.signal);
   }
   
   /**
-   * Make an HTTP request
+   * Make an HTTP request, aborted when signal fires
    */
-  async makeRequest(url, method, data, headers, timeout) {
+  async makeRequest(url, method, data, headers, timeout, signal = null) {
     return new Promise((resolve, reject) => {
+      const cancelled = {
+        status: 499,
+        error: 'Request cancelled',
+        message: 'Request was cancelled',
+        cancelled: true
+      };
+      
+      if (signal && signal.aborted) {
+        reject(cancelled);
+        return;
+      }
+      
       const urlObj = new URL(url);
       const isHttps = urlObj.protocol === 'https:';
       const httpModule = isHttps ? https : http;
@@ -175,6 +188,8 @@ class ProxyHandler {
         });
       });
       
+      abortOnSignal(req, signal, () => reject(cancelled));
+      
       if (data) {
         const requestData = typeof data === 'string' ? data : JSON.stringify(data);
         req.write(requestData);
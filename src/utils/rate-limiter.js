@@ -0,0 +1,181 @@
+/**
+ * Rate Limiter for Claude UI MCP Server
+ * Token-bucket limits per connection, per authenticated identity and per
+ * message namespace
+ */
+
+const { configManager } = require('./config');
+
+class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updated = Date.now();
+  }
+
+  /**
+   * Add the tokens that accrued since the last update
+   */
+  refill(now = Date.now()) {
+    const elapsed = (now - this.updated) / 1000;
+
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updated = now;
+  }
+
+  /**
+   * Milliseconds until the bucket holds the given number of tokens, or
+   * Infinity if it never will
+   */
+  getRetryAfter(count = 1) {
+    this.refill();
+
+    if (this.tokens >= count) {
+      return 0;
+    }
+
+    if (count > this.capacity || this.refillPerSecond <= 0) {
+      return Infinity;
+    }
+
+    return Math.ceil(((count - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  /**
+   * Remove tokens from the bucket
+   */
+  take(count = 1) {
+    this.refill();
+    this.tokens -= count;
+  }
+
+  /**
+   * Check whether the bucket has refilled completely
+   */
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.options = options;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Get the rate limit settings, read from config unless given explicitly
+   */
+  getSettings() {
+    return this.options.settings || configManager.get('security.rateLimit', {});
+  }
+
+  /**
+   * Get the namespace of a message type ('claude.query') or MCP method
+   * ('tools/call')
+   */
+  getNamespace(type) {
+    return String(type).split(/[./]/)[0];
+  }
+
+  /**
+   * Get a bucket, creating it with the given limit on first use
+   */
+  getBucket(key, limit) {
+    let bucket = this.buckets.get(key);
+
+    if (!bucket || bucket.capacity !== limit.capacity || bucket.refillPerSecond !== limit.refillPerSecond) {
+      bucket = new TokenBucket(limit.capacity, limit.refillPerSecond);
+      this.buckets.set(key, bucket);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Check and consume the limits that apply to a message. Either every
+   * applicable bucket is charged or none is.
+   *
+   * Returns { allowed: true } or { allowed: false, limit, retryAfter }
+   * where limit names the exhausted limit ('global', 'identity' or
+   * 'namespace:<name>') and retryAfter is in milliseconds. retryAfter is
+   * left out when the limit can never allow the message (a bucket that
+   * doesn't refill or is smaller than the message's cost).
+   */
+  consume(connectionId, identityId, type, count = 1) {
+    const settings = this.getSettings();
+
+    if (settings.enabled === false) {
+      return { allowed: true };
+    }
+
+    const namespace = this.getNamespace(type);
+    const namespaceLimit = (settings.namespaces || {})[namespace];
+
+    // Namespace limits follow an identity across its connections
+    const subject = identityId ? `identity:${identityId}` : `connection:${connectionId}`;
+    const checks = [];
+
+    if (settings.global) {
+      checks.push({ limit: 'global', bucket: this.getBucket(`connection:${connectionId}`, settings.global) });
+    }
+
+    if (identityId && settings.identity) {
+      checks.push({ limit: 'identity', bucket: this.getBucket(`identity:${identityId}`, settings.identity) });
+    }
+
+    if (namespaceLimit) {
+      checks.push({
+        limit: `namespace:${namespace}`,
+        bucket: this.getBucket(`${subject}:${namespace}`, namespaceLimit)
+      });
+    }
+
+    for (const check of checks) {
+      const retryAfter = check.bucket.getRetryAfter(count);
+
+      if (retryAfter === Infinity) {
+        return { allowed: false, limit: check.limit };
+      }
+
+      if (retryAfter > 0) {
+        return { allowed: false, limit: check.limit, retryAfter };
+      }
+    }
+
+    checks.forEach(check => check.bucket.take(count));
+
+    return { allowed: true };
+  }
+
+  /**
+   * Drop the buckets of a closed connection
+   */
+  removeConnection(connectionId) {
+    const prefix = `connection:${connectionId}`;
+
+    for (const key of Array.from(this.buckets.keys())) {
+      if (key === prefix || key.startsWith(prefix + ':')) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Drop buckets that have refilled completely; they are recreated full
+   */
+  prune() {
+    for (const [key, bucket] of Array.from(this.buckets.entries())) {
+      if (bucket.isFull()) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter
+};
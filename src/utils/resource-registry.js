@@ -0,0 +1,127 @@
+/**
+ * Resource Registry for Claude UI MCP Server
+ * Manages read-only resources exposed to Model Context Protocol clients
+ */
+
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+class ResourceRegistry extends EventEmitter {
+  constructor() {
+    super();
+
+    this.resources = new Map();
+  }
+
+  /**
+   * Register a resource
+   *
+   * A resource is { uri, name, description, mimeType, read } where read is
+   * an async function (uri, context) returning a string, a Buffer, or an
+   * array of MCP resource contents ({ uri, mimeType, text | blob }).
+   */
+  registerResource(resource, source = 'server') {
+    if (!resource || !resource.uri) {
+      throw new Error('Resource must have a uri');
+    }
+
+    if (typeof resource.read !== 'function') {
+      throw new Error('Resource read must be a function');
+    }
+
+    this.resources.set(resource.uri, {
+      uri: resource.uri,
+      name: resource.name || resource.uri,
+      description: resource.description || '',
+      mimeType: resource.mimeType || 'text/plain',
+      read: resource.read,
+      source
+    });
+
+    logger.debug(`Registered resource: ${resource.uri} (${source})`);
+    this.emit('resourceRegistered', { uri: resource.uri, source });
+  }
+
+  /**
+   * Unregister a resource
+   */
+  unregisterResource(uri) {
+    const removed = this.resources.delete(uri);
+
+    if (removed) {
+      logger.debug(`Unregistered resource: ${uri}`);
+      this.emit('resourceUnregistered', { uri });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Unregister all resources registered by a source (e.g. a plugin)
+   */
+  unregisterResourcesBySource(source) {
+    let count = 0;
+
+    for (const resource of Array.from(this.resources.values())) {
+      if (resource.source === source && this.unregisterResource(resource.uri)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Check whether a resource is registered
+   */
+  hasResource(uri) {
+    return this.resources.has(uri);
+  }
+
+  /**
+   * Get a list of registered resources
+   */
+  getResources() {
+    return Array.from(this.resources.values()).map(resource => ({
+      uri: resource.uri,
+      name: resource.name,
+      description: resource.description,
+      mimeType: resource.mimeType
+    }));
+  }
+
+  /**
+   * Read a resource and return its contents
+   */
+  async readResource(uri, context = {}) {
+    const resource = this.resources.get(uri);
+
+    if (!resource) {
+      throw new Error(`Resource not found: ${uri}`);
+    }
+
+    const result = await resource.read(uri, context);
+
+    if (Array.isArray(result)) {
+      return result;
+    }
+
+    if (Buffer.isBuffer(result)) {
+      return [{ uri, mimeType: resource.mimeType, blob: result.toString('base64') }];
+    }
+
+    return [{
+      uri,
+      mimeType: resource.mimeType,
+      text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+    }];
+  }
+}
+
+// Create a singleton instance
+const resourceRegistry = new ResourceRegistry();
+
+module.exports = {
+  ResourceRegistry,
+  resourceRegistry
+};
@@ -0,0 +1,102 @@
+/**
+ * Schema Registry for Claude UI MCP Server
+ * Maps message types to JSON Schemas for their `data` payload
+ */
+
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { validateSchema } = require('./schema-validator');
+
+class SchemaRegistry extends EventEmitter {
+  constructor() {
+    super();
+
+    this.schemas = new Map();
+  }
+
+  /**
+   * Register the data schema for a message type
+   */
+  registerSchema(type, schema, source = 'server') {
+    if (!type || !schema || typeof schema !== 'object') {
+      throw new Error('Schema registration requires a message type and a schema object');
+    }
+
+    this.schemas.set(type, { schema, source });
+
+    logger.debug(`Registered schema for message type: ${type} (${source})`);
+    this.emit('schemaRegistered', { type, source });
+  }
+
+  /**
+   * Unregister the schema for a message type
+   */
+  unregisterSchema(type) {
+    const removed = this.schemas.delete(type);
+
+    if (removed) {
+      logger.debug(`Unregistered schema for message type: ${type}`);
+      this.emit('schemaUnregistered', { type });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Unregister all schemas registered by a source (e.g. a plugin)
+   */
+  unregisterSchemasBySource(source) {
+    let count = 0;
+
+    for (const [type, entry] of Array.from(this.schemas.entries())) {
+      if (entry.source === source && this.unregisterSchema(type)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Get the schema for a message type
+   */
+  getSchema(type) {
+    const entry = this.schemas.get(type);
+    return entry ? entry.schema : null;
+  }
+
+  /**
+   * Get all registered schemas keyed by message type
+   */
+  getSchemas() {
+    const schemas = {};
+
+    for (const [type, entry] of this.schemas.entries()) {
+      schemas[type] = entry.schema;
+    }
+
+    return schemas;
+  }
+
+  /**
+   * Validate a message's data against the schema for its type.
+   * Messages without a registered schema are always valid.
+   */
+  validate(type, data) {
+    const schema = this.getSchema(type);
+
+    if (!schema) {
+      return { valid: true, errors: [] };
+    }
+
+    return validateSchema(schema, data === undefined ? {} : data);
+  }
+}
+
+// Create a singleton instance
+const schemaRegistry = new SchemaRegistry();
+
+module.exports = {
+  SchemaRegistry,
+  schemaRegistry
+};
@@ -0,0 +1,158 @@
+/**
+ * JSON Schema validator for Claude UI MCP Server
+ * Validates values against the subset of JSON Schema used for message
+ * payloads: type, enum, const, properties, required, additionalProperties,
+ * items, numeric/string/array bounds, pattern, anyOf, oneOf and allOf
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a JSON Schema type
+ */
+function matchesType(value, type) {
+  const actual = getType(value);
+
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+
+  return actual === type;
+}
+
+/**
+ * Escape a property name for use in a JSON Pointer
+ */
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Validate a value against a schema, collecting errors as { pointer, message }
+ */
+function validate(schema, value, pointer = '', errors = []) {
+  if (schema === true || schema === undefined) {
+    return errors;
+  }
+
+  if (schema === false) {
+    errors.push({ pointer, message: 'is not allowed' });
+    return errors;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ pointer, message: `must be of type ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ pointer, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    errors.push({ pointer, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` });
+  }
+
+  const type = getType(value);
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ pointer, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ pointer, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ pointer, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ pointer, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ pointer, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ pointer, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ pointer, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => validate(schema.items, item, `${pointer}/${index}`, errors));
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ pointer: `${pointer}/${escapePointer(name)}`, message: 'is required' });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPointer = `${pointer}/${escapePointer(name)}`;
+
+      if (properties[name] !== undefined) {
+        validate(properties[name], propertyValue, propertyPointer, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        validate(schema.additionalProperties, propertyValue, propertyPointer, errors);
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(subschema => validate(subschema, value, pointer, errors));
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    const matched = schema.anyOf.some(subschema => validate(subschema, value, pointer).length === 0);
+    if (!matched) {
+      errors.push({ pointer, message: 'must match at least one allowed schema' });
+    }
+  }
+
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(subschema => validate(subschema, value, pointer).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ pointer, message: 'must match exactly one allowed schema' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value against a schema
+ */
+function validateSchema(schema, value) {
+  const errors = validate(schema, value);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  validateSchema
+};
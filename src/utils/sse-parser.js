@@ -0,0 +1,127 @@
+/**
+ * Server-Sent Events parser for Claude UI MCP Server
+ * Incrementally parses an SSE byte stream into discrete events
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+class SSEParser {
+  constructor(onEvent) {
+    this.onEvent = onEvent;
+    this.decoder = new StringDecoder('utf8');
+    this.buffer = '';
+    this.reset();
+  }
+
+  /**
+   * Reset the fields of the event currently being parsed
+   */
+  reset() {
+    this.eventType = '';
+    this.dataLines = [];
+    this.lastEventId = '';
+  }
+
+  /**
+   * Feed a chunk of the stream into the parser
+   */
+  write(chunk) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+
+    // Process every complete line, keeping any partial line in the buffer
+    let match;
+    const lineBreak = /\r\n|\r|\n/;
+
+    while ((match = lineBreak.exec(this.buffer)) !== null) {
+      // A trailing "\r" may be the first half of a "\r\n" split across chunks
+      if (match[0] === '\r' && match.index === this.buffer.length - 1) {
+        break;
+      }
+
+      const line = this.buffer.slice(0, match.index);
+      this.buffer = this.buffer.slice(match.index + match[0].length);
+      this.processLine(line);
+    }
+  }
+
+  /**
+   * Finish the stream. As the SSE spec requires, an event that was not
+   * terminated by a blank line is discarded rather than dispatched.
+   */
+  end() {
+    this.buffer += this.decoder.end();
+
+    // A "\r" held back in case "\n" followed still ends its line
+    if (this.buffer.endsWith('\r')) {
+      this.processLine(this.buffer.slice(0, -1));
+    }
+
+    this.buffer = '';
+    this.reset();
+  }
+
+  /**
+   * Process a single line of the stream
+   */
+  processLine(line) {
+    // A blank line terminates the current event
+    if (line === '') {
+      this.dispatch();
+      return;
+    }
+
+    // Lines starting with a colon are comments
+    if (line.startsWith(':')) {
+      return;
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'event':
+        this.eventType = value;
+        break;
+
+      case 'data':
+        this.dataLines.push(value);
+        break;
+
+      case 'id':
+        this.lastEventId = value;
+        break;
+
+      default:
+        // Unknown fields (including "retry") are ignored
+        break;
+    }
+  }
+
+  /**
+   * Dispatch the event currently being parsed
+   */
+  dispatch() {
+    if (this.dataLines.length === 0) {
+      this.reset();
+      return;
+    }
+
+    const event = {
+      event: this.eventType || 'message',
+      data: this.dataLines.join('\n'),
+      id: this.lastEventId || undefined
+    };
+
+    this.reset();
+    this.onEvent(event);
+  }
+}
+
+module.exports = {
+  SSEParser
+};
@@ -0,0 +1,86 @@
+/**
+ * Stdio transport for Claude UI MCP Server
+ * Presents stdin/stdout as a socket-like connection carrying
+ * newline-delimited JSON-RPC messages, so it can be managed by the
+ * ConnectionManager like any WebSocket client
+ */
+
+const readline = require('readline');
+const { EventEmitter } = require('events');
+
+// Mirrors the WebSocket readyState values checked by the ConnectionManager
+const READY_STATE = {
+  OPEN: 1,
+  CLOSED: 3
+};
+
+class StdioTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.readyState = READY_STATE.OPEN;
+    this.protocol = 'mcp';
+
+    this.reader = readline.createInterface({
+      input: this.input,
+      crlfDelay: Infinity,
+      terminal: false
+    });
+
+    this.reader.on('line', (line) => {
+      // Blank lines carry no message
+      if (line.trim() === '') {
+        return;
+      }
+
+      this.emit('message', line);
+    });
+
+    this.reader.on('close', () => {
+      this.close();
+    });
+
+    this.output.on('error', (error) => {
+      this.emit('error', error);
+    });
+  }
+
+  /**
+   * Bytes written but not yet flushed to stdout, like WebSocket.bufferedAmount
+   */
+  get bufferedAmount() {
+    return this.output.writableLength || 0;
+  }
+
+  /**
+   * Write a serialized message followed by a newline
+   */
+  send(data, callback) {
+    if (this.readyState !== READY_STATE.OPEN) {
+      throw new Error('Stdio transport is closed');
+    }
+
+    // Messages must not contain embedded newlines
+    const line = String(data).replace(/\r?\n/g, ' ');
+    this.output.write(line + '\n', callback);
+  }
+
+  /**
+   * Close the transport
+   */
+  close() {
+    if (this.readyState === READY_STATE.CLOSED) {
+      return;
+    }
+
+    this.readyState = READY_STATE.CLOSED;
+    this.reader.close();
+    this.emit('close');
+  }
+}
+
+module.exports = {
+  StdioTransport
+};
@@ -0,0 +1,322 @@
+/**
+ * TLS Manager for Claude UI MCP Server
+ * Loads the certificate and key for wss://, generates a self-signed local
+ * CA and server certificate when none are configured, and reloads them
+ * when the files change
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const net = require('net');
+const forge = require('node-forge');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { configManager } = require('./config');
+
+const CA_VALIDITY_DAYS = 3650;
+const SERVER_VALIDITY_DAYS = 365;
+
+// Regenerate the server certificate this long before it expires
+const RENEWAL_MARGIN = 7 * 86400000;
+
+/**
+ * Generate an RSA key pair as forge keys (Node's generator is much faster)
+ */
+function generateKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  return {
+    publicKey: forge.pki.publicKeyFromPem(publicKey),
+    privateKey: forge.pki.privateKeyFromPem(privateKey)
+  };
+}
+
+/**
+ * Create and sign an X.509 certificate
+ */
+function createCertificate({ subject, issuer, publicKey, signingKey, validDays, extensions }) {
+  const cert = forge.pki.createCertificate();
+
+  // Positive serial number: leading 0x01 byte keeps the high bit clear
+  cert.serialNumber = '01' + crypto.randomBytes(15).toString('hex');
+  cert.publicKey = publicKey;
+  cert.validity.notBefore = new Date(Date.now() - 60000);
+  cert.validity.notAfter = new Date(Date.now() + validDays * 86400000);
+  cert.setSubject(subject);
+  cert.setIssuer(issuer);
+  cert.setExtensions(extensions);
+  cert.sign(signingKey, forge.md.sha256.create());
+
+  return cert;
+}
+
+/**
+ * Get the host names and addresses a server certificate should cover
+ */
+function getSubjectAltNames(host) {
+  const names = ['localhost', '127.0.0.1', '::1', os.hostname()];
+
+  if (host && !['0.0.0.0', '::'].includes(host) && !names.includes(host)) {
+    names.push(host);
+  }
+
+  return names.map(name => (net.isIP(name) ? { type: 7, ip: name } : { type: 2, value: name }));
+}
+
+class TLSManager extends EventEmitter {
+  constructor() {
+    super();
+
+    this.credentials = null;
+    this.watchedPaths = [];
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Get the TLS settings, with paths of generated files filled in
+   */
+  getSettings(overrides = {}) {
+    const settings = {
+      ...configManager.get('server.tls', {}),
+      ...overrides
+    };
+    const directory = settings.directory || path.join(os.homedir(), '.claude-ui-mcp', 'tls');
+
+    return {
+      ...settings,
+      directory,
+      generated: !settings.certPath || !settings.keyPath,
+      certPath: settings.certPath || path.join(directory, 'server.pem'),
+      keyPath: settings.keyPath || path.join(directory, 'server-key.pem'),
+      caPath: settings.caPath || path.join(directory, 'ca.pem'),
+      caKeyPath: path.join(directory, 'ca-key.pem')
+    };
+  }
+
+  /**
+   * Load the certificate and key, generating them first if they are not
+   * configured. Returns { cert, key, ca, info }.
+   */
+  loadCredentials(options = {}) {
+    const settings = this.getSettings(options);
+
+    if (settings.generated) {
+      this.ensureSelfSigned(settings, options.host);
+    }
+
+    const cert = fs.readFileSync(settings.certPath, 'utf8');
+    const key = fs.readFileSync(settings.keyPath, 'utf8');
+    const ca = fs.existsSync(settings.caPath) ? fs.readFileSync(settings.caPath, 'utf8') : null;
+
+    this.settings = settings;
+    this.credentials = {
+      cert,
+      key,
+      ca,
+      info: this.getCertificateInfo(cert, settings)
+    };
+
+    logger.info(`Loaded TLS certificate (SHA-256 ${this.credentials.info.fingerprint256})`);
+
+    return this.credentials;
+  }
+
+  /**
+   * Generate the local CA (once) and a server certificate signed by it,
+   * replacing the server certificate when it is close to expiry or does
+   * not cover the host
+   */
+  ensureSelfSigned(settings, host) {
+    fs.mkdirSync(settings.directory, { recursive: true });
+
+    if (!fs.existsSync(settings.caPath) || !fs.existsSync(settings.caKeyPath)) {
+      const keys = generateKeyPair();
+      const subject = [
+        { name: 'commonName', value: 'Claude UI MCP Local CA' },
+        { name: 'organizationName', value: 'Claude UI MCP Server' }
+      ];
+      const caCert = createCertificate({
+        subject,
+        issuer: subject,
+        publicKey: keys.publicKey,
+        signingKey: keys.privateKey,
+        validDays: CA_VALIDITY_DAYS,
+        extensions: [
+          { name: 'basicConstraints', cA: true, critical: true },
+          { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+          { name: 'subjectKeyIdentifier' }
+        ]
+      });
+
+      fs.writeFileSync(settings.caKeyPath, forge.pki.privateKeyToPem(keys.privateKey), { mode: 0o600 });
+      fs.writeFileSync(settings.caPath, forge.pki.certificateToPem(caCert));
+
+      logger.info(`Generated local CA certificate at ${settings.caPath}`);
+    }
+
+    if (this.isServerCertificateCurrent(settings, host)) {
+      return;
+    }
+
+    const caCert = forge.pki.certificateFromPem(fs.readFileSync(settings.caPath, 'utf8'));
+    const caKey = forge.pki.privateKeyFromPem(fs.readFileSync(settings.caKeyPath, 'utf8'));
+    const keys = generateKeyPair();
+    const cert = createCertificate({
+      subject: [{ name: 'commonName', value: host && !['0.0.0.0', '::'].includes(host) ? host : 'localhost' }],
+      issuer: caCert.subject.attributes,
+      publicKey: keys.publicKey,
+      signingKey: caKey,
+      validDays: SERVER_VALIDITY_DAYS,
+      extensions: [
+        { name: 'basicConstraints', cA: false },
+        { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+        { name: 'extKeyUsage', serverAuth: true },
+        { name: 'subjectAltName', altNames: getSubjectAltNames(host) },
+        { name: 'authorityKeyIdentifier', keyIdentifier: caCert.generateSubjectKeyIdentifier().getBytes() }
+      ]
+    });
+
+    fs.writeFileSync(settings.keyPath, forge.pki.privateKeyToPem(keys.privateKey), { mode: 0o600 });
+    fs.writeFileSync(settings.certPath, forge.pki.certificateToPem(cert));
+
+    logger.info(`Generated server certificate at ${settings.certPath}`);
+  }
+
+  /**
+   * Check whether the generated server certificate exists, is not about to
+   * expire and covers the host
+   */
+  isServerCertificateCurrent(settings, host) {
+    if (!fs.existsSync(settings.certPath) || !fs.existsSync(settings.keyPath)) {
+      return false;
+    }
+
+    try {
+      const cert = new crypto.X509Certificate(fs.readFileSync(settings.certPath));
+
+      if (new Date(cert.validTo).getTime() - RENEWAL_MARGIN < Date.now()) {
+        return false;
+      }
+
+      if (!host || ['0.0.0.0', '::'].includes(host)) {
+        return true;
+      }
+
+      return Boolean(net.isIP(host) ? cert.checkIP(host) : cert.checkHost(host));
+    } catch (error) {
+      logger.warn(`Replacing unreadable server certificate: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Describe a certificate for display and pinning
+   */
+  getCertificateInfo(certPem, settings = this.settings) {
+    const cert = new crypto.X509Certificate(certPem);
+
+    return {
+      subject: cert.subject,
+      issuer: cert.issuer,
+      validFrom: cert.validFrom,
+      validTo: cert.validTo,
+      fingerprint256: cert.fingerprint256,
+      subjectAltName: cert.subjectAltName,
+      generated: settings ? settings.generated : false,
+      certPath: settings ? settings.certPath : null,
+      caPath: settings && settings.generated ? settings.caPath : null
+    };
+  }
+
+  /**
+   * Get information about the loaded certificate
+   */
+  getInfo() {
+    return this.credentials ? this.credentials.info : null;
+  }
+
+  /**
+   * Watch the certificate and key files, reloading them and emitting
+   * 'reloaded' with the new credentials after they change
+   */
+  watch() {
+    this.unwatch();
+
+    if (!this.settings) {
+      return;
+    }
+
+    this.watchedPaths = [this.settings.certPath, this.settings.keyPath];
+
+    for (const filePath of this.watchedPaths) {
+      fs.watchFile(filePath, { interval: 2000 }, () => this.scheduleReload());
+    }
+  }
+
+  /**
+   * Stop watching the certificate files
+   */
+  unwatch() {
+    for (const filePath of this.watchedPaths) {
+      fs.unwatchFile(filePath);
+    }
+
+    this.watchedPaths = [];
+
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+  }
+
+  /**
+   * Reload once both files have been written (certificate renewals usually
+   * replace the certificate and key one after the other)
+   */
+  scheduleReload() {
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+    }
+
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+
+      try {
+        const cert = fs.readFileSync(this.settings.certPath, 'utf8');
+        const key = fs.readFileSync(this.settings.keyPath, 'utf8');
+
+        // Fails if the key doesn't belong to the certificate
+        if (!new crypto.X509Certificate(cert).checkPrivateKey(crypto.createPrivateKey(key))) {
+          throw new Error('Private key does not match certificate');
+        }
+
+        this.credentials = {
+          ...this.credentials,
+          cert,
+          key,
+          info: this.getCertificateInfo(cert)
+        };
+
+        logger.info(`Reloaded TLS certificate (SHA-256 ${this.credentials.info.fingerprint256})`);
+        this.emit('reloaded', this.credentials);
+      } catch (error) {
+        logger.error('Failed to reload TLS certificate', error);
+        this.emit('reloadFailed', { error });
+      }
+    }, 1000);
+  }
+}
+
+// Create a singleton instance
+const tlsManager = new TLSManager();
+
+module.exports = {
+  TLSManager,
+  tlsManager
+};
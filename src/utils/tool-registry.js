@@ -0,0 +1,179 @@
+/**
+ * Tool Registry for Claude UI MCP Server
+ * Manages tools that Claude can call through the tool-use API
+ */
+
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { validateSchema } = require('./schema-validator');
+
+// Tool names accepted by the Anthropic API
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+class ToolRegistry extends EventEmitter {
+  constructor() {
+    super();
+
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   *
+   * A tool is { name, description, inputSchema, handler } where handler is
+   * an async function (input, context) returning a string, an array of
+   * content blocks, or any JSON-serializable value.
+   */
+  registerTool(tool, source = 'server') {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+      throw new Error('Tool name must match ' + TOOL_NAME_PATTERN);
+    }
+
+    if (typeof tool.handler !== 'function') {
+      throw new Error('Tool handler must be a function');
+    }
+
+    if (this.tools.has(tool.name)) {
+      logger.warn(`Replacing existing tool: ${tool.name}`);
+    }
+
+    this.tools.set(tool.name, {
+      name: tool.name,
+      description: tool.description || '',
+      inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+      handler: tool.handler,
+      source
+    });
+
+    logger.debug(`Registered tool: ${tool.name} (${source})`);
+    this.emit('toolRegistered', { name: tool.name, source });
+  }
+
+  /**
+   * Unregister a tool
+   */
+  unregisterTool(name) {
+    const removed = this.tools.delete(name);
+
+    if (removed) {
+      logger.debug(`Unregistered tool: ${name}`);
+      this.emit('toolUnregistered', { name });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Unregister all tools registered by a source (e.g. a plugin)
+   */
+  unregisterToolsBySource(source) {
+    let count = 0;
+
+    for (const tool of Array.from(this.tools.values())) {
+      if (tool.source === source && this.unregisterTool(tool.name)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Check whether a tool is registered
+   */
+  hasTool(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get a list of registered tools
+   */
+  getTools() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      source: tool.source
+    }));
+  }
+
+  /**
+   * Get tool definitions in the format expected by the Anthropic API,
+   * optionally limited to the given tool names
+   */
+  getToolDefinitions(names = null) {
+    return Array.from(this.tools.values())
+      .filter(tool => !names || names.includes(tool.name))
+      .map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.inputSchema
+      }));
+  }
+
+  /**
+   * Execute a tool and return its result as tool_result content
+   */
+  async executeTool(name, input, context = {}) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      return {
+        content: `Unknown tool: ${name}`,
+        isError: true
+      };
+    }
+
+    const validation = validateSchema(tool.inputSchema, input || {});
+
+    if (!validation.valid) {
+      return {
+        content: 'Invalid input: ' + validation.errors
+          .map(error => `${error.pointer || '/'} ${error.message}`)
+          .join('; '),
+        isError: true
+      };
+    }
+
+    try {
+      const result = await tool.handler(input || {}, context);
+
+      this.emit('toolExecuted', { name, context });
+
+      return {
+        content: this.formatResult(result),
+        isError: false
+      };
+    } catch (error) {
+      logger.error(`Error executing tool ${name}`, error);
+
+      return {
+        content: error.message || `Error executing tool ${name}`,
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Convert a tool handler result into tool_result content
+   */
+  formatResult(result) {
+    if (result === undefined || result === null) {
+      return '';
+    }
+
+    if (typeof result === 'string' || Array.isArray(result)) {
+      return result;
+    }
+
+    return JSON.stringify(result);
+  }
+}
+
+// Create a singleton instance
+const toolRegistry = new ToolRegistry();
+
+module.exports = {
+  ToolRegistry,
+  toolRegistry
+};
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 
 export const ConnectionsEnhanced = () => {
   const [connections, setConnections] = useState([]);
+  const [bans, setBans] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [selectedConnection, setSelectedConnection] = useState(null);
   const [actionResult, setActionResult] = useState(null);
@@ -58,6 +59,7 @@ export const ConnectionsEnhanced = () => {
       if (window.electron) {
         const connectionsList = await window.electron.getConnections();
         setConnections(connectionsList);
+        setBans(await window.electron.getBans());
       } else {
         // Mock data for development
         setConnections([
@@ -138,6 +140,52 @@ export const ConnectionsEnhanced = () => {
     }
   };
   
+  const banAddress = async (ipAddress) => {
+    setActionResult(null);
+    
+    if (!window.electron) {
+      return;
+    }
+    
+    try {
+      const result = await window.electron.banAddress(ipAddress);
+      
+      if (result.success) {
+        setActionResult({
+          success: true,
+          message: `Banned ${result.ban.ipAddress} until ${formatTime(result.ban.expiresAt)}`
+        });
+        loadConnections(false);
+      } else {
+        setActionResult({
+          success: false,
+          message: result.error || 'Failed to ban address'
+        });
+      }
+    } catch (error) {
+      setActionResult({
+        success: false,
+        message: 'Error banning address: ' + error.message
+      });
+    }
+  };
+  
+  const unbanAddress = async (ipAddress) => {
+    setActionResult(null);
+    
+    if (!window.electron) {
+      return;
+    }
+    
+    const result = await window.electron.unbanAddress(ipAddress);
+    
+    setActionResult({
+      success: result.success,
+      message: result.success ? `Unbanned ${ipAddress}` : `${ipAddress} is not banned`
+    });
+    loadConnections(false);
+  };
+  
   const selectConnection = (connection) => {
     setSelectedConnection(connection === selectedConnection ? null : connection);
   };
@@ -147,6 +195,18 @@ export const ConnectionsEnhanced = () => {
     return date.toLocaleTimeString();
   };
   
+  const formatBytes = (bytes = 0) => {
+    if (bytes < 1024) {
+      return `${bytes} B`;
+    }
+    
+    if (bytes < 1048576) {
+      return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+  };
+  
   const formatDuration = (timestamp) => {
     const now = Date.now();
     const diffSeconds = Math.floor((now - timestamp) / 1000);
@@ -227,8 +287,8 @@ export const ConnectionsEnhanced = () => {
                         {formatDuration(connection.lastActivity)}
                       </td>
                       <td>
-                        <span className={`status-indicator status-${connection.isAuthenticated ? 'success' : 'warning'}`}>
-                          {connection.isAuthenticated ? 'Authenticated' : 'Not Authenticated'}
+                        <span className={`status-indicator status-${connection.isAuthenticated && !connection.suspended ? 'success' : 'warning'}`}>
+                          {connection.suspended ? 'Suspended' : connection.isAuthenticated ? 'Authenticated' : 'Not Authenticated'}
                         </span>
                       </td>
                       <td>
@@ -241,6 +301,15 @@ export const ConnectionsEnhanced = () => {
                         >
                           Disconnect
                         </button>
+                        <button
+                          className="btn btn-secondary btn-sm ml-1"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            banAddress(connection.ipAddress || connection.ip);
+                          }}
+                        >
+                          Ban
+                        </button>
                       </td>
                     </tr>
                   ))}
@@ -251,6 +320,43 @@ export const ConnectionsEnhanced = () => {
         </div>
       </div>
       
+      {bans.length > 0 && (
+        <div className="card mt-3">
+          <div className="card-header">
+            <h2 className="card-title">Banned Addresses</h2>
+          </div>
+          <div className="card-content">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>IP Address</th>
+                  <th>Reason</th>
+                  <th>Expires</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {bans.map((ban) => (
+                  <tr key={ban.ipAddress}>
+                    <td>{ban.ipAddress}</td>
+                    <td>{ban.reason || '-'}</td>
+                    <td>{formatTime(ban.expiresAt)}</td>
+                    <td>
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => unbanAddress(ban.ipAddress)}
+                      >
+                        Unban
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      
       {selectedConnection && (
         <div className="card mt-3">
           <div className="card-header">
@@ -303,6 +409,34 @@ export const ConnectionsEnhanced = () => {
                     <span className="detail-label">Errors:</span>
                     <span className="detail-value">{selectedConnection.stats.errors}</span>
                   </div>
+                  <div className="detail-row">
+                    <span className="detail-label">Rate Limited:</span>
+                    <span className="detail-value">{selectedConnection.stats.rateLimited || 0}</span>
+                  </div>
+                  <div className="detail-row">
+                    <span className="detail-label">Round Trip:</span>
+                    <span className="detail-value">
+                      {selectedConnection.stats.rtt !== null && selectedConnection.stats.rtt !== undefined
+                        ? `${selectedConnection.stats.rtt} ms (avg ${selectedConnection.stats.averageRtt} ms)`
+                        : 'N/A'}
+                    </span>
+                  </div>
+                  <div className="detail-row">
+                    <span className="detail-label">Missed Pongs:</span>
+                    <span className="detail-value">{selectedConnection.stats.missedPongs || 0}</span>
+                  </div>
+                  <div className="detail-row">
+                    <span className="detail-label">Queued:</span>
+                    <span className="detail-value">
+                      {selectedConnection.stats.queuedMessages || 0} messages ({formatBytes(selectedConnection.stats.queuedBytes)}, peak {formatBytes(selectedConnection.stats.peakQueuedBytes)})
+                    </span>
+                  </div>
+                  <div className="detail-row">
+                    <span className="detail-label">Dropped / Coalesced:</span>
+                    <span className="detail-value">
+                      {selectedConnection.stats.droppedMessages || 0} / {selectedConnection.stats.coalescedMessages || 0}
+                    </span>
+                  </div>
                 </div>
               )}
               
@@ -61,11 +61,39 @@ export const Dashboard = ({ serverStatus }) => {
             </div>
           )}
 
-          {serverStatus.status === 'error' && (
+          {(serverStatus.status === 'error' || serverStatus.status === 'crashed') && (
             <div className="mt-3 text-danger">
               {serverStatus.error || 'An error occurred with the server'}
             </div>
           )}
+
+          {serverStatus.crash && serverStatus.status !== 'running' && (
+            <div className="mt-3">
+              <div className="d-flex justify-between mb-2">
+                <span>Crashed At:</span>
+                <span>{new Date(serverStatus.crash.timestamp).toLocaleString()}</span>
+              </div>
+              <div className="d-flex justify-between mb-2">
+                <span>Exit Code:</span>
+                <span>{serverStatus.crash.signal || serverStatus.crash.code}</span>
+              </div>
+              <div className="d-flex justify-between mb-2">
+                <span>Restart:</span>
+                <span>
+                  {serverStatus.crash.restartIn === null
+                    ? 'Gave up after repeated crashes'
+                    : `In ${Math.ceil(serverStatus.crash.restartIn / 1000)}s`}
+                </span>
+              </div>
+              {(serverStatus.crash.error || serverStatus.crash.stderr.length > 0) && (
+                <pre className="crash-report">
+                  {serverStatus.crash.error && serverStatus.crash.error.stack
+                    ? serverStatus.crash.error.stack
+                    : serverStatus.crash.stderr.join('\n')}
+                </pre>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
@@ -5,6 +5,9 @@ export const Settings = ({ serverStatus }) => {
     port: 3030,
     host: 'localhost',
     autoStart: false,
+    tls: {
+      enabled: false
+    },
     logging: {
       level: 'info',
       console: true,
@@ -21,6 +24,7 @@ export const Settings = ({ serverStatus }) => {
         ...prev,
         port: serverStatus.config.port || prev.port,
         host: serverStatus.config.host || prev.host,
+        tls: serverStatus.config.tls || prev.tls,
       }));
     }
     
@@ -123,6 +127,22 @@ export const Settings = ({ serverStatus }) => {
               )}
             </div>
             
+            <div className="form-group">
+              <label className="form-label">
+                <input
+                  type="checkbox"
+                  name="tls.enabled"
+                  checked={config.tls.enabled}
+                  onChange={handleInputChange}
+                  disabled={serverStatus.status === 'running'}
+                />
+                <span className="ml-2">Use TLS (wss://)</span>
+              </label>
+              <div className="text-muted mt-1">
+                Uses the certificate configured in server.tls, or a generated local CA under ~/.claude-ui-mcp/tls
+              </div>
+            </div>
+            
             <div className="form-group">
               <label className="form-label">
                 <input
@@ -192,6 +212,37 @@ export const Settings = ({ serverStatus }) => {
           </form>
         </div>
       </div>
+      
+      {serverStatus.tls && (
+        <div className="card mt-3">
+          <div className="card-header">
+            <h2 className="card-title">TLS Certificate</h2>
+          </div>
+          <div className="card-content">
+            <div className="detail-row">
+              <span className="detail-label">SHA-256 Fingerprint:</span>
+              <span className="detail-value"><code>{serverStatus.tls.fingerprint256}</code></span>
+            </div>
+            <div className="detail-row">
+              <span className="detail-label">Subject:</span>
+              <span className="detail-value">{serverStatus.tls.subject}</span>
+            </div>
+            <div className="detail-row">
+              <span className="detail-label">Valid Until:</span>
+              <span className="detail-value">{serverStatus.tls.validTo}</span>
+            </div>
+            {serverStatus.tls.caPath && (
+              <div className="detail-row">
+                <span className="detail-label">Local CA:</span>
+                <span className="detail-value">{serverStatus.tls.caPath}</span>
+              </div>
+            )}
+            <div className="text-muted mt-1">
+              Clients can pin this fingerprint or trust the local CA certificate.
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -16,6 +16,7 @@ const rl = readline.createInterface({
 const serverUrl = 'ws://localhost:3030';
 let ws = null;
 let connected = false;
+let requestCounter = 0;
 
 // Connect to the server
 function connect() {
@@ -66,6 +67,7 @@ function sendMessage(type, data = {}) {
   }
   
   const message = {
+    id: `req-${++requestCounter}`,
     type,
     data,
     timestamp: Date.now()
@@ -85,6 +87,7 @@ function showMenu() {
   console.log('3. Send example.echo request');
   console.log('4. Send plugins.list request');
   console.log('5. Send proxy.request (mock API)');
+  console.log('6. Send claude.query request');
   console.log('0. Disconnect');
   
   rl.question('Action: ', (answer) => {
@@ -117,6 +120,14 @@ function showMenu() {
         });
         break;
         
+      case '6':
+        rl.question('Enter prompt for Claude: ', (prompt) => {
+          sendMessage('claude.query', {
+            messages: [{ role: 'user', content: prompt }]
+          });
+        });
+        break;
+        
       case '0':
         ws.close();
         break;
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+
+const HOST_PATH = path.join(__dirname, '../../electron/server-host.js');
+
+/**
+ * Find a port nothing is listening on
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+describe('server host IPC', () => {
+  let dir;
+  let child;
+  let nextId = 1;
+
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    const onMessage = (message) => {
+      if (message.kind === 'result' && message.id === id) {
+        child.off('message', onMessage);
+        message.error ? reject(new Error(message.error.message)) : resolve(message.result);
+      }
+    };
+
+    child.on('message', onMessage);
+    child.send({ kind: 'call', id, method, args });
+  });
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-ui-mcp-host-'));
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+      api: { claude: { apiKey: 'sk-ant-secret' } },
+      security: {
+        apiKeys: {
+          abc123: { name: 'ci', salt: 'f'.repeat(32), hash: 'e'.repeat(128), roles: ['admin'] }
+        }
+      },
+      admin: { enabled: false },
+      logging: { console: false, file: false }
+    }));
+
+    const port = await freePort();
+
+    child = fork(HOST_PATH, ['--options', JSON.stringify({ port, host: '127.0.0.1', enablePlugins: false })], {
+      cwd: dir,
+      env: { ...process.env, CLAUDE_UI_MCP_CONFIG: path.join(dir, 'config.json') },
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+    });
+
+    await new Promise((resolve, reject) => {
+      child.on('message', (message) => {
+        if (message.kind === 'event' && message.event === 'started') {
+          resolve();
+        } else if (message.kind === 'crash') {
+          reject(new Error(message.error.message));
+        }
+      });
+      child.once('exit', (code) => reject(new Error(`Server host exited with code ${code}`)));
+    });
+  }, 20000);
+
+  afterAll(async () => {
+    if (child && child.connected) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      await call('shutdown');
+      await exited;
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('getConfig masks secrets in the full config', async () => {
+    const config = await call('getConfig');
+    const entry = config.security.apiKeys.abc123;
+
+    expect(config.api.claude.apiKey).toBe('********');
+    expect(entry.salt).toBe('********');
+    expect(entry.hash).toBe('********');
+    expect(entry.name).toBe('ci');
+    expect(JSON.stringify(config)).not.toContain('sk-ant-secret');
+  });
+
+  test('getConfig masks a secret asked for by key', async () => {
+    await expect(call('getConfig', 'api.claude.apiKey')).resolves.toBe('********');
+    await expect(call('getConfig', 'api.claude.modelName')).resolves.toBe('claude-3-opus-20240229');
+  });
+});
@@ -0,0 +1,46 @@
+const { EventEmitter } = require('events');
+
+// A WebSocket stand-in that records what is sent and answers pings right away
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1;
+    this.bufferedAmount = 0;
+    this.sent = [];
+  }
+
+  send(data, callback) {
+    this.sent.push(data);
+    if (callback) {
+      callback();
+    }
+  }
+
+  ping() {
+    setImmediate(() => this.emit('pong'));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  terminate() {
+    this.readyState = 3;
+  }
+
+  /**
+   * Parsed messages sent to the client
+   */
+  messages() {
+    return this.sent.map(data => JSON.parse(data));
+  }
+
+  /**
+   * Deliver a message from the client
+   */
+  receive(message) {
+    this.emit('message', typeof message === 'string' ? message : JSON.stringify(message));
+  }
+}
+
+module.exports = { FakeSocket };
@@ -0,0 +1,226 @@
+const { PassThrough } = require('stream');
+const MCPServer = require('../src/server');
+const { messageHandler } = require('../src/utils/message-handler');
+const { RateLimiter } = require('../src/utils/rate-limiter');
+const { JSONRPC_ERRORS } = require('../src/utils/jsonrpc');
+const { MESSAGE_TYPES, ERROR_CODES } = require('../src/utils/protocol');
+const { configManager } = require('../src/utils/config');
+const { FakeSocket } = require('./helpers/fake-socket');
+
+const BUILT_IN_MIDDLEWARE = [
+  'rate-limit',
+  'authentication',
+  'validation',
+  'system',
+  'mcp',
+  'in-flight',
+  'metrics',
+  'access-policy',
+  'plugins'
+];
+
+describe('MCPServer built-in middleware', () => {
+  let server;
+  let handled;
+
+  // Deliver a message and wait until the server has answered it
+  const send = (socket, connectionId, message) => new Promise((resolve) => {
+    const onMessage = (event) => {
+      if (event.connectionId === connectionId) {
+        server.off('message', onMessage);
+        resolve(event.response);
+      }
+    };
+
+    server.on('message', onMessage);
+    socket.receive(message);
+  });
+
+  const connect = (info = {}) => {
+    const socket = new FakeSocket();
+    const id = server.connectionManager.addConnection(socket, { ipAddress: '127.0.0.1', ...info });
+
+    return { socket, id };
+  };
+
+  beforeEach(() => {
+    handled = [];
+    server = new MCPServer({ enablePlugins: false });
+    server.registerBuiltIns();
+    messageHandler.registerHandler('test.echo', async (message) => {
+      handled.push(message.data);
+      return { type: 'test.echo', data: message.data };
+    });
+  });
+
+  afterEach(() => {
+    messageHandler.unregisterHandler('test.echo');
+    server.unregisterBuiltIns();
+    server.connectionManager.shutdown();
+  });
+
+  test('runs the built-ins in order at the head of the chain', () => {
+    const names = messageHandler.getMiddleware().map(item => item.name);
+
+    expect(names).toEqual(BUILT_IN_MIDDLEWARE);
+  });
+
+  test('rate limiting answers before any later middleware or the handler runs', async () => {
+    const seen = [];
+    const removeSpy = messageHandler.use(async (message, context, next) => {
+      seen.push(message.type);
+      return next();
+    }, { name: 'spy' });
+
+    server.connectionManager.rateLimiter = new RateLimiter({
+      settings: { enabled: true, global: { capacity: 1, refillPerSecond: 0.001 } }
+    });
+
+    try {
+      const { socket, id } = connect();
+
+      await send(socket, id, { type: 'test.echo', id: 'a', data: { n: 1 } });
+      const response = await send(socket, id, { type: 'test.echo', id: 'b', data: { n: 2 } });
+
+      expect(response.type).toBe(MESSAGE_TYPES.SYSTEM_RATE_LIMITED);
+      expect(response.data).toMatchObject({ code: ERROR_CODES.RATE_LIMITED, limit: 'global' });
+      expect(handled).toEqual([{ n: 1 }]);
+      expect(seen).toEqual(['test.echo']);
+    } finally {
+      removeSpy();
+    }
+  });
+
+  test('an unauthenticated message stops at authentication', async () => {
+    server.connectionManager.authRequired = true;
+
+    const { socket, id } = connect();
+    const response = await send(socket, id, { type: 'test.echo', id: 'a', data: {} });
+
+    expect(response.type).toBe(MESSAGE_TYPES.SYSTEM_ERROR);
+    expect(response.data.code).toBe(ERROR_CODES.UNAUTHORIZED);
+    expect(handled).toEqual([]);
+    expect(server.messageMetrics.has('test.echo')).toBe(false);
+  });
+
+  test('an unauthenticated JSON-RPC request gets a JSON-RPC error', async () => {
+    server.connectionManager.authRequired = true;
+
+    const { socket, id } = connect({ protocol: 'jsonrpc' });
+    const response = await send(socket, id, { jsonrpc: '2.0', id: 7, method: 'tools/list' });
+
+    expect(response).toMatchObject({
+      jsonrpc: '2.0',
+      id: 7,
+      error: { code: JSONRPC_ERRORS.UNAUTHORIZED, message: 'Authentication required' }
+    });
+  });
+
+  test('system.auth still reaches the connection manager without authentication', async () => {
+    const handleSystemMessage = jest.spyOn(server.connectionManager, 'handleSystemMessage').mockImplementation(() => {});
+
+    server.connectionManager.authRequired = true;
+
+    const { socket, id } = connect();
+    const ping = await send(socket, id, { type: 'system.ping', id: 'p', data: {} });
+    const auth = await send(socket, id, { type: 'system.auth', id: 'a', data: { apiKey: 'nope' } });
+
+    expect(ping.data.code).toBe(ERROR_CODES.UNAUTHORIZED);
+    expect(auth).toBeNull();
+    expect(handleSystemMessage).toHaveBeenCalledTimes(1);
+    expect(handleSystemMessage.mock.calls[0][1].type).toBe('system.auth');
+  });
+
+  test('an invalid payload stops at validation', async () => {
+    const { socket, id } = connect();
+    const response = await send(socket, id, { type: 'conversation.create', id: 'a', data: { title: 42 } });
+
+    expect(response.type).toBe(MESSAGE_TYPES.SYSTEM_ERROR);
+    expect(response.data.code).toBe(ERROR_CODES.INVALID_FORMAT);
+  });
+
+  test('a built-in replaced by name keeps its place and survives stop', async () => {
+    const replacement = async (message, context, next) => next();
+
+    messageHandler.use(replacement, { name: 'rate-limit' });
+    server.unregisterBuiltIns();
+
+    expect(messageHandler.getMiddleware().map(item => item.name)).toEqual(['rate-limit']);
+    messageHandler.removeMiddleware(replacement);
+  });
+
+  test('stopping leaves nothing behind for the next server', () => {
+    const unhandledListeners = messageHandler.listenerCount('unhandled');
+
+    server.unregisterBuiltIns();
+
+    expect(messageHandler.getMiddleware()).toEqual([]);
+    expect(messageHandler.listenerCount('unhandled')).toBe(unhandledListeners - 1);
+
+    const other = new MCPServer({ enablePlugins: false });
+
+    other.registerBuiltIns();
+    other.registerBuiltIns();
+
+    expect(messageHandler.getMiddleware().map(item => item.name)).toEqual(BUILT_IN_MIDDLEWARE);
+    expect(messageHandler.listenerCount('unhandled')).toBe(unhandledListeners);
+
+    other.unregisterBuiltIns();
+    other.connectionManager.shutdown();
+  });
+});
+
+describe('MCPServer on stdio', () => {
+  let server;
+  let input;
+  let output;
+
+  // Write a JSON-RPC request and wait for the line answering it
+  const call = (request) => new Promise((resolve) => {
+    let buffered = '';
+    const onData = (chunk) => {
+      buffered += chunk.toString();
+
+      for (const line of buffered.split('\n').filter(Boolean)) {
+        const message = JSON.parse(line);
+
+        if (message.id === request.id) {
+          output.off('data', onData);
+          resolve(message);
+        }
+      }
+    };
+
+    output.on('data', onData);
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', ...request })}\n`);
+  });
+
+  beforeEach(() => {
+    configManager.set('admin.enabled', false);
+    input = new PassThrough();
+    output = new PassThrough();
+    server = new MCPServer({ enablePlugins: false });
+  });
+
+  afterEach(async () => {
+    if (server.isRunning) {
+      await server.stop();
+    }
+
+    server.connectionManager.shutdown();
+    configManager.set('admin.enabled', true);
+  });
+
+  test('trusts the host without authentication when auth is required', async () => {
+    server.connectionManager.authRequired = true;
+    await server.startStdio({ input, output });
+
+    await call({ id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } } });
+    const response = await call({ id: 2, method: 'tools/list' });
+    const [connection] = server.connectionManager.getConnections();
+
+    expect(response.error).toBeUndefined();
+    expect(response.result.tools).toEqual(expect.any(Array));
+    expect(server.connectionManager.getRoles(connection.id)).toEqual(['client']);
+  });
+});
@@ -0,0 +1,36 @@
+const { parseArgs } = require('../../server/index');
+
+describe('parseArgs', () => {
+  test('parses serve options', () => {
+    expect(parseArgs(['--host', '0.0.0.0', '--port', '8443', '--tls', '--no-plugins'])).toMatchObject({
+      command: 'serve',
+      host: '0.0.0.0',
+      port: 8443,
+      tls: { enabled: true },
+      enablePlugins: false
+    });
+  });
+
+  test('parses admin commands and their arguments', () => {
+    expect(parseArgs(['plugins', 'enable', 'demo', '--json'])).toMatchObject({
+      command: 'plugins',
+      args: ['enable', 'demo'],
+      json: true
+    });
+  });
+
+  test.each([
+    [['--port', 'abc'], 'Invalid port: abc'],
+    [['--port', '65536'], 'Invalid port: 65536'],
+    [['--port', '-1'], 'Invalid port: -1'],
+    [['--port', '80.5'], 'Invalid port: 80.5'],
+    [['--port'], 'Invalid port: (missing)']
+  ])('rejects %j', (argv, message) => {
+    expect(() => parseArgs(argv)).toThrow(message);
+  });
+
+  test('rejects unknown arguments and commands', () => {
+    expect(() => parseArgs(['--nope'])).toThrow('Unknown argument: --nope');
+    expect(() => parseArgs(['restart'])).toThrow('Unknown command: restart');
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Jest setup: point the config singleton at a throwaway file so tests never
+ * touch ~/.claude-ui-mcp, and keep the logger quiet
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-ui-mcp-test-'));
+process.env.CLAUDE_UI_MCP_CONFIG = path.join(configDir, 'config.json');
+
+const { logger } = require('../src/utils/logger');
+
+logger.logToConsole = false;
+logger.logToFile = false;
+
+afterAll(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
@@ -0,0 +1,118 @@
+const { AccessControl, createBlockList, validateIpEntry } = require('../../src/utils/access-control');
+const { configManager } = require('../../src/utils/config');
+
+describe('validateIpEntry', () => {
+  test.each([
+    '10.0.0.1',
+    '10.0.0.0/8',
+    '10.0.0.0/0',
+    '10.0.0.0/32',
+    '::1',
+    'fd00::/8',
+    'fd00::/128'
+  ])('accepts %s', (entry) => {
+    expect(validateIpEntry(entry)).toBeNull();
+  });
+
+  test.each([
+    '10.0.0.0/33',
+    'fd00::/129',
+    '10.0.0.0/-1',
+    '10.0.0.0/8x',
+    '10.0.0.0/',
+    '10.0.0.0/8/8',
+    '10.0.0',
+    'localhost',
+    42,
+    null
+  ])('rejects %s', (entry) => {
+    expect(validateIpEntry(entry)).toEqual(expect.any(String));
+  });
+});
+
+describe('createBlockList', () => {
+  test('matches addresses and ranges of both families', () => {
+    const list = createBlockList(['192.168.1.5', '10.0.0.0/8', 'fd00::/8']);
+
+    expect(list.check('192.168.1.5', 'ipv4')).toBe(true);
+    expect(list.check('192.168.1.6', 'ipv4')).toBe(false);
+    expect(list.check('10.200.3.4', 'ipv4')).toBe(true);
+    expect(list.check('11.0.0.1', 'ipv4')).toBe(false);
+    expect(list.check('fd12::1', 'ipv6')).toBe(true);
+    expect(list.check('fe80::1', 'ipv6')).toBe(false);
+  });
+
+  test('skips invalid entries instead of throwing', () => {
+    const list = createBlockList(['10.0.0.0/33', 'nonsense', '127.0.0.1']);
+
+    expect(list.check('10.0.0.1', 'ipv4')).toBe(false);
+    expect(list.check('127.0.0.1', 'ipv4')).toBe(true);
+  });
+});
+
+describe('AccessControl', () => {
+  let accessControl;
+
+  beforeEach(() => {
+    accessControl = new AccessControl();
+    configManager.set('security.ipAllowList', []);
+    configManager.set('security.ipDenyList', []);
+    configManager.set('security.allowedOrigins', ['*']);
+  });
+
+  test('denies addresses on the deny list, including IPv4-mapped ones', () => {
+    configManager.set('security.ipDenyList', ['10.0.0.0/8']);
+
+    expect(accessControl.verify({ ipAddress: '10.1.2.3' }).allowed).toBe(false);
+    expect(accessControl.verify({ ipAddress: '::ffff:10.1.2.3' }).allowed).toBe(false);
+    expect(accessControl.verify({ ipAddress: '127.0.0.1' }).allowed).toBe(true);
+  });
+
+  test('only allows addresses on a non-empty allow list', () => {
+    configManager.set('security.ipAllowList', ['127.0.0.1']);
+
+    expect(accessControl.verify({ ipAddress: '127.0.0.1' }).allowed).toBe(true);
+    expect(accessControl.verify({ ipAddress: '10.0.0.1' }).reason).toBe('Address is not allowed');
+  });
+
+  test('survives an out-of-range prefix in config', () => {
+    configManager.set('security.ipDenyList', ['10.0.0.0/33']);
+
+    expect(accessControl.verify({ ipAddress: '10.0.0.1' }).allowed).toBe(true);
+  });
+
+  test('rebuilds a list only when the setting changes', () => {
+    configManager.set('security.ipDenyList', ['10.0.0.0/8']);
+
+    const first = accessControl.getBlockList('security.ipDenyList');
+
+    expect(accessControl.getBlockList('security.ipDenyList')).toBe(first);
+
+    configManager.set('security.ipDenyList', ['11.0.0.0/8']);
+
+    expect(accessControl.getBlockList('security.ipDenyList')).not.toBe(first);
+    expect(accessControl.verify({ ipAddress: '10.0.0.1' }).allowed).toBe(true);
+    expect(accessControl.verify({ ipAddress: '11.0.0.1' }).allowed).toBe(false);
+  });
+
+  test('checks origins against wildcard patterns', () => {
+    configManager.set('security.allowedOrigins', ['https://*.example.com']);
+
+    expect(accessControl.verify({ ipAddress: '127.0.0.1', origin: 'https://app.example.com' }).allowed).toBe(true);
+    expect(accessControl.verify({ ipAddress: '127.0.0.1', origin: 'https://example.org' }).allowed).toBe(false);
+    expect(accessControl.verify({ ipAddress: '127.0.0.1' }).allowed).toBe(true);
+  });
+
+  test('bans expire', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    accessControl.ban('10.0.0.1', 1000);
+    expect(accessControl.verify({ ipAddress: '10.0.0.1' }).reason).toBe('Address is banned');
+
+    Date.now.mockImplementation(() => now + 1000);
+    expect(accessControl.verify({ ipAddress: '10.0.0.1' }).allowed).toBe(true);
+
+    jest.restoreAllMocks();
+  });
+});
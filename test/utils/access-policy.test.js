@@ -0,0 +1,82 @@
+const { AccessPolicy, ROLES } = require('../../src/utils/access-policy');
+
+describe('AccessPolicy', () => {
+  let policy;
+
+  beforeEach(() => {
+    policy = new AccessPolicy({ policy: {} });
+  });
+
+  describe('getRequiredRole', () => {
+    test.each([
+      ['status', ROLES.READ_ONLY],
+      ['plugins.list', ROLES.READ_ONLY],
+      ['plugins.enable', ROLES.ADMIN],
+      ['claude.query', ROLES.CLIENT],
+      ['conversation.get', ROLES.READ_ONLY],
+      ['conversation.delete', ROLES.CLIENT],
+      ['tools/list', ROLES.READ_ONLY],
+      ['tools/call', ROLES.CLIENT],
+      ['notifications/initialized', ROLES.READ_ONLY],
+      ['myplugin.action', ROLES.CLIENT]
+    ])('%s requires %s', (type, role) => {
+      expect(policy.getRequiredRole(type)).toBe(role);
+    });
+
+    test('prefers the most specific rule', () => {
+      policy.setRule('claude', ROLES.ADMIN);
+      policy.setRule('claude.stream', ROLES.READ_ONLY);
+
+      expect(policy.getRequiredRole('claude.query')).toBe(ROLES.ADMIN);
+      expect(policy.getRequiredRole('claude.stream')).toBe(ROLES.READ_ONLY);
+      expect(policy.getRequiredRole('claude.stream.extra')).toBe(ROLES.READ_ONLY);
+    });
+
+    test('requires admin when there is no catch-all rule', () => {
+      policy.removeRule('*');
+
+      expect(policy.getRequiredRole('myplugin.action')).toBe(ROLES.ADMIN);
+    });
+
+    test('applies overrides from options.policy', () => {
+      const custom = new AccessPolicy({ policy: { proxy: ROLES.ADMIN } });
+
+      expect(custom.getRequiredRole('proxy.request')).toBe(ROLES.ADMIN);
+    });
+  });
+
+  describe('hasRole', () => {
+    test('higher roles include lower ones', () => {
+      expect(policy.hasRole([ROLES.ADMIN], ROLES.READ_ONLY)).toBe(true);
+      expect(policy.hasRole([ROLES.CLIENT], ROLES.CLIENT)).toBe(true);
+      expect(policy.hasRole([ROLES.CLIENT], ROLES.ADMIN)).toBe(false);
+      expect(policy.hasRole([ROLES.READ_ONLY], ROLES.CLIENT)).toBe(false);
+    });
+
+    test('any of several roles is enough', () => {
+      expect(policy.hasRole([ROLES.READ_ONLY, ROLES.ADMIN], ROLES.ADMIN)).toBe(true);
+    });
+
+    test('unknown or missing roles grant nothing', () => {
+      expect(policy.hasRole(['root'], ROLES.READ_ONLY)).toBe(false);
+      expect(policy.hasRole([], ROLES.READ_ONLY)).toBe(false);
+      expect(policy.hasRole(null, ROLES.READ_ONLY)).toBe(false);
+    });
+
+    test('an unknown required role is treated as admin', () => {
+      expect(policy.hasRole([ROLES.CLIENT], 'superuser')).toBe(false);
+      expect(policy.hasRole([ROLES.ADMIN], 'superuser')).toBe(true);
+    });
+  });
+
+  test('isAllowed combines the rule and the roles', () => {
+    expect(policy.isAllowed([ROLES.READ_ONLY], 'status')).toBe(true);
+    expect(policy.isAllowed([ROLES.READ_ONLY], 'claude.query')).toBe(false);
+    expect(policy.isAllowed([ROLES.CLIENT], 'bans.list')).toBe(false);
+    expect(policy.isAllowed([ROLES.ADMIN], 'bans.list')).toBe(true);
+  });
+
+  test('setRule rejects unknown roles', () => {
+    expect(() => policy.setRule('proxy', 'root')).toThrow('Unknown role: root');
+  });
+});
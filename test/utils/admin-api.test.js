@@ -0,0 +1,156 @@
+const http = require('http');
+const net = require('net');
+const MCPServer = require('../../src/server');
+const { authManager } = require('../../src/utils/auth-manager');
+const { configManager } = require('../../src/utils/config');
+
+/**
+ * Find a port nothing is listening on
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+describe('AdminApi', () => {
+  let server;
+  let port;
+  let adminKey;
+  let clientKey;
+
+  // Make a request and collect the parsed JSON response
+  const request = (method, path, { credential, body, raw } = {}) => new Promise((resolve, reject) => {
+    const headers = credential ? { Authorization: `Bearer ${credential}` } : {};
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null')
+      }));
+    });
+
+    req.once('error', reject);
+    req.end(raw !== undefined ? raw : body !== undefined ? JSON.stringify(body) : undefined);
+  });
+
+  beforeAll(async () => {
+    const provider = authManager.getProvider('local');
+
+    configManager.set('admin.enabled', false);
+    adminKey = await provider.createApiKey('admin', { roles: ['admin'] });
+    clientKey = await provider.createApiKey('client', { roles: ['client'] });
+
+    // The server announces start and stop on stdout
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    port = await freePort();
+    server = new MCPServer({ port, host: '127.0.0.1', enablePlugins: false });
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    server.connectionManager.shutdown();
+
+    const provider = authManager.getProvider('local');
+
+    provider.deleteApiKey(adminKey.id);
+    provider.deleteApiKey(clientKey.id);
+    configManager.set('admin.enabled', true);
+    jest.restoreAllMocks();
+  });
+
+  afterEach(() => {
+    authManager.failedAttempts.clear();
+  });
+
+  test('answers an admin with JSON', async () => {
+    const response = await request('GET', '/api/v1/status', { credential: adminKey.apiKey });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/json');
+    expect(response.body).toMatchObject({ running: true });
+  });
+
+  test('serves unversioned paths as the current version', async () => {
+    const response = await request('GET', '/api/plugins', { credential: adminKey.apiKey });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([]);
+  });
+
+  test('accepts a session token in place of the key', async () => {
+    const { token } = await authManager.authenticate({ apiKey: adminKey.apiKey });
+    const response = await request('GET', '/api/v1/connections', { credential: token });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('rejects a request without a bearer token', async () => {
+    const response = await request('GET', '/api/v1/status');
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    expect(response.body).toEqual({ error: { status: 401, message: 'Missing bearer token' } });
+  });
+
+  test('rejects an unknown key', async () => {
+    const response = await request('GET', '/api/v1/status', { credential: 'cuim_000000000000_nope' });
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toContain('invalid_token');
+  });
+
+  test('rejects a key without the admin role', async () => {
+    const response = await request('GET', '/api/v1/status', { credential: clientKey.apiKey });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.message).toBe('Admin role required');
+  });
+
+  test('answers unknown routes and methods with 404 and 405', async () => {
+    const missing = await request('GET', '/api/v1/nope', { credential: adminKey.apiKey });
+    const wrongMethod = await request('PUT', '/api/v1/config', { credential: adminKey.apiKey });
+
+    expect(missing.status).toBe(404);
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.allow).toBe('GET, PATCH');
+  });
+
+  test('rejects invalid bodies and settings with 400', async () => {
+    const notJson = await request('PATCH', '/api/v1/config', { credential: adminKey.apiKey, raw: '{' });
+    const notObject = await request('PATCH', '/api/v1/config', { credential: adminKey.apiKey, body: [1] });
+    const invalid = await request('PATCH', '/api/v1/config', { credential: adminKey.apiKey, body: { server: { port: 'x' } } });
+
+    expect(notJson.body.error).toEqual({ status: 400, message: 'Invalid JSON body' });
+    expect(notObject.status).toBe(400);
+    expect(invalid.status).toBe(400);
+    expect(configManager.get('server.port')).not.toBe('x');
+  });
+
+  test('answers 404 for a plugin that is not loaded', async () => {
+    const response = await request('POST', '/api/v1/plugins/missing/enable', { credential: adminKey.apiKey });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.message).toBe('Plugin not loaded: missing');
+  });
+
+  test('answers 500 with the error for a plugin that failed to enable', async () => {
+    jest.spyOn(server, 'enablePlugin').mockReturnValue(false);
+    jest.spyOn(server, 'getPlugin').mockReturnValue({ name: 'broken', enabled: false, error: 'initialize failed' });
+
+    const response = await request('POST', '/api/v1/plugins/broken/enable', { credential: adminKey.apiKey });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error.message).toBe('Failed to enable plugin broken: initialize failed');
+  });
+});
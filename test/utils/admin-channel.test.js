@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AdminChannel, AdminClient } = require('../../src/utils/admin-channel');
+const { JSONRPC_ERRORS } = require('../../src/utils/jsonrpc');
+const { ERROR_CODES } = require('../../src/utils/protocol');
+const { logger } = require('../../src/utils/logger');
+
+// The parts of MCPServer the admin channel calls
+const createServer = () => ({
+  getStatus: () => ({ running: true, connections: 0 }),
+  disconnectClient: id => id === 'c1',
+  enablePlugin: name => name === 'demo',
+  disablePlugin: name => name === 'demo',
+  getPlugin: name => (name === 'broken' ? { name, enabled: false, error: 'initialize failed' } : null),
+  getConfig: key => (key ? 'value' : { server: {} }),
+  setConfig: (key, value) => {
+    if (typeof value !== 'number') {
+      const error = new Error(`${key} must be a number`);
+      error.code = ERROR_CODES.INVALID_FORMAT;
+      throw error;
+    }
+    return value;
+  },
+  getLogs: async () => []
+});
+
+describe('AdminChannel', () => {
+  let dir;
+  let socketPath;
+  let channel;
+  let client;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-ui-mcp-admin-'));
+    socketPath = path.join(dir, 'run', 'admin.sock');
+    channel = new AdminChannel({ server: createServer(), socketPath });
+    await channel.start();
+
+    client = new AdminClient({ socketPath, timeout: 2000 });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.close();
+    await channel.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('answers a command over the socket', async () => {
+    await expect(client.call('status')).resolves.toEqual({ running: true, connections: 0 });
+    await expect(client.call('connections.kick', { id: 'c1' })).resolves.toEqual({ id: 'c1', disconnected: true });
+  });
+
+  test('creates the socket owner-only inside an owner-only directory', () => {
+    expect(fs.statSync(path.dirname(socketPath)).mode & 0o777).toBe(0o700);
+    expect(fs.statSync(socketPath).mode & 0o777).toBe(0o600);
+  });
+
+  test('refuses to start on a socket another server is using', async () => {
+    const second = new AdminChannel({ server: createServer(), socketPath });
+
+    await expect(second.start()).rejects.toThrow('is in use by another server');
+  });
+
+  test('maps failures to JSON-RPC errors', async () => {
+    const codeOf = (method, params) => client.call(method, params).catch(error => error.code);
+
+    await expect(codeOf('nope')).resolves.toBe(JSONRPC_ERRORS.METHOD_NOT_FOUND);
+    await expect(codeOf('connections.kick', {})).resolves.toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+    await expect(codeOf('connections.kick', { id: 'missing' })).resolves.toBe(JSONRPC_ERRORS.RESOURCE_NOT_FOUND);
+    await expect(codeOf('config.set', { key: 'server.port', value: 'x' })).resolves.toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+  });
+
+  test('reports a plugin that is not loaded as not found', async () => {
+    await expect(client.call('plugins.enable', { name: 'missing' })).rejects.toMatchObject({
+      code: JSONRPC_ERRORS.RESOURCE_NOT_FOUND,
+      message: 'Plugin not loaded: missing'
+    });
+  });
+
+  test('reports a plugin that failed to enable with its error', async () => {
+    await expect(client.call('plugins.enable', { name: 'broken' })).rejects.toMatchObject({
+      code: JSONRPC_ERRORS.INTERNAL_ERROR,
+      message: 'Failed to enable plugin broken: initialize failed'
+    });
+  });
+
+  test('streams log entries to a client that follows them', async () => {
+    const notification = new Promise(resolve => client.once('notification', resolve));
+
+    await client.call('logs.tail', { follow: true });
+    logger.emit('entry', { level: 'INFO', message: 'hello' });
+
+    await expect(notification).resolves.toMatchObject({
+      method: 'logs.entry',
+      params: { level: 'INFO', message: 'hello' }
+    });
+  });
+
+  test('rejects pending and later calls once the server goes away', async () => {
+    const closed = new Promise(resolve => client.once('close', resolve));
+
+    await channel.stop();
+    await closed;
+
+    await expect(client.call('status')).rejects.toThrow('Not connected');
+  });
+});
+
+describe('AdminClient', () => {
+  test('rejects calls before connecting', async () => {
+    await expect(new AdminClient({ socketPath: '/nonexistent/admin.sock' }).call('status')).rejects.toThrow('Not connected');
+  });
+
+  test('reports when no server is running', async () => {
+    const client = new AdminClient({ socketPath: path.join(os.tmpdir(), `claude-ui-mcp-missing-${process.pid}.sock`) });
+
+    await expect(client.connect()).rejects.toThrow('No server is running');
+  });
+});
@@ -0,0 +1,98 @@
+const https = require('https');
+const { EventEmitter } = require('events');
+const { AnthropicAPI } = require('../../src/utils/anthropic');
+
+/**
+ * Stub https.request with a response that emits the given SSE chunks and
+ * then ends (or is cut off)
+ */
+function mockStream(chunks, { close = false } = {}) {
+  jest.spyOn(https, 'request').mockImplementation((url, options, onResponse) => {
+    const req = new EventEmitter();
+    req.write = () => {};
+    req.destroy = () => {};
+    req.end = () => {
+      const res = new EventEmitter();
+      res.statusCode = 200;
+      onResponse(res);
+
+      setImmediate(() => {
+        chunks.forEach(chunk => res.emit('data', Buffer.from(chunk)));
+
+        if (!close) {
+          res.emit('end');
+        }
+
+        res.emit('close');
+      });
+    };
+
+    return req;
+  });
+}
+
+/**
+ * Run streamResponse and resolve with the outcome
+ */
+function stream(api) {
+  return new Promise((resolve) => {
+    api.streamResponse([{ role: 'user', content: 'hi' }], {
+      onDone: result => resolve({ done: result }),
+      onError: error => resolve({ error })
+    });
+  });
+}
+
+const event = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+
+const MESSAGE_EVENTS = [
+  event('message_start', { message: { id: 'msg_1', usage: { input_tokens: 3 } } }),
+  event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+  event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Hello' } }),
+  event('content_block_stop', { index: 0 }),
+  event('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 1 } })
+];
+
+describe('AnthropicAPI.streamResponse', () => {
+  const api = new AnthropicAPI({ apiKey: 'test-key' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('completes on message_stop', async () => {
+    mockStream([...MESSAGE_EVENTS, event('message_stop', {})]);
+
+    const { done, error } = await stream(api);
+
+    expect(error).toBeUndefined();
+    expect(done.stopReason).toBe('end_turn');
+    expect(done.message.content).toEqual([{ type: 'text', text: 'Hello' }]);
+    expect(done.usage).toEqual({ input_tokens: 3, output_tokens: 1 });
+  });
+
+  test('fails when the stream ends before message_stop', async () => {
+    mockStream(MESSAGE_EVENTS);
+
+    const { done, error } = await stream(api);
+
+    expect(done).toBeUndefined();
+    expect(error).toMatchObject({ statusCode: 502, message: 'Stream ended before message_stop' });
+  });
+
+  test('fails when the connection is cut off mid-stream', async () => {
+    mockStream(MESSAGE_EVENTS.slice(0, 3), { close: true });
+
+    const { error } = await stream(api);
+
+    expect(error.message).toBe('Stream ended before message_stop');
+  });
+
+  test('ignores a message_stop that is never terminated', async () => {
+    mockStream([...MESSAGE_EVENTS, 'event: message_stop\ndata: {"type":"message_stop"}\n']);
+
+    const { error } = await stream(api);
+
+    expect(error.message).toBe('Stream ended before message_stop');
+  });
+});
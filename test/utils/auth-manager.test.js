@@ -0,0 +1,237 @@
+const { AuthManager } = require('../../src/utils/auth-manager');
+const { ConfigManager, configManager } = require('../../src/utils/config');
+const { LocalAuthProvider } = require('../../src/utils/local-auth-provider');
+const { ERROR_CODES } = require('../../src/utils/protocol');
+
+// Accepts the password "secret" for any username
+const testProvider = {
+  name: 'test',
+  authenticate: async (credentials) => (credentials.password === 'secret'
+    ? { id: credentials.username, roles: credentials.roles }
+    : null)
+};
+
+describe('AuthManager', () => {
+  let authManager;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    configManager.set('security.authProvider', 'test');
+    configManager.set('security.tokenExpiration', 60000);
+    configManager.set('security.maxFailedAttempts', 3);
+    configManager.set('security.failedAttemptWindow', 10000);
+    configManager.set('security.lockoutDuration', 30000);
+
+    authManager = new AuthManager();
+    authManager.registerProvider(testProvider);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const login = (username = 'alice', context = {}) =>
+    authManager.authenticate({ username, password: 'secret' }, context);
+
+  describe('sessions', () => {
+    test('issues a token that expires after security.tokenExpiration', async () => {
+      const session = await login();
+
+      expect(session.identity).toEqual({ id: 'alice', name: 'alice', roles: ['client'] });
+      expect(session.expiresAt).toBe(now + 60000);
+
+      now += 59999;
+      expect(authManager.getSession(session.token)).toBe(session);
+
+      now += 1;
+      expect(authManager.getSession(session.token)).toBeNull();
+      await expect(authManager.authenticate({ token: session.token })).rejects.toThrow('Invalid or expired token');
+    });
+
+    test('authenticates with a live token without issuing a new one', async () => {
+      const session = await login();
+
+      await expect(authManager.authenticate({ token: session.token })).resolves.toBe(session);
+      expect(authManager.getSessions()).toHaveLength(1);
+    });
+
+    test('refresh issues a new token and revokes the old one', async () => {
+      const session = await login();
+
+      now += 30000;
+      const refreshed = authManager.refreshSession(session.token);
+
+      expect(refreshed.token).not.toBe(session.token);
+      expect(refreshed.expiresAt).toBe(now + 60000);
+      expect(authManager.getSession(session.token)).toBeNull();
+      expect(() => authManager.refreshSession(session.token)).toThrow('Invalid or expired token');
+    });
+
+    test('does not refresh an expired token', async () => {
+      const session = await login();
+
+      now += 60000;
+      expect(() => authManager.refreshSession(session.token)).toThrow('Invalid or expired token');
+    });
+
+    test('revokes single tokens and all tokens of an identity', async () => {
+      const first = await login('alice');
+      const second = await login('alice');
+      const other = await login('bob');
+
+      expect(authManager.revokeSession(first.token)).toBe(true);
+      expect(authManager.revokeSession(first.token)).toBe(false);
+      expect(authManager.getSession(first.token)).toBeNull();
+
+      expect(authManager.revokeSessionsForIdentity('alice')).toBe(1);
+      expect(authManager.getSession(second.token)).toBeNull();
+      expect(authManager.getSession(other.token)).not.toBeNull();
+    });
+
+    test('verify checks credentials without issuing a session', async () => {
+      const { identity, session } = await authManager.verify({ username: 'alice', password: 'secret' });
+
+      expect(identity.roles).toEqual(['client']);
+      expect(session).toBeNull();
+      expect(authManager.getSessions()).toHaveLength(0);
+    });
+
+    test('drops unknown roles from identities', async () => {
+      const session = await authManager.authenticate({ username: 'alice', password: 'secret', roles: ['admin', 'root'] });
+
+      expect(session.identity.roles).toEqual(['admin']);
+    });
+  });
+
+  describe('lockout', () => {
+    const fail = (context = { ipAddress: '10.0.0.1' }) =>
+      authManager.authenticate({ username: 'alice', password: 'wrong' }, context);
+
+    test('locks a client out after security.maxFailedAttempts failures', async () => {
+      const context = { ipAddress: '10.0.0.1' };
+
+      await expect(fail()).rejects.toThrow('Invalid credentials');
+      await expect(fail()).rejects.toThrow('Invalid credentials');
+      await expect(fail()).rejects.toThrow('Invalid credentials');
+
+      const error = await login('alice', context).catch(caught => caught);
+
+      expect(error.message).toBe('Too many failed authentication attempts');
+      expect(error.code).toBe(ERROR_CODES.UNAUTHORIZED);
+      expect(error.details.retryAfter).toBe(30000);
+
+      // Other clients are unaffected
+      await expect(login('alice', { ipAddress: '10.0.0.2' })).resolves.toBeTruthy();
+    });
+
+    test('lifts the lockout after security.lockoutDuration', async () => {
+      for (let i = 0; i < 3; i++) {
+        await fail().catch(() => {});
+      }
+
+      now += 29999;
+      await expect(login('alice', { ipAddress: '10.0.0.1' })).rejects.toThrow('Too many failed');
+
+      now += 1;
+      await expect(login('alice', { ipAddress: '10.0.0.1' })).resolves.toBeTruthy();
+    });
+
+    test('forgets failures outside security.failedAttemptWindow', async () => {
+      await fail().catch(() => {});
+      await fail().catch(() => {});
+
+      now += 10001;
+      await fail().catch(() => {});
+
+      await expect(login('alice', { ipAddress: '10.0.0.1' })).resolves.toBeTruthy();
+    });
+
+    test('a success resets the failure count', async () => {
+      await fail().catch(() => {});
+      await fail().catch(() => {});
+      await login('alice', { ipAddress: '10.0.0.1' });
+      await fail().catch(() => {});
+      await fail().catch(() => {});
+
+      await expect(login('alice', { ipAddress: '10.0.0.1' })).resolves.toBeTruthy();
+    });
+
+    test('counts bad tokens as failures', async () => {
+      const context = { ipAddress: '10.0.0.1' };
+
+      for (let i = 0; i < 3; i++) {
+        await authManager.authenticate({ token: 'bogus' }, context).catch(() => {});
+      }
+
+      await expect(login('alice', context)).rejects.toThrow('Too many failed');
+    });
+  });
+
+  describe('providers', () => {
+    test('fails with a server error when the configured provider is missing', async () => {
+      configManager.set('security.authProvider', 'missing');
+
+      const error = await login().catch(caught => caught);
+
+      expect(error.code).toBe(ERROR_CODES.SERVER_ERROR);
+    });
+
+    test('unregisters the providers of a source', async () => {
+      authManager.registerProvider({ ...testProvider, name: 'plugin-auth' }, 'plugin:demo');
+
+      expect(authManager.unregisterProvidersBySource('plugin:demo')).toBe(1);
+      expect(authManager.getProvider('plugin-auth')).toBeNull();
+    });
+
+    test('revokes the sessions of an unregistered provider', async () => {
+      const session = await login();
+
+      authManager.unregisterProvider('test');
+
+      expect(authManager.getSession(session.token)).toBeNull();
+    });
+  });
+
+  describe('API keys', () => {
+    let provider;
+    let key;
+    let session;
+
+    beforeEach(async () => {
+      configManager.set('security.authProvider', 'local');
+      provider = authManager.getProvider('local');
+      key = await provider.createApiKey('ci');
+      session = await authManager.authenticate({ apiKey: key.apiKey });
+    });
+
+    test('deleting a key revokes its session tokens', async () => {
+      provider.deleteApiKey(key.id);
+
+      expect(authManager.getSession(session.token)).toBeNull();
+      await expect(authManager.authenticate({ token: session.token })).rejects.toThrow('Invalid or expired token');
+    });
+
+    test('rejects tokens of a key deleted by another process', async () => {
+      const cli = new LocalAuthProvider({ config: new ConfigManager({ configPath: configManager.configPath }) });
+      const deleted = new Promise(resolve => provider.once('apiKeyDeleted', resolve));
+
+      provider.watchInterval = 20;
+      authManager.watch();
+
+      try {
+        // Keep the new mtime distinct from the one already seen
+        await new Promise(resolve => setTimeout(resolve, 20));
+        cli.deleteApiKey(key.id);
+        await deleted;
+      } finally {
+        authManager.unwatch();
+      }
+
+      expect(authManager.getSession(session.token)).toBeNull();
+      await expect(authManager.authenticate({ token: session.token })).rejects.toThrow('Invalid or expired token');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const { ChannelManager, matchTopic, isValidPattern } = require('../../src/utils/channel-manager');
+const { ERROR_CODES } = require('../../src/utils/protocol');
+const { configManager } = require('../../src/utils/config');
+
+describe('matchTopic', () => {
+  test.each([
+    ['ui.window.focus', 'ui.window.focus', true],
+    ['ui.window.focus', 'ui.window.blur', false],
+    ['ui.*.focus', 'ui.window.focus', true],
+    ['ui.*', 'ui.window.focus', false],
+    ['ui.**', 'ui', true],
+    ['ui.**', 'ui.window.focus', true],
+    ['**', 'ui.window.focus', true],
+    ['ui.**.focus', 'ui.focus', true],
+    ['ui.**.focus', 'ui.a.b.c.focus', true],
+    ['ui.**.focus', 'ui.a.b.c.blur', false],
+    ['**.focus.**', 'focus', true],
+    ['*.**', 'ui', true],
+    ['*.*', 'ui', false],
+    ['ui', 'ui.window', false]
+  ])('%s against %s is %s', (pattern, topic, expected) => {
+    expect(matchTopic(pattern, topic)).toBe(expected);
+  });
+
+  test('stays fast for patterns with many "**" segments', () => {
+    const pattern = [...new Array(30).fill('**'), 'nomatch'].join('.');
+    const topic = new Array(40).fill('x').join('.');
+    const start = Date.now();
+
+    expect(matchTopic(pattern, topic)).toBe(false);
+    expect(Date.now() - start).toBeLessThan(100);
+  });
+});
+
+describe('isValidPattern', () => {
+  test.each([
+    ['ui.window.focus', true],
+    ['ui.*.focus', true],
+    ['ui.**', true],
+    ['**.*.**', true],
+    ['ui.**.**', false],
+    ['ui..focus', false],
+    ['ui.***', false],
+    ['', false],
+    [undefined, false]
+  ])('%s is %s', (pattern, expected) => {
+    expect(isValidPattern(pattern)).toBe(expected);
+  });
+
+  test('caps the number of segments', () => {
+    expect(isValidPattern(new Array(32).fill('a').join('.'))).toBe(true);
+    expect(isValidPattern(new Array(33).fill('a').join('.'))).toBe(false);
+  });
+});
+
+describe('ChannelManager', () => {
+  const createManager = (roles = ['client']) => {
+    const sent = [];
+    const channels = new ChannelManager({
+      send: (connectionId, type, data) => sent.push({ connectionId, type, data }),
+      getRoles: () => roles
+    });
+
+    return { channels, sent };
+  };
+
+  test('rejects invalid subscription patterns', () => {
+    const { channels } = createManager();
+
+    expect(() => channels.subscribe('c1', 'a.**.**.b'))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_FORMAT }));
+
+    expect(channels.getSubscriptions('c1')).toEqual([]);
+  });
+
+  test('rejects topics with too many segments', () => {
+    const { channels } = createManager();
+
+    expect(() => channels.publish({ source: 'test' }, new Array(33).fill('a').join('.'), {}))
+      .toThrow('Invalid topic');
+  });
+
+  test('delivers to matching subscriptions once', () => {
+    const { channels, sent } = createManager();
+
+    channels.subscribe('c1', 'ui.**');
+    channels.subscribe('c1', 'ui.*.focus');
+    channels.subscribe('c2', 'other.*');
+
+    const result = channels.publish({ source: 'test' }, 'ui.window.focus', { x: 1 });
+
+    expect(result.delivered).toBe(1);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].connectionId).toBe('c1');
+  });
+
+  describe('listing channels', () => {
+    const topics = (channels, connectionId) => channels.getChannels(connectionId).map(channel => channel.topic);
+
+    test('shows a client only its own subscriptions', () => {
+      const { channels } = createManager();
+
+      channels.subscribe('c1', 'ui.**');
+      channels.subscribe('c2', 'secret.project.*');
+
+      expect(topics(channels, 'c1')).toEqual(['ui.**']);
+      expect(topics(channels, 'c2')).toEqual(['secret.project.*']);
+    });
+
+    test('shows admins every client\'s subscriptions', () => {
+      const { channels } = createManager(['admin']);
+
+      channels.subscribe('c1', 'ui.**');
+      channels.subscribe('c2', 'secret.project.*');
+
+      expect(topics(channels, 'c1')).toEqual(['ui.**', 'secret.project.*']);
+      expect(topics(channels)).toEqual(['ui.**', 'secret.project.*']);
+    });
+
+    test('hides retained topics the client may not subscribe to', () => {
+      const { channels } = createManager();
+
+      channels.setPermissions('admin.**', { subscribe: 'admin' });
+      channels.publish({ source: 'test' }, 'admin.audit', {}, { retain: true });
+      channels.publish({ source: 'test' }, 'ui.theme', {}, { retain: true });
+
+      expect(topics(channels, 'c1')).toEqual(['ui.theme']);
+    });
+  });
+
+  describe('retained messages', () => {
+    beforeEach(() => {
+      configManager.set('channels.maxRetainedTotal', 1000);
+      configManager.set('channels.maxRetainedBytes', 1048576);
+    });
+
+    const retainedTopics = channels => channels.getChannels()
+      .filter(channel => channel.retained > 0)
+      .map(channel => `${channel.topic}:${channel.retained}`);
+
+    test('drops the oldest messages across topics over channels.maxRetainedTotal', () => {
+      const { channels } = createManager();
+
+      configManager.set('channels.maxRetainedTotal', 3);
+
+      for (const topic of ['a', 'b', 'a', 'c', 'd']) {
+        channels.publish({ source: 'test' }, topic, {}, { retain: true });
+      }
+
+      expect(retainedTopics(channels)).toEqual(['a:1', 'c:1', 'd:1']);
+    });
+
+    test('drops the oldest messages over channels.maxRetainedBytes', () => {
+      const { channels } = createManager();
+      const payload = 'x'.repeat(400);
+
+      configManager.set('channels.maxRetainedBytes', 2000);
+
+      for (let i = 0; i < 5; i++) {
+        channels.publish({ source: 'test' }, `topic${i}`, payload, { retain: true });
+      }
+
+      expect(retainedTopics(channels)).toEqual(['topic2:1', 'topic3:1', 'topic4:1']);
+    });
+
+    test('rejects a retained message larger than channels.maxRetainedBytes', () => {
+      const { channels, sent } = createManager();
+
+      configManager.set('channels.maxRetainedBytes', 100);
+      channels.subscribe('c1', '**');
+
+      expect(() => channels.publish({ source: 'test' }, 'big', 'x'.repeat(200), { retain: true }))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_FORMAT }));
+      expect(sent).toEqual([]);
+      expect(retainedTopics(channels)).toEqual([]);
+
+      expect(channels.publish({ source: 'test' }, 'big', 'x'.repeat(200)).delivered).toBe(1);
+    });
+  });
+});
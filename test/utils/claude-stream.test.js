@@ -0,0 +1,68 @@
+const MCPServer = require('../../src/server');
+const { anthropicApi } = require('../../src/utils/anthropic');
+const { MESSAGE_TYPES } = require('../../src/utils/protocol');
+const { FakeSocket } = require('../helpers/fake-socket');
+
+describe('Claude response streaming', () => {
+  let server;
+  let socket;
+  let connectionId;
+
+  // Stream with the API calling back in the given order
+  const stream = (drive) => {
+    jest.spyOn(anthropicApi, 'streamResponse').mockImplementation((messages, callbacks) => drive(callbacks));
+
+    return server.streamClaudeResponse(connectionId, {
+      messages: [{ role: 'user', content: 'Hi' }],
+      streamId: 's1'
+    });
+  };
+
+  const frameTypes = () => socket.messages().map(message => message.type);
+
+  beforeEach(() => {
+    server = new MCPServer({ enablePlugins: false });
+    socket = new FakeSocket();
+    connectionId = server.connectionManager.addConnection(socket, { ipAddress: '127.0.0.1' });
+  });
+
+  afterEach(() => {
+    server.connectionManager.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  test('sends start, content and end frames in sequence', async () => {
+    await stream((callbacks) => {
+      callbacks.onStart();
+      callbacks.onContent('Hello', 0);
+      callbacks.onDone({ stopReason: 'end_turn' });
+    });
+
+    expect(frameTypes()).toEqual([
+      MESSAGE_TYPES.CLAUDE_STREAM_START,
+      MESSAGE_TYPES.CLAUDE_STREAM_CONTENT,
+      MESSAGE_TYPES.CLAUDE_STREAM_END
+    ]);
+    expect(socket.messages().map(message => message.data.sequence)).toEqual([0, 1, 2]);
+  });
+
+  test('drops a start that arrives after the stream failed', async () => {
+    await stream((callbacks) => {
+      callbacks.onError(new Error('overloaded'));
+      callbacks.onStart();
+      callbacks.onContent('late', 0);
+    });
+
+    expect(frameTypes()).toEqual([MESSAGE_TYPES.CLAUDE_ERROR]);
+    expect(server.getActiveStreams(connectionId)).toEqual([]);
+  });
+
+  test('drops a start that arrives after the stream ended', async () => {
+    await stream((callbacks) => {
+      callbacks.onDone({ stopReason: 'end_turn' });
+      callbacks.onStart();
+    });
+
+    expect(frameTypes()).toEqual([MESSAGE_TYPES.CLAUDE_STREAM_END]);
+  });
+});
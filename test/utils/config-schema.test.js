@@ -0,0 +1,47 @@
+const { DEFAULT_CONFIG } = require('../../src/utils/config');
+const { validateConfig, validateConfigValue } = require('../../src/utils/config-schema');
+
+describe('validateConfig', () => {
+  test('accepts the defaults', () => {
+    expect(validateConfig(DEFAULT_CONFIG)).toEqual([]);
+  });
+
+  test('accepts partial changes and unknown settings', () => {
+    expect(validateConfig({ server: { port: 8080 }, plugins: { custom: { enabled: true } } })).toEqual([]);
+  });
+
+  test('rejects values of the wrong type', () => {
+    expect(validateConfig({ server: { port: '8080', autoStart: 'yes' } })).toEqual([
+      'server.port: must be of type integer',
+      'server.autoStart: must be of type boolean'
+    ]);
+  });
+
+  test('rejects out-of-range and unknown values', () => {
+    expect(validateConfig({
+      server: { port: 70000, idleTimeout: -1, backpressure: { policy: 'ignore' } },
+      security: { defaultRoles: ['root'] }
+    })).toHaveLength(4);
+  });
+
+  test('rejects invalid IP list entries', () => {
+    expect(validateConfig({ security: { ipDenyList: ['10.0.0.0/8', '10.0.0.0/33', 'fd00::/129'] } })).toEqual([
+      'security.ipDenyList.1: 10.0.0.0/33 has an invalid prefix length (0-32)',
+      'security.ipDenyList.2: fd00::/129 has an invalid prefix length (0-128)'
+    ]);
+    expect(validateConfig({ security: { ipAllowList: '10.0.0.0/8' } })).toEqual([
+      'security.ipAllowList: must be of type array'
+    ]);
+  });
+});
+
+describe('validateConfigValue', () => {
+  test('checks a setting by path', () => {
+    expect(validateConfigValue('security.ipDenyList', ['10.0.0.0/8'])).toEqual([]);
+    expect(validateConfigValue('security.ipDenyList', ['10.0.0.0/33'])).toHaveLength(1);
+    expect(validateConfigValue('security', { ipDenyList: [42] })).toEqual([
+      'security.ipDenyList.0: must be of type string'
+    ]);
+    expect(validateConfigValue('server', 5)).toEqual(['server: must be of type object']);
+  });
+});
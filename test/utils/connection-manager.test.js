@@ -0,0 +1,376 @@
+const { ConnectionManager, DISCONNECT_REASONS } = require('../../src/utils/connection-manager');
+const { MESSAGE_TYPES, ERROR_CODES } = require('../../src/utils/protocol');
+const { FakeSocket } = require('../helpers/fake-socket');
+
+describe('ConnectionManager', () => {
+  let manager;
+
+  // Swap in a manager with its own options for a group of tests
+  const useManager = (options) => {
+    manager.shutdown();
+    manager = new ConnectionManager({ idleTimeout: 1000, pingInterval: 100, ...options });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    manager = new ConnectionManager({ idleTimeout: 1000, pingInterval: 100 });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+    jest.useRealTimers();
+  });
+
+  describe('idle timeout', () => {
+    test('closes a client that only receives messages and answers pings', () => {
+      const socket = new FakeSocket();
+      const id = manager.addConnection(socket, { ipAddress: '127.0.0.1' });
+      const disconnections = [];
+
+      manager.on('disconnection', event => disconnections.push(event));
+
+      // The server keeps pushing to the client, which never sends anything
+      const pushes = setInterval(() => manager.broadcastMessage('system.notice', { text: 'tick' }), 50);
+
+      jest.advanceTimersByTime(1500);
+      clearInterval(pushes);
+
+      expect(socket.sent.length).toBeGreaterThan(10);
+      expect(disconnections).toEqual([{ id, reason: DISCONNECT_REASONS.IDLE_TIMEOUT }]);
+    });
+
+    test('keeps a client that sends messages', () => {
+      const socket = new FakeSocket();
+      const id = manager.addConnection(socket, { ipAddress: '127.0.0.1' });
+      const pings = setInterval(() => socket.emit('message', JSON.stringify({ type: 'system.ping', data: {} })), 200);
+
+      jest.advanceTimersByTime(1500);
+      clearInterval(pings);
+
+      expect(manager.getConnection(id)).not.toBeNull();
+    });
+  });
+
+  describe('resuming', () => {
+    beforeEach(() => {
+      useManager({ resumeGracePeriod: 1000, resumeBufferSize: 3 });
+    });
+
+    // Connect and register a client, returning its resume token
+    const register = () => {
+      const socket = new FakeSocket();
+      const id = manager.addConnection(socket, { ipAddress: '127.0.0.1' });
+
+      manager.handleSystemMessage(id, { type: MESSAGE_TYPES.SYSTEM_REGISTER, id: 'register', data: { clientId: 'c1' } });
+
+      return { socket, id, resumeToken: socket.messages().pop().data.resumeToken };
+    };
+
+    const resume = (resumeToken) => {
+      const socket = new FakeSocket();
+      const id = manager.addConnection(socket, { ipAddress: '127.0.0.1' });
+
+      manager.handleSystemMessage(id, { type: MESSAGE_TYPES.SYSTEM_RESUME, id: 'resume', data: { resumeToken } });
+
+      return { socket, id, reply: socket.messages()[0] };
+    };
+
+    test('suspends a registered client whose socket drops', () => {
+      const { socket, id } = register();
+      const suspended = [];
+
+      manager.on('suspended', event => suspended.push(event));
+      socket.emit('close', 1006);
+
+      expect(suspended).toEqual([expect.objectContaining({ id, reason: DISCONNECT_REASONS.CONNECTION_LOST })]);
+      expect(manager.getConnection(id)).not.toBeNull();
+    });
+
+    test('removes an unregistered client whose socket drops', () => {
+      const socket = new FakeSocket();
+      const id = manager.addConnection(socket, { ipAddress: '127.0.0.1' });
+
+      socket.emit('close', 1000);
+
+      expect(manager.getConnection(id)).toBeNull();
+    });
+
+    test('replays buffered messages in order and counts those dropped at the cap', () => {
+      const { socket, id, resumeToken } = register();
+
+      socket.emit('close', 1006);
+
+      for (let n = 1; n <= 5; n++) {
+        manager.sendMessage(id, 'test.event', { n });
+      }
+
+      const resumed = resume(resumeToken);
+      const [reply, ...replayed] = resumed.socket.messages();
+
+      expect(reply.type).toBe(MESSAGE_TYPES.SYSTEM_RESUME_RESPONSE);
+      expect(reply.data).toMatchObject({ success: true, id, replayed: 3, dropped: 2 });
+      expect(replayed.map(message => message.data.n)).toEqual([3, 4, 5]);
+
+      // The earlier connection keeps its id on the new socket
+      expect(manager.getConnection(resumed.id)).toBeNull();
+      manager.sendMessage(id, 'test.event', { n: 6 });
+      expect(resumed.socket.messages().pop().data.n).toBe(6);
+    });
+
+    test('rotates the token on resume and rejects the old one', () => {
+      const { socket, resumeToken } = register();
+
+      socket.emit('close', 1006);
+
+      const first = resume(resumeToken);
+
+      expect(first.reply.data.resumeToken).toEqual(expect.any(String));
+      expect(first.reply.data.resumeToken).not.toBe(resumeToken);
+
+      first.socket.emit('close', 1006);
+
+      const reused = resume(resumeToken);
+
+      expect(reused.reply.type).toBe(MESSAGE_TYPES.SYSTEM_ERROR);
+      expect(reused.reply.data.code).toBe(ERROR_CODES.UNAUTHORIZED);
+
+      const second = resume(first.reply.data.resumeToken);
+
+      expect(second.reply.data.success).toBe(true);
+    });
+
+    test('rejects a token once the grace period has expired', () => {
+      const { socket, id, resumeToken } = register();
+      const disconnections = [];
+
+      manager.on('disconnection', event => disconnections.push(event));
+      socket.emit('close', 1006);
+      jest.advanceTimersByTime(1001);
+
+      expect(disconnections).toEqual([{ id, reason: DISCONNECT_REASONS.RESUME_EXPIRED }]);
+
+      const late = resume(resumeToken);
+
+      expect(late.reply.type).toBe(MESSAGE_TYPES.SYSTEM_ERROR);
+      expect(late.reply.data.message).toBe('Invalid or expired resume token');
+    });
+  });
+
+  describe('backpressure', () => {
+    const chunk = (text, index = 0) => ({ streamId: 's1', index, text });
+
+    // A socket that stops draining, so everything sent next is queued
+    const connectStalled = () => {
+      const socket = new FakeSocket();
+      const id = manager.addConnection(socket, { ipAddress: '127.0.0.1' });
+
+      socket.bufferedAmount = 1000;
+
+      return { socket, id, connection: manager.connections.get(id) };
+    };
+
+    const drain = (socket, connection) => {
+      socket.bufferedAmount = 0;
+      manager.flushQueue(connection);
+    };
+
+    test('drop-oldest keeps the newest messages within maxQueuedBytes', () => {
+      useManager({ backpressure: { highWatermark: 100, lowWatermark: 10, maxQueuedBytes: 400, policy: 'drop-oldest' } });
+
+      const { socket, id, connection } = connectStalled();
+
+      for (let n = 1; n <= 10; n++) {
+        expect(manager.sendMessage(id, 'test.event', { n })).toBe(true);
+      }
+
+      expect(socket.sent).toEqual([]);
+      expect(connection.stats.queuedBytes).toBeLessThanOrEqual(400);
+      expect(connection.stats.droppedMessages).toBeGreaterThan(0);
+
+      drain(socket, connection);
+
+      const received = socket.messages().map(message => message.data.n);
+
+      // The survivors are the last ones sent, in order
+      expect(received.length + connection.stats.droppedMessages).toBe(10);
+      expect(received).toEqual(Array.from(received, (_, i) => 11 - received.length + i));
+      expect(connection.stats.queuedMessages).toBe(0);
+    });
+
+    test('coalesce merges queued chunks of the same content block', () => {
+      useManager({ backpressure: { highWatermark: 100, lowWatermark: 10, maxQueuedBytes: 10000, policy: 'coalesce' } });
+
+      const { socket, id, connection } = connectStalled();
+
+      manager.sendMessage(id, MESSAGE_TYPES.CLAUDE_STREAM_CONTENT, chunk('Hel'));
+      manager.sendMessage(id, MESSAGE_TYPES.CLAUDE_STREAM_CONTENT, chunk('lo'));
+      manager.sendMessage(id, MESSAGE_TYPES.CLAUDE_STREAM_CONTENT, chunk('!'));
+      manager.sendMessage(id, MESSAGE_TYPES.CLAUDE_STREAM_CONTENT, chunk('next', 1));
+
+      expect(connection.stats.queuedMessages).toBe(2);
+      expect(connection.stats.coalescedMessages).toBe(2);
+
+      drain(socket, connection);
+
+      expect(socket.messages().map(message => message.data)).toEqual([
+        { ...chunk('Hello!'), coalesced: 3 },
+        chunk('next', 1)
+      ]);
+    });
+
+    test('coalesce falls back to dropping the oldest past maxQueuedBytes', () => {
+      useManager({ backpressure: { highWatermark: 100, lowWatermark: 10, maxQueuedBytes: 300, policy: 'coalesce' } });
+
+      const { id, connection } = connectStalled();
+
+      for (let n = 1; n <= 10; n++) {
+        manager.sendMessage(id, 'test.event', { n });
+      }
+
+      expect(connection.stats.queuedBytes).toBeLessThanOrEqual(300);
+      expect(connection.stats.droppedMessages).toBeGreaterThan(0);
+    });
+
+    test('disconnect terminates a consumer that falls too far behind', () => {
+      useManager({ backpressure: { highWatermark: 100, lowWatermark: 10, maxQueuedBytes: 300, policy: 'disconnect' } });
+
+      const { socket, id } = connectStalled();
+      const disconnections = [];
+      const results = [];
+
+      manager.on('disconnection', event => disconnections.push(event));
+
+      for (let n = 1; n <= 10; n++) {
+        results.push(manager.sendMessage(id, 'test.event', { n }));
+      }
+
+      expect(results).toContain(false);
+      expect(socket.readyState).toBe(3);
+      expect(manager.getConnection(id)).toBeNull();
+      expect(disconnections).toEqual([{ id, reason: DISCONNECT_REASONS.SLOW_CONSUMER }]);
+    });
+
+    test('sends straight through while the socket keeps up', () => {
+      useManager({ backpressure: { highWatermark: 100, lowWatermark: 10, maxQueuedBytes: 300, policy: 'disconnect' } });
+
+      const socket = new FakeSocket();
+      const id = manager.addConnection(socket, { ipAddress: '127.0.0.1' });
+
+      for (let n = 1; n <= 10; n++) {
+        manager.sendMessage(id, 'test.event', { n });
+      }
+
+      expect(socket.sent).toHaveLength(10);
+      expect(manager.connections.get(id).stats.queuedMessages).toBe(0);
+    });
+  });
+
+  describe('requests to clients', () => {
+    const connect = (protocol = 'message') => {
+      const socket = new FakeSocket();
+      const id = manager.addConnection(socket, { ipAddress: '127.0.0.1', protocol });
+
+      return { socket, id };
+    };
+
+    test('resolves with the data of the reply', async () => {
+      const { socket, id } = connect();
+      const pending = manager.request(id, 'client.confirm', { question: 'ok?' });
+      const request = socket.messages().pop();
+
+      expect(request).toMatchObject({ type: 'client.confirm', data: { question: 'ok?' } });
+
+      socket.receive({ type: 'client.confirm_response', replyTo: request.id, data: { confirmed: true } });
+
+      await expect(pending).resolves.toEqual({ confirmed: true });
+      expect(manager.pendingRequests.size).toBe(0);
+    });
+
+    test('resolves with the result of a JSON-RPC response', async () => {
+      const { socket, id } = connect('jsonrpc');
+      const pending = manager.request(id, 'roots/list');
+      const request = socket.messages().pop();
+
+      expect(request).toMatchObject({ jsonrpc: '2.0', method: 'roots/list' });
+
+      socket.receive({ jsonrpc: '2.0', id: request.id, result: { roots: [] } });
+
+      await expect(pending).resolves.toEqual({ roots: [] });
+    });
+
+    test('rejects with the error a client replies with', async () => {
+      const { socket, id } = connect();
+      const pending = manager.request(id, 'client.confirm');
+      const request = socket.messages().pop();
+
+      socket.receive({
+        type: MESSAGE_TYPES.SYSTEM_ERROR,
+        replyTo: request.id,
+        data: { code: ERROR_CODES.FORBIDDEN, message: 'Declined', details: { by: 'user' } }
+      });
+
+      await expect(pending).rejects.toMatchObject({
+        message: 'Declined',
+        code: ERROR_CODES.FORBIDDEN,
+        details: { by: 'user' }
+      });
+    });
+
+    test('rejects with a JSON-RPC error response', async () => {
+      const { socket, id } = connect('jsonrpc');
+      const pending = manager.request(id, 'sampling/createMessage');
+      const request = socket.messages().pop();
+
+      socket.receive({ jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'Method not found' } });
+
+      await expect(pending).rejects.toMatchObject({ message: 'Method not found', code: -32601 });
+    });
+
+    test('rejects with TIMEOUT when the client does not reply in time', async () => {
+      const { socket, id } = connect();
+      const pending = manager.request(id, 'client.confirm', {}, { timeout: 500 });
+
+      jest.advanceTimersByTime(500);
+
+      await expect(pending).rejects.toMatchObject({ code: ERROR_CODES.TIMEOUT });
+      expect(manager.pendingRequests.size).toBe(0);
+
+      // A late reply is handled like any other message
+      const messages = [];
+
+      manager.on('message', event => messages.push(event.message));
+      socket.receive({ type: 'client.confirm_response', replyTo: socket.messages().pop().id, data: {} });
+
+      expect(messages).toHaveLength(1);
+    });
+
+    test('rejects when the connection closes while waiting', async () => {
+      const { id } = connect();
+      const pending = manager.request(id, 'client.confirm');
+
+      manager.removeConnection(id, DISCONNECT_REASONS.KICKED);
+
+      await expect(pending).rejects.toMatchObject({
+        message: 'Connection closed before replying to client.confirm',
+        details: { reason: DISCONNECT_REASONS.KICKED }
+      });
+      expect(manager.pendingRequests.size).toBe(0);
+    });
+
+    test('ignores a reply from another connection', async () => {
+      const { socket, id } = connect();
+      const other = connect();
+      const pending = manager.request(id, 'client.confirm', {}, { timeout: 500 });
+      const request = socket.messages().pop();
+
+      other.socket.receive({ type: 'client.confirm_response', replyTo: request.id, data: { confirmed: true } });
+      jest.advanceTimersByTime(500);
+
+      await expect(pending).rejects.toMatchObject({ code: ERROR_CODES.TIMEOUT });
+    });
+
+    test('rejects a request to an unknown connection', async () => {
+      await expect(manager.request('missing', 'client.confirm')).rejects.toMatchObject({ code: ERROR_CODES.NOT_FOUND });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { ConversationManager } = require('../../src/utils/conversation-manager');
+
+const user = text => ({ role: 'user', content: text });
+const assistant = text => ({ role: 'assistant', content: [{ type: 'text', text }] });
+const toolUse = id => ({ role: 'assistant', content: [{ type: 'tool_use', id, name: 'lookup', input: {} }] });
+const toolResult = id => ({ role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content: 'ok' }] });
+
+describe('ConversationManager', () => {
+  let manager;
+  let conversation;
+
+  beforeEach(() => {
+    manager = new ConversationManager({ persist: false, maxMessages: 4 });
+    conversation = manager.createConversation('owner');
+  });
+
+  test('keeps the history within maxMessages', () => {
+    manager.appendMessages(conversation.id, [user('1'), assistant('1'), user('2'), assistant('2')]);
+    manager.appendMessages(conversation.id, [user('3'), assistant('3')]);
+
+    expect(conversation.messages).toEqual([user('2'), assistant('2'), user('3'), assistant('3')]);
+  });
+
+  test('never starts the history with an assistant message', () => {
+    manager.appendMessages(conversation.id, [user('1'), assistant('1'), user('2'), assistant('2')]);
+    manager.appendMessages(conversation.id, [user('3')]);
+
+    expect(conversation.messages).toEqual([user('2'), assistant('2'), user('3')]);
+  });
+
+  test('does not cut a tool-use exchange in the middle', () => {
+    manager.appendMessages(conversation.id, [user('1'), assistant('1')]);
+    manager.appendMessages(conversation.id, [
+      user('2'),
+      toolUse('a'),
+      toolResult('a'),
+      toolUse('b'),
+      toolResult('b'),
+      assistant('2')
+    ]);
+
+    // The turn alone is over the limit; it is kept whole
+    expect(conversation.messages).toEqual([
+      user('2'),
+      toolUse('a'),
+      toolResult('a'),
+      toolUse('b'),
+      toolResult('b'),
+      assistant('2')
+    ]);
+
+    manager.appendMessages(conversation.id, [user('3'), toolUse('c'), toolResult('c'), assistant('3'), user('4')]);
+
+    expect(conversation.messages).toEqual([user('4')]);
+  });
+
+  test('skips a user message that mixes tool results with text', () => {
+    const mixed = { role: 'user', content: [...toolResult('a').content, { type: 'text', text: 'also' }] };
+
+    manager.appendMessages(conversation.id, [user('1'), toolUse('a'), mixed, assistant('1'), user('2')]);
+
+    expect(conversation.messages).toEqual([user('2')]);
+  });
+
+  test('appending to a deleted conversation throws', () => {
+    manager.deleteConversation(conversation.id);
+
+    expect(() => manager.appendMessages(conversation.id, [user('1')])).toThrow('Conversation not found');
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigManager } = require('../../src/utils/config');
+const { LocalAuthProvider } = require('../../src/utils/local-auth-provider');
+
+describe('LocalAuthProvider', () => {
+  let dir;
+  let config;
+  let provider;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-ui-mcp-auth-'));
+    config = new ConfigManager({ configPath: path.join(dir, 'config.json') });
+    provider = new LocalAuthProvider({ config });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('creates keys that verify to their identity', async () => {
+    const created = await provider.createApiKey('ci', { roles: ['admin'] });
+
+    expect(created.apiKey).toMatch(/^cuim_[0-9a-f]{12}_/);
+    await expect(provider.authenticate({ apiKey: created.apiKey })).resolves.toEqual({
+      id: `key:${created.id}`,
+      name: 'ci',
+      roles: ['admin']
+    });
+  });
+
+  test('stores a salted hash, never the secret', async () => {
+    const created = await provider.createApiKey('ci');
+    const secret = created.apiKey.split('_').slice(2).join('_');
+    const stored = fs.readFileSync(config.configPath, 'utf8');
+    const entry = JSON.parse(stored).security.apiKeys[created.id];
+
+    expect(stored).not.toContain(secret);
+    expect(entry.salt).toMatch(/^[0-9a-f]{32}$/);
+    expect(entry.hash).toMatch(/^[0-9a-f]{128}$/);
+  });
+
+  test('gives keys created without roles the default roles', async () => {
+    const created = await provider.createApiKey('ci');
+
+    expect(created.roles).toEqual(['client']);
+  });
+
+  test('rejects unknown roles', async () => {
+    await expect(provider.createApiKey('ci', { roles: ['root'] })).rejects.toThrow('Unknown role: root');
+  });
+
+  test('rejects a wrong secret for a known key id', async () => {
+    const created = await provider.createApiKey('ci');
+    const forged = `cuim_${created.id}_${'x'.repeat(32)}`;
+
+    await expect(provider.authenticate({ apiKey: forged })).resolves.toBeNull();
+  });
+
+  test('rejects malformed keys and unknown key ids', async () => {
+    await expect(provider.authenticate({})).resolves.toBeNull();
+    await expect(provider.authenticate({ apiKey: 'not-a-key' })).resolves.toBeNull();
+    await expect(provider.authenticate({ apiKey: 'cuim_000000000000_secret' })).resolves.toBeNull();
+  });
+
+  test('rejects deleted keys', async () => {
+    const created = await provider.createApiKey('ci');
+
+    expect(provider.deleteApiKey(created.id)).toBe(true);
+    expect(provider.deleteApiKey(created.id)).toBe(false);
+    await expect(provider.authenticate({ apiKey: created.apiKey })).resolves.toBeNull();
+  });
+
+  test('lists keys without their hashes', async () => {
+    const created = await provider.createApiKey('ci');
+    const [listed] = provider.listApiKeys();
+
+    expect(listed).toEqual({ id: created.id, name: 'ci', roles: ['client'], createdAt: expect.any(Number) });
+  });
+
+  test('checks identities against cached keys without touching the disk', async () => {
+    const created = await provider.createApiKey('ci');
+    const statSync = jest.spyOn(fs, 'statSync');
+    const readFileSync = jest.spyOn(fs, 'readFileSync');
+
+    try {
+      expect(provider.hasIdentity(`key:${created.id}`)).toBe(true);
+      expect(provider.hasIdentity('key:000000000000')).toBe(false);
+      expect(statSync).not.toHaveBeenCalled();
+      expect(readFileSync).not.toHaveBeenCalled();
+    } finally {
+      statSync.mockRestore();
+      readFileSync.mockRestore();
+    }
+  });
+
+  test('picks up keys deleted by another process while watching', async () => {
+    const created = await provider.createApiKey('ci');
+    const other = new LocalAuthProvider({ config: new ConfigManager({ configPath: config.configPath }) });
+    const deleted = new Promise(resolve => provider.once('apiKeyDeleted', resolve));
+
+    provider.watchInterval = 20;
+    provider.watch();
+
+    try {
+      // Keep the new mtime distinct from the one already seen
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(other.deleteApiKey(created.id)).toBe(true);
+
+      await expect(deleted).resolves.toEqual({ id: created.id, identityId: `key:${created.id}` });
+      expect(provider.hasIdentity(`key:${created.id}`)).toBe(false);
+    } finally {
+      provider.unwatch();
+    }
+  });
+});
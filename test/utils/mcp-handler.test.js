@@ -0,0 +1,94 @@
+const { MCPHandler } = require('../../src/utils/mcp-handler');
+const { toolRegistry } = require('../../src/utils/tool-registry');
+const { JSONRPC_ERRORS } = require('../../src/utils/jsonrpc');
+
+// Runs until its signal aborts, recording the signal it was given
+let signals;
+
+const waitTool = {
+  name: 'wait',
+  description: 'Waits until aborted',
+  inputSchema: { type: 'object' },
+  handler: (input, context) => new Promise((resolve, reject) => {
+    signals.push(context.signal);
+    context.signal.addEventListener('abort', () => reject(context.signal.reason));
+  })
+};
+
+describe('MCPHandler requests', () => {
+  let handler;
+  let session;
+
+  const call = (id, name = 'wait') =>
+    handler.handleMessage(session, { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: {} } });
+
+  beforeEach(() => {
+    signals = [];
+    toolRegistry.registerTool(waitTool, 'test');
+    handler = new MCPHandler({ getTimeout: method => (method === 'tools/call' ? 50 : 0) });
+    session = handler.createSession('s1');
+    session.protocolVersion = '2025-06-18';
+  });
+
+  afterEach(() => {
+    toolRegistry.unregisterToolsBySource('test');
+  });
+
+  test('times out a tool call and aborts its signal', async () => {
+    const response = await call(1);
+
+    expect(response.error).toMatchObject({ code: JSONRPC_ERRORS.TIMEOUT, message: 'tools/call timed out after 50ms' });
+    expect(signals[0].aborted).toBe(true);
+    expect(handler.getInFlightRequests()).toEqual([]);
+  });
+
+  test('notifications/cancelled aborts the request without a response', async () => {
+    const pending = call('a');
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(handler.getInFlightRequests('s1')).toEqual([
+      expect.objectContaining({ id: 'a', connectionId: 's1', type: 'tools/call', timeout: 50 })
+    ]);
+
+    await handler.handleMessage(session, {
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: 'a', reason: 'user gave up' }
+    });
+
+    await expect(pending).resolves.toBeNull();
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[0].reason.message).toBe('Request cancelled: user gave up');
+    expect(handler.getInFlightRequests('s1')).toEqual([]);
+  });
+
+  test('rejects a request reusing the id of one still in flight', async () => {
+    const pending = call('a');
+
+    await new Promise(resolve => setImmediate(resolve));
+
+    const duplicate = await call('a');
+
+    expect(duplicate.error).toMatchObject({ code: JSONRPC_ERRORS.INVALID_REQUEST, message: 'Duplicate request id: a is still in flight' });
+    expect(signals).toHaveLength(1);
+
+    handler.cancelRequest(session, 'a');
+
+    await expect(pending).resolves.toBeNull();
+    expect(signals[0].aborted).toBe(true);
+  });
+
+  test('removing a session cancels its requests', async () => {
+    const pending = call(2);
+
+    await new Promise(resolve => setImmediate(resolve));
+    handler.removeSession('s1');
+
+    await expect(pending).resolves.toBeNull();
+    expect(signals[0].aborted).toBe(true);
+  });
+
+  test('cancelling an unknown request does nothing', () => {
+    expect(handler.cancelRequest(session, 'missing')).toBe(false);
+  });
+});
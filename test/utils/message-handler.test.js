@@ -0,0 +1,109 @@
+const { MessageHandler } = require('../../src/utils/message-handler');
+
+// Let subscribers, which run after the handler is called, finish
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('MessageHandler subscribers', () => {
+  let handler;
+
+  beforeEach(() => {
+    handler = new MessageHandler();
+  });
+
+  test('runs every subscriber of a type and its namespace', async () => {
+    const calls = [];
+
+    handler.subscribe('demo.event', () => calls.push('first'));
+    handler.subscribe('demo.event', () => calls.push('second'));
+    handler.subscribe('demo', () => calls.push('namespace'));
+    handler.subscribe('other.event', () => calls.push('other'));
+
+    await handler.processMessage({ type: 'demo.event', data: {} });
+    await flush();
+
+    expect(calls).toEqual(['first', 'second', 'namespace']);
+  });
+
+  test('replies with the handler result alongside subscribers', async () => {
+    const seen = [];
+
+    handler.registerHandler('demo.event', async message => ({ type: 'demo.reply', data: message.data }));
+    handler.subscribe('demo.event', message => seen.push(message.data));
+
+    const response = await handler.processMessage({ type: 'demo.event', data: { n: 1 } });
+    await flush();
+
+    expect(response).toEqual({ type: 'demo.reply', data: { n: 1 } });
+    expect(seen).toEqual([{ n: 1 }]);
+  });
+
+  test('sends no reply and reports nothing unhandled for subscribers alone', async () => {
+    const unhandled = jest.fn();
+
+    handler.on('unhandled', unhandled);
+    handler.subscribe('demo.event', () => {});
+
+    await expect(handler.processMessage({ type: 'demo.event', data: {} })).resolves.toBeNull();
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+
+  test('a throwing subscriber does not stop the others or the reply', async () => {
+    const calls = [];
+    const errors = [];
+
+    handler.on('error', event => errors.push(event.error.message));
+    handler.registerHandler('demo.event', async () => ({ type: 'demo.reply', data: {} }));
+    handler.subscribe('demo.event', () => {
+      throw new Error('sync failure');
+    });
+    handler.subscribe('demo.event', async () => {
+      throw new Error('async failure');
+    });
+    handler.subscribe('demo.event', () => calls.push('last'));
+
+    const response = await handler.processMessage({ type: 'demo.event', data: {} });
+    await flush();
+
+    expect(response.type).toBe('demo.reply');
+    expect(calls).toEqual(['last']);
+    expect(errors).toEqual(['sync failure', 'async failure']);
+  });
+
+  test('a failing subscriber without an error listener is only logged', async () => {
+    handler.subscribe('demo.event', () => {
+      throw new Error('failure');
+    });
+
+    await handler.processMessage({ type: 'demo.event', data: {} });
+    await flush();
+  });
+
+  test('unsubscribes with the returned function', async () => {
+    const calls = [];
+    const unsubscribe = handler.subscribe('demo.event', () => calls.push('removed'));
+
+    handler.subscribe('demo.event', () => calls.push('kept'));
+
+    expect(unsubscribe()).toBe(true);
+    expect(unsubscribe()).toBe(false);
+
+    await handler.processMessage({ type: 'demo.event', data: {} });
+    await flush();
+
+    expect(calls).toEqual(['kept']);
+  });
+
+  test('removes the subscribers of a source', () => {
+    handler.subscribe('demo.event', () => {}, { source: 'plugin-a' });
+    handler.subscribe('demo', () => {}, { source: 'plugin-a' });
+    handler.subscribe('demo.event', () => {}, { source: 'plugin-b' });
+
+    expect(handler.removeSubscribersBySource('plugin-a')).toBe(2);
+    expect(handler.getSubscribers('demo.event').map(item => item.source)).toEqual(['plugin-b']);
+    expect(handler.getRoutes().find(route => route.type === 'demo')).toBeUndefined();
+  });
+
+  test('rejects a subscriber that is not a function', () => {
+    expect(() => handler.subscribe('demo.event', null)).toThrow('Subscriber must be a function');
+  });
+});
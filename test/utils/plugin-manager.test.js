@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PluginManager } = require('../../src/utils/plugin-manager');
+const { messageHandler } = require('../../src/utils/message-handler');
+const { authManager } = require('../../src/utils/auth-manager');
+const { toolRegistry } = require('../../src/utils/tool-registry');
+const { resourceRegistry } = require('../../src/utils/resource-registry');
+const { promptRegistry } = require('../../src/utils/prompt-registry');
+const { schemaRegistry } = require('../../src/utils/schema-registry');
+
+// A plugin that registers through every context method it is given
+const PLUGIN_SOURCE = `
+module.exports = {
+  initialize(context) {
+    context.use(function demoMiddleware(message, ctx, next) { return next(); });
+    module.exports.unsubscribe = context.subscribe('demo.event', () => {});
+    context.registerAuthProvider({ name: 'demo-auth', authenticate: async () => ({ id: 'demo' }) });
+    context.registerTool({ name: 'demo_tool', handler: async () => 'ok' });
+    context.registerResource({ uri: 'demo://notes', read: async () => '' });
+    context.registerPrompt({ name: 'demo-prompt', get: async () => [] });
+    context.registerSchema('demo.event', { type: 'object', required: ['name'] });
+  }
+};
+`;
+
+// Registers a tool and middleware, then fails
+const FAILING_PLUGIN_SOURCE = `
+module.exports = {
+  initialize(context) {
+    context.registerTool({ name: 'broken_tool', handler: async () => 'ok' });
+    context.use(function brokenMiddleware(message, ctx, next) { return next(); });
+    context.registerSchema('broken.event', { type: 'object' });
+    throw new Error('initialize failed');
+  }
+};
+`;
+
+describe('PluginManager', () => {
+  let dir;
+  let pluginManager;
+
+  const middlewareSources = () => messageHandler.getMiddleware().map(item => item.source);
+  const subscriberSources = () => messageHandler.getSubscribers('demo.event').map(item => item.source);
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-ui-mcp-plugins-'));
+    fs.mkdirSync(path.join(dir, 'demo'));
+    fs.writeFileSync(path.join(dir, 'demo', 'index.js'), PLUGIN_SOURCE);
+    fs.writeFileSync(path.join(dir, 'demo', 'manifest.json'), JSON.stringify({ name: 'demo' }));
+
+    pluginManager = new PluginManager({ pluginsDirectory: dir, enabledPlugins: [] });
+    await pluginManager.loadPlugin('demo');
+  });
+
+  afterEach(async () => {
+    await pluginManager.unloadPlugin('demo');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('disabling a plugin removes its middleware and subscribers', () => {
+    expect(middlewareSources()).toContain('demo');
+    expect(subscriberSources()).toEqual(['demo']);
+
+    pluginManager.disablePlugin('demo');
+
+    expect(middlewareSources()).not.toContain('demo');
+    expect(subscriberSources()).toEqual([]);
+  });
+
+  test('disabling a plugin removes its auth providers', () => {
+    expect(authManager.getProvider('demo-auth')).not.toBeNull();
+
+    pluginManager.disablePlugin('demo');
+    expect(authManager.getProvider('demo-auth')).toBeNull();
+
+    pluginManager.enablePlugin('demo');
+    expect(authManager.getProvider('demo-auth')).not.toBeNull();
+  });
+
+  test('disabling a plugin removes its tools', () => {
+    expect(toolRegistry.hasTool('demo_tool')).toBe(true);
+
+    pluginManager.disablePlugin('demo');
+    expect(toolRegistry.hasTool('demo_tool')).toBe(false);
+
+    pluginManager.enablePlugin('demo');
+    expect(toolRegistry.hasTool('demo_tool')).toBe(true);
+  });
+
+  test('disabling a plugin removes its resources and prompts', () => {
+    pluginManager.disablePlugin('demo');
+    expect(resourceRegistry.hasResource('demo://notes')).toBe(false);
+    expect(promptRegistry.hasPrompt('demo-prompt')).toBe(false);
+
+    pluginManager.enablePlugin('demo');
+    expect(resourceRegistry.hasResource('demo://notes')).toBe(true);
+    expect(promptRegistry.hasPrompt('demo-prompt')).toBe(true);
+  });
+
+  test('disabling a plugin removes its schemas', () => {
+    expect(schemaRegistry.validate('demo.event', {}).valid).toBe(false);
+
+    pluginManager.disablePlugin('demo');
+    expect(schemaRegistry.getSchema('demo.event')).toBeNull();
+    expect(schemaRegistry.validate('demo.event', {}).valid).toBe(true);
+
+    pluginManager.enablePlugin('demo');
+    expect(schemaRegistry.getSchema('demo.event')).toEqual({ type: 'object', required: ['name'] });
+  });
+
+  test('enabling it again restores them once', () => {
+    pluginManager.disablePlugin('demo');
+    pluginManager.enablePlugin('demo');
+    pluginManager.enablePlugin('demo');
+
+    expect(middlewareSources().filter(source => source === 'demo')).toHaveLength(1);
+    expect(subscriberSources()).toEqual(['demo']);
+  });
+
+  test('registrations a plugin undoes stay undone', () => {
+    const plugin = pluginManager.plugins.get('demo');
+
+    plugin.module.unsubscribe();
+    pluginManager.disablePlugin('demo');
+    pluginManager.enablePlugin('demo');
+
+    expect(subscriberSources()).toEqual([]);
+  });
+
+  test('unloading removes everything', async () => {
+    await pluginManager.unloadPlugin('demo');
+
+    expect(middlewareSources()).not.toContain('demo');
+    expect(subscriberSources()).toEqual([]);
+    expect(authManager.getProvider('demo-auth')).toBeNull();
+    expect(toolRegistry.hasTool('demo_tool')).toBe(false);
+    expect(schemaRegistry.getSchema('demo.event')).toBeNull();
+  });
+
+  test('a plugin whose initialize throws leaves nothing registered', async () => {
+    fs.mkdirSync(path.join(dir, 'broken'));
+    fs.writeFileSync(path.join(dir, 'broken', 'index.js'), FAILING_PLUGIN_SOURCE);
+    fs.writeFileSync(path.join(dir, 'broken', 'manifest.json'), JSON.stringify({ name: 'broken' }));
+
+    await expect(pluginManager.loadPlugin('broken')).rejects.toThrow('initialize failed');
+
+    expect(pluginManager.plugins.has('broken')).toBe(false);
+    expect(toolRegistry.hasTool('broken_tool')).toBe(false);
+    expect(middlewareSources()).not.toContain('broken');
+    expect(schemaRegistry.getSchema('broken.event')).toBeNull();
+  });
+});
@@ -0,0 +1,169 @@
+const { TokenBucket, RateLimiter } = require('../../src/utils/rate-limiter');
+
+describe('TokenBucket', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refills at its rate up to capacity', () => {
+    const bucket = new TokenBucket(5, 2);
+
+    bucket.take(5);
+    now += 1000;
+    bucket.refill();
+    expect(bucket.tokens).toBe(2);
+
+    now += 10000;
+    expect(bucket.isFull()).toBe(true);
+    expect(bucket.tokens).toBe(5);
+  });
+
+  test('reports how long until enough tokens accrue', () => {
+    const bucket = new TokenBucket(5, 2);
+
+    expect(bucket.getRetryAfter(1)).toBe(0);
+
+    bucket.take(5);
+    expect(bucket.getRetryAfter(1)).toBe(500);
+    expect(bucket.getRetryAfter(3)).toBe(1500);
+
+    now += 250;
+    expect(bucket.getRetryAfter(1)).toBe(250);
+  });
+
+  test('never fits more than its capacity or refills at rate zero', () => {
+    expect(new TokenBucket(5, 2).getRetryAfter(6)).toBe(Infinity);
+
+    const bucket = new TokenBucket(5, 0);
+    bucket.take(5);
+    expect(bucket.getRetryAfter(1)).toBe(Infinity);
+  });
+});
+
+describe('RateLimiter', () => {
+  let now;
+  let settings;
+  let limiter;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    settings = {
+      global: { capacity: 3, refillPerSecond: 1 },
+      identity: { capacity: 5, refillPerSecond: 1 },
+      namespaces: { claude: { capacity: 2, refillPerSecond: 0.5 } }
+    };
+    limiter = new RateLimiter({ settings });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('namespaces cover message types and MCP methods', () => {
+    expect(limiter.getNamespace('claude.query')).toBe('claude');
+    expect(limiter.getNamespace('tools/call')).toBe('tools');
+    expect(limiter.getNamespace('ping')).toBe('ping');
+  });
+
+  test('limits each connection globally', () => {
+    for (let i = 0; i < 3; i++) {
+      expect(limiter.consume('c1', null, 'status').allowed).toBe(true);
+    }
+
+    expect(limiter.consume('c1', null, 'status')).toEqual({ allowed: false, limit: 'global', retryAfter: 1000 });
+    expect(limiter.consume('c2', null, 'status').allowed).toBe(true);
+
+    now += 1000;
+    expect(limiter.consume('c1', null, 'status').allowed).toBe(true);
+  });
+
+  test('limits an identity across its connections', () => {
+    for (let i = 0; i < 5; i++) {
+      expect(limiter.consume(`c${i}`, 'alice', 'status').allowed).toBe(true);
+    }
+
+    expect(limiter.consume('c9', 'alice', 'status')).toMatchObject({ allowed: false, limit: 'identity' });
+    expect(limiter.consume('c9', 'bob', 'status').allowed).toBe(true);
+  });
+
+  test('limits a namespace per identity', () => {
+    expect(limiter.consume('c1', 'alice', 'claude.query').allowed).toBe(true);
+    expect(limiter.consume('c2', 'alice', 'claude.stream').allowed).toBe(true);
+
+    expect(limiter.consume('c3', 'alice', 'claude.query')).toEqual({
+      allowed: false,
+      limit: 'namespace:claude',
+      retryAfter: 2000
+    });
+    expect(limiter.consume('c3', 'alice', 'status').allowed).toBe(true);
+  });
+
+  test('leaves out retryAfter for a limit that will never allow the message', () => {
+    settings.global = { capacity: 1, refillPerSecond: 0 };
+
+    expect(limiter.consume('c1', null, 'status').allowed).toBe(true);
+
+    const result = limiter.consume('c1', null, 'status');
+
+    // Infinity would reach clients as null
+    expect(result).toEqual({ allowed: false, limit: 'global' });
+    expect(JSON.parse(JSON.stringify(result))).not.toHaveProperty('retryAfter');
+  });
+
+  test('charges nothing when any limit is exhausted', () => {
+    limiter.consume('c1', 'alice', 'claude.query');
+    limiter.consume('c1', 'alice', 'claude.query');
+
+    expect(limiter.consume('c1', 'alice', 'claude.query').allowed).toBe(false);
+    expect(limiter.buckets.get('connection:c1').tokens).toBe(1);
+    expect(limiter.buckets.get('identity:alice').tokens).toBe(3);
+  });
+
+  test('recreates a bucket when its limit changes', () => {
+    for (let i = 0; i < 3; i++) {
+      limiter.consume('c1', null, 'status');
+    }
+
+    settings.global = { capacity: 10, refillPerSecond: 1 };
+    expect(limiter.consume('c1', null, 'status').allowed).toBe(true);
+    expect(limiter.buckets.get('connection:c1').tokens).toBe(9);
+  });
+
+  test('allows everything when disabled', () => {
+    settings.enabled = false;
+
+    for (let i = 0; i < 10; i++) {
+      expect(limiter.consume('c1', null, 'status').allowed).toBe(true);
+    }
+  });
+
+  test('removeConnection drops only that connection\'s buckets', () => {
+    limiter.consume('c1', null, 'claude.query');
+    limiter.consume('c10', null, 'claude.query');
+
+    limiter.removeConnection('c1');
+
+    expect(Array.from(limiter.buckets.keys()).sort()).toEqual(['connection:c10', 'connection:c10:claude']);
+  });
+
+  test('prune drops buckets that have refilled', () => {
+    limiter.consume('c1', 'alice', 'claude.query');
+
+    now += 1000;
+    limiter.prune();
+    expect(Array.from(limiter.buckets.keys())).toEqual(['identity:alice:claude']);
+
+    now += 1000;
+    limiter.prune();
+    expect(limiter.buckets.size).toBe(0);
+  });
+});
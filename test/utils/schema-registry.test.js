@@ -0,0 +1,70 @@
+const { SchemaRegistry, schemaRegistry } = require('../../src/utils/schema-registry');
+const { MessageProtocol } = require('../../src/utils/protocol');
+
+describe('SchemaRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new SchemaRegistry();
+  });
+
+  test('validates data against the schema for its type', () => {
+    registry.registerSchema('demo.create', { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1 } } });
+
+    expect(registry.validate('demo.create', { name: 'a' }).valid).toBe(true);
+    expect(registry.validate('demo.create', { name: '' }).errors).toEqual([
+      { pointer: '/name', message: 'must be at least 1 characters' }
+    ]);
+  });
+
+  test('validates missing data as an empty object', () => {
+    registry.registerSchema('demo.create', { type: 'object', required: ['name'] });
+
+    expect(registry.validate('demo.create', undefined).errors).toEqual([
+      { pointer: '/name', message: 'is required' }
+    ]);
+  });
+
+  test('accepts any data for a type without a schema', () => {
+    expect(registry.validate('demo.unknown', 42)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('rejects a registration without a type or schema object', () => {
+    expect(() => registry.registerSchema('', {})).toThrow('requires a message type and a schema object');
+    expect(() => registry.registerSchema('demo.create', 'object')).toThrow('requires a message type and a schema object');
+  });
+
+  test('unregisters the schemas of a source', () => {
+    const events = [];
+
+    registry.on('schemaUnregistered', event => events.push(event.type));
+    registry.registerSchema('demo.one', { type: 'object' }, 'demo');
+    registry.registerSchema('demo.two', { type: 'object' }, 'demo');
+    registry.registerSchema('other.one', { type: 'object' }, 'other');
+
+    expect(registry.unregisterSchemasBySource('demo')).toBe(2);
+    expect(events).toEqual(['demo.one', 'demo.two']);
+    expect(Object.keys(registry.getSchemas())).toEqual(['other.one']);
+  });
+});
+
+describe('MessageProtocol validation', () => {
+  const protocol = new MessageProtocol();
+
+  afterEach(() => {
+    schemaRegistry.unregisterSchemasBySource('test');
+  });
+
+  test('reports pointers relative to the whole message', () => {
+    schemaRegistry.registerSchema('demo.create', {
+      type: 'object',
+      properties: { items: { type: 'array', items: { type: 'string' } } }
+    }, 'test');
+
+    const result = protocol.validateMessageData({ type: 'demo.create', data: { items: ['a', 1] } });
+
+    expect(result.valid).toBe(false);
+    expect(result.pointer).toBe('/data/items/1');
+    expect(result.error).toBe('Invalid demo.create message: /data/items/1 must be of type string');
+  });
+});
@@ -0,0 +1,105 @@
+const { validateSchema } = require('../../src/utils/schema-validator');
+
+describe('validateSchema', () => {
+  const messageSchema = {
+    type: 'object',
+    required: ['id', 'messages'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      messages: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['role'],
+          properties: {
+            role: { enum: ['user', 'assistant'] },
+            content: { type: ['string', 'array'] }
+          }
+        }
+      }
+    }
+  };
+
+  test('accepts a valid value', () => {
+    const result = validateSchema(messageSchema, { id: 'c1', messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(result).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports missing required properties at their pointer', () => {
+    const { valid, errors } = validateSchema(messageSchema, {});
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { pointer: '/id', message: 'is required' },
+      { pointer: '/messages', message: 'is required' }
+    ]);
+  });
+
+  test('reports type mismatches without checking further', () => {
+    expect(validateSchema(messageSchema, []).errors).toEqual([
+      { pointer: '', message: 'must be of type object' }
+    ]);
+    expect(validateSchema(messageSchema, { id: 42, messages: [{ role: 'user' }] }).errors).toEqual([
+      { pointer: '/id', message: 'must be of type string' }
+    ]);
+  });
+
+  test('points into nested arrays and objects', () => {
+    const { errors } = validateSchema(messageSchema, {
+      id: 'c1',
+      messages: [{ role: 'user' }, { role: 'system', content: 7 }]
+    });
+
+    expect(errors).toEqual([
+      { pointer: '/messages/1/role', message: 'must be one of "user", "assistant"' },
+      { pointer: '/messages/1/content', message: 'must be of type string or array' }
+    ]);
+  });
+
+  test('escapes ~ and / in property names', () => {
+    const schema = { type: 'object', required: ['a/b', 'c~d'] };
+
+    expect(validateSchema(schema, {}).errors.map(error => error.pointer)).toEqual(['/a~1b', '/c~0d']);
+  });
+
+  test('checks string and array bounds', () => {
+    expect(validateSchema(messageSchema, { id: '', messages: [] }).errors).toEqual([
+      { pointer: '/id', message: 'must be at least 1 characters' },
+      { pointer: '/messages', message: 'must have at least 1 items' }
+    ]);
+    expect(validateSchema({ type: 'string', maxLength: 3, pattern: '^[a-z]+$' }, 'ABCD').errors).toEqual([
+      { pointer: '', message: 'must be at most 3 characters' },
+      { pointer: '', message: 'must match pattern ^[a-z]+$' }
+    ]);
+  });
+
+  test('distinguishes integers from numbers and checks numeric bounds', () => {
+    expect(validateSchema({ type: 'integer' }, 1.5).valid).toBe(false);
+    expect(validateSchema({ type: 'number' }, 2).valid).toBe(true);
+    expect(validateSchema({ type: 'number', minimum: 0, maximum: 1 }, 2).errors).toEqual([
+      { pointer: '', message: 'must be <= 1' }
+    ]);
+  });
+
+  test('validates additional properties against additionalProperties', () => {
+    const schema = { type: 'object', properties: { name: { type: 'string' } }, additionalProperties: false };
+
+    expect(validateSchema(schema, { name: 'a', extra: 1 }).errors).toEqual([
+      { pointer: '/extra', message: 'is not allowed' }
+    ]);
+  });
+
+  test('combines schemas with anyOf, oneOf and allOf', () => {
+    const anyOf = { anyOf: [{ type: 'string' }, { type: 'integer' }] };
+    const oneOf = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+    const allOf = { allOf: [{ type: 'string' }, { minLength: 2 }] };
+
+    expect(validateSchema(anyOf, 3).valid).toBe(true);
+    expect(validateSchema(anyOf, true).errors).toEqual([{ pointer: '', message: 'must match at least one allowed schema' }]);
+    expect(validateSchema(oneOf, 1.5).valid).toBe(true);
+    expect(validateSchema(oneOf, 1).errors).toEqual([{ pointer: '', message: 'must match exactly one allowed schema' }]);
+    expect(validateSchema(allOf, 'a').errors).toEqual([{ pointer: '', message: 'must be at least 2 characters' }]);
+  });
+});
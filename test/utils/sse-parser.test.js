@@ -0,0 +1,77 @@
+const { SSEParser } = require('../../src/utils/sse-parser');
+
+/**
+ * Parse chunks and collect the dispatched events
+ */
+function parse(chunks, { end = true } = {}) {
+  const events = [];
+  const parser = new SSEParser(event => events.push(event));
+
+  chunks.forEach(chunk => parser.write(chunk));
+
+  if (end) {
+    parser.end();
+  }
+
+  return events;
+}
+
+describe('SSEParser', () => {
+  test('dispatches events terminated by a blank line', () => {
+    expect(parse(['event: ping\ndata: {}\n\nevent: message_stop\ndata: {"a":1}\n\n'])).toEqual([
+      { event: 'ping', data: '{}', id: undefined },
+      { event: 'message_stop', data: '{"a":1}', id: undefined }
+    ]);
+  });
+
+  test('defaults the event type to "message" and keeps the id', () => {
+    expect(parse(['id: 7\ndata: x\n\n'])).toEqual([{ event: 'message', data: 'x', id: '7' }]);
+  });
+
+  test('joins multiple data lines with newlines', () => {
+    expect(parse(['data: one\ndata: two\ndata:three\n\n'])[0].data).toBe('one\ntwo\nthree');
+  });
+
+  test.each([
+    ['\n', 'LF'],
+    ['\r\n', 'CRLF'],
+    ['\r', 'CR']
+  ])('accepts %j line endings (%s)', (eol) => {
+    expect(parse([`event: a${eol}data: 1${eol}${eol}`])).toEqual([{ event: 'a', data: '1', id: undefined }]);
+  });
+
+  test('reassembles lines and events split across chunks', () => {
+    const text = 'event: content_block_delta\r\ndata: {"text":"hi"}\r\n\r\n';
+    const chunks = text.split('');
+
+    expect(parse(chunks)).toEqual([{ event: 'content_block_delta', data: '{"text":"hi"}', id: undefined }]);
+  });
+
+  test('decodes multi-byte characters split across buffers', () => {
+    const bytes = Buffer.from('data: héllo ✓\n\n');
+    const chunks = Array.from(bytes).map(byte => Buffer.from([byte]));
+
+    expect(parse(chunks)[0].data).toBe('héllo ✓');
+  });
+
+  test('ignores comments, unknown fields and events without data', () => {
+    expect(parse([': keep-alive\nretry: 100\nfoo: bar\n\nevent: empty\n\ndata: x\n\n'])).toEqual([
+      { event: 'message', data: 'x', id: undefined }
+    ]);
+  });
+
+  test('does not carry the event type over to the next event', () => {
+    expect(parse(['event: a\ndata: 1\n\ndata: 2\n\n']).map(event => event.event)).toEqual(['a', 'message']);
+  });
+
+  test('discards an unterminated final event at end of input', () => {
+    expect(parse(['data: complete\n\ndata: partial\n'])).toEqual([
+      { event: 'message', data: 'complete', id: undefined }
+    ]);
+    expect(parse(['data: partial'])).toEqual([]);
+  });
+
+  test('treats a trailing CR at end of input as a line break', () => {
+    expect(parse(['data: x\r\r'])).toEqual([{ event: 'message', data: 'x', id: undefined }]);
+  });
+});
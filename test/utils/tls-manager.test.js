@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const MCPServer = require('../../src/server');
+const { TLSManager, tlsManager } = require('../../src/utils/tls-manager');
+const { configManager } = require('../../src/utils/config');
+
+/**
+ * Find a port nothing is listening on
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Get the fingerprint of the certificate a TLS server presents
+ */
+function fetchFingerprint(port) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({ port, host: '127.0.0.1', rejectUnauthorized: false }, () => {
+      const fingerprint = socket.getPeerX509Certificate().fingerprint256;
+      socket.end();
+      resolve(fingerprint);
+    });
+    socket.once('error', reject);
+  });
+}
+
+describe('TLSManager', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-ui-mcp-tls-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('generates a local CA and a server certificate signed by it', () => {
+    const manager = new TLSManager();
+    const credentials = manager.loadCredentials({ directory: dir, host: 'localhost' });
+    const ca = new crypto.X509Certificate(credentials.ca);
+    const cert = new crypto.X509Certificate(credentials.cert);
+
+    expect(ca.ca).toBe(true);
+    expect(cert.ca).toBe(false);
+    expect(cert.checkIssued(ca)).toBe(true);
+    expect(cert.verify(ca.publicKey)).toBe(true);
+    expect(cert.checkPrivateKey(crypto.createPrivateKey(credentials.key))).toBe(true);
+    expect(cert.checkHost('localhost')).toBe('localhost');
+    expect(cert.checkIP('127.0.0.1')).toBe('127.0.0.1');
+
+    expect(credentials.info).toMatchObject({
+      generated: true,
+      fingerprint256: cert.fingerprint256,
+      certPath: path.join(dir, 'server.pem'),
+      caPath: path.join(dir, 'ca.pem')
+    });
+    expect(fs.statSync(path.join(dir, 'server-key.pem')).mode & 0o777).toBe(0o600);
+    expect(fs.statSync(path.join(dir, 'ca-key.pem')).mode & 0o777).toBe(0o600);
+  });
+
+  test('reuses the certificates it generated before', () => {
+    const first = new TLSManager().loadCredentials({ directory: dir, host: 'localhost' });
+    const second = new TLSManager().loadCredentials({ directory: dir, host: 'localhost' });
+
+    expect(second.cert).toBe(first.cert);
+    expect(second.key).toBe(first.key);
+    expect(second.ca).toBe(first.ca);
+  });
+
+  test('issues a new server certificate from the same CA for another host', () => {
+    const first = new TLSManager().loadCredentials({ directory: dir, host: 'localhost' });
+    const second = new TLSManager().loadCredentials({ directory: dir, host: 'mcp.example.test' });
+    const cert = new crypto.X509Certificate(second.cert);
+
+    expect(second.ca).toBe(first.ca);
+    expect(second.cert).not.toBe(first.cert);
+    expect(cert.checkHost('mcp.example.test')).toBe('mcp.example.test');
+    expect(cert.checkIssued(new crypto.X509Certificate(first.ca))).toBe(true);
+  });
+
+  test('uses configured certificate files as they are', () => {
+    const generated = new TLSManager().loadCredentials({ directory: dir, host: 'localhost' });
+    const credentials = new TLSManager().loadCredentials({
+      certPath: path.join(dir, 'server.pem'),
+      keyPath: path.join(dir, 'server-key.pem'),
+      caPath: path.join(dir, 'missing-ca.pem')
+    });
+
+    expect(credentials.cert).toBe(generated.cert);
+    expect(credentials.ca).toBeNull();
+    expect(credentials.info).toMatchObject({ generated: false, caPath: null });
+  });
+});
+
+describe('TLS certificate reload', () => {
+  let dir;
+  let server;
+  let port;
+
+  // Certificates from another CA to swap in
+  const replaceCertificate = () => {
+    const replacement = new TLSManager().loadCredentials({ directory: path.join(dir, 'next'), host: 'localhost' });
+
+    fs.writeFileSync(path.join(dir, 'server.pem'), replacement.cert);
+    fs.writeFileSync(path.join(dir, 'server-key.pem'), replacement.key);
+
+    return new crypto.X509Certificate(replacement.cert).fingerprint256;
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-ui-mcp-tls-'));
+    port = await freePort();
+    configManager.set('admin.enabled', false);
+
+    // The server announces start and stop on stdout
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    server = new MCPServer({
+      port,
+      host: '127.0.0.1',
+      enablePlugins: false,
+      tls: { enabled: true, directory: dir }
+    });
+
+    await server.start();
+  }, 20000);
+
+  afterEach(async () => {
+    await server.stop();
+    server.connectionManager.shutdown();
+    configManager.set('admin.enabled', true);
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('swaps the secure context of a running server', async () => {
+    const before = await fetchFingerprint(port);
+
+    expect(before).toBe(tlsManager.getInfo().fingerprint256);
+
+    const expected = replaceCertificate();
+    const reloaded = new Promise(resolve => server.once('certificateReloaded', resolve));
+
+    tlsManager.scheduleReload();
+
+    expect((await reloaded).fingerprint256).toBe(expected);
+    expect(await fetchFingerprint(port)).toBe(expected);
+  }, 20000);
+
+  test('keeps serving the old certificate when the new key does not match', async () => {
+    const before = await fetchFingerprint(port);
+    const failed = new Promise(resolve => tlsManager.once('reloadFailed', resolve));
+
+    replaceCertificate();
+    fs.writeFileSync(path.join(dir, 'server-key.pem'), fs.readFileSync(path.join(dir, 'ca-key.pem')));
+    tlsManager.scheduleReload();
+
+    expect((await failed).error.message).toBe('Private key does not match certificate');
+    expect(await fetchFingerprint(port)).toBe(before);
+    expect(tlsManager.getInfo().fingerprint256).toBe(before);
+  }, 20000);
+});